@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// ウィンドウを開かずにスキャンするコマンドラインの入口（Electron なしで動く）
+// 使い方は `node cli.js --help` を参照
+const { run } = require('./src/main/cli');
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
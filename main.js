@@ -1,14 +1,75 @@
-const { app, BrowserWindow, ipcMain, shell, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog, Notification, Tray, Menu } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const { exec, spawn } = require('child_process');
+const { exec } = require('child_process');
 const { promisify } = require('util');
+const { scanDirectory, normalizePath, isPathWithin, getAllocatedSize } = require('./src/main/scanner');
+const scanStore = require('./src/main/scan-store');
+const snapshotDiff = require('./src/main/snapshot-diff');
+const scanUpdater = require('./src/main/scan-updater');
+const { watchTree } = require('./src/main/watcher');
+const excludeRules = require('./src/main/exclude-rules');
+const { getMountPoints, getFilesystemUsage } = require('./src/main/mounts');
+const duplicates = require('./src/main/duplicates');
+const fileTypes = require('./src/main/file-types');
+const ageAnalysis = require('./src/main/age-analysis');
+const { getLargestFiles } = require('./src/main/largest-files');
+const nestedTree = require('./src/main/nested-tree');
+const { searchScan } = require('./src/main/search');
+const trash = require('./src/main/trash');
+const { compressPath } = require('./src/main/compress');
+const relocate = require('./src/main/relocate');
+const reportExport = require('./src/main/report-export');
+const cli = require('./src/main/cli');
+const alerts = require('./src/main/alerts');
+const suggestions = require('./src/main/suggestions');
 
 const execAsync = promisify(exec);
 
 // バックエンドキャッシュ
 const duCache = new Map(); // duコマンドの結果全体をキャッシュ
+const storedScans = new Map(); // ディスクに保存済みのスキャン（ルートパス → メタデータ）
 const CACHE_EXPIRY = 3600000; // 1時間（フロントエンドと同じ）
+const SCAN_STORE_DIR = path.join(app.getPath('userData'), 'scans');
+const SNAPSHOT_DIR = path.join(app.getPath('userData'), 'snapshots');
+const EXCLUDE_RULES_FILE = path.join(app.getPath('userData'), 'exclude-rules.json');
+const ALERTS_FILE = path.join(app.getPath('userData'), 'alerts.json');
+const SUGGESTION_RULES_FILE = path.join(app.getPath('userData'), 'suggestion-rules.json');
+
+let excludeSettings = { global: [], roots: {} }; // 除外パターン（全体 / スキャンルートごと）
+let scanOptions = { oneFileSystem: false }; // oneFileSystem: ルートと同じファイルシステムのみスキャン（du -x）
+let suggestionRules = []; // 整理の候補のユーザー定義ルール [{ pattern, rationale }]
+
+let activeComparison = null; // 比較中のスナップショット
+let activeScan = null; // 実行中のスキャン { rootPath, controller, promise }
+let activeDuplicateSearch = null; // 実行中の重複ファイル検出 { controller }
+let activeSearch = null; // 実行中の名前・パス検索 { controller }
+let activeCompression = null; // 実行中の圧縮 { controller }
+let activeMove = null; // 実行中の移動 { controller }
+
+// 容量アラート（監視するパスを定期的にチェックし、しきい値をまたいだら通知する）
+let alertSettings = alerts.normalizeSettings({});
+const alertStatuses = new Map(); // 監視ID → 最後のチェック結果
+let alertTimer = null; // 次の定期チェックのタイマー
+let activeAlertCheck = null; // 実行中のチェック { controller, promise }
+const ALERT_FIRST_CHECK_DELAY = 60000; // 起動・監視の追加から最初のチェックまでの待ち時間（ms）
+const ALERT_RETRY_DELAY = 60000; // 画面からのスキャン中は、この時間だけチェックを後回しにする（ms）
+const shownNotifications = new Set(); // クリックを受け取れるよう、表示中の通知を保持する
+let tray = null; // トレイに常駐する設定のときだけ作る
+let pendingOpenPath = null; // ウィンドウの読み込みが済んだら開くパス（通知のクリックなど）
+
+// ゴミ箱に移動した項目（元に戻す用、ID → [{ originalPath, trashedPath, infoPath }]）
+const trashHistory = new Map();
+const TRASH_HISTORY_LIMIT = 100;
+let nextTrashId = 1;
+
+// スキャン済みルートの変更監視
+const scanWatchers = new Map(); // ルートパス → 監視ハンドル
+const scanUpdateQueues = new Map(); // ルートパス → 差分更新の実行待ち
+const persistTimers = new Map(); // ルートパス → 保存の遅延タイマー
+const PERSIST_DELAY = 5000; // 差分更新後、ディスクに保存するまでの待ち時間（ms）
+const SCAN_BACKEND = process.argv.includes('--use-du') ? 'du' : 'native'; // --use-du で従来のduを使用
+const CLI_MODE = process.argv.includes('--scan'); // --scan <path> でウィンドウを開かずにスキャンして終了
 
 let mainWindow;
 
@@ -30,24 +91,183 @@ function createWindow() {
   }
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(async () => {
+  if (CLI_MODE) {
+    const cliArgs = process.argv.slice(process.argv.indexOf('--scan'));
+    if (SCAN_BACKEND === 'du' && !cliArgs.includes('--use-du')) {
+      cliArgs.push('--use-du');
+    }
+    app.exit(await cli.run(cliArgs, { snapshotDir: SNAPSHOT_DIR }));
+    return;
+  }
+  excludeSettings = await excludeRules.loadSettings(EXCLUDE_RULES_FILE);
+  alertSettings = await alerts.loadSettings(ALERTS_FILE);
+  suggestionRules = await suggestions.loadUserRules(SUGGESTION_RULES_FILE);
+  await loadStoredScanIndex();
+  createWindow();
+  updateTray();
+  scheduleAlertChecks(ALERT_FIRST_CHECK_DELAY);
+});
 
+// トレイに常駐している間は、ウィンドウを閉じても監視を続ける
 app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
+  if (process.platform !== 'darwin' && !tray) {
     app.quit();
   }
 });
 
 app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
+  if (!CLI_MODE && BrowserWindow.getAllWindows().length === 0) {
     createWindow();
   }
 });
 
-async function getDiskUsage(dirPath, event = null) {
+function showMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// 指定パスをツリーマップで開く（ウィンドウが無い・読み込み中なら、読み込み後にレンダラーが受け取る）
+function openPathInWindow(targetPath) {
+  if (!mainWindow || mainWindow.isDestroyed() || mainWindow.webContents.isLoading()) {
+    pendingOpenPath = targetPath;
+    showMainWindow();
+    return;
+  }
+  showMainWindow();
+  mainWindow.webContents.send('open-path', targetPath);
+}
+
+// 監視ごとの設定と最後のチェック結果（しきい値を変えた監視の結果は捨てる）
+function getAlertState() {
+  return {
+    intervalMinutes: alertSettings.intervalMinutes,
+    runInBackground: alertSettings.runInBackground,
+    minIntervalMinutes: alerts.MIN_INTERVAL_MINUTES,
+    checking: !!activeAlertCheck,
+    watches: alertSettings.watches.map((watch) => {
+      const status = alertStatuses.get(watch.id);
+      return { ...watch, status: status && status.key === alerts.getWatchKey(watch) ? status : null };
+    })
+  };
+}
+
+function scheduleAlertChecks(delay = alertSettings.intervalMinutes * 60000) {
+  clearTimeout(alertTimer);
+  alertTimer = null;
+  if (alertSettings.watches.length === 0) {
+    return;
+  }
+  alertTimer = setTimeout(async () => {
+    alertTimer = null;
+    // スキャンが重なると両方遅くなるので、画面からのスキャンが終わるのを待つ
+    if (activeScan) {
+      scheduleAlertChecks(ALERT_RETRY_DELAY);
+      return;
+    }
+    await runAlertChecks();
+    // チェック中に設定が変わって組み直されていれば、そちらを使う
+    if (!alertTimer) {
+      scheduleAlertChecks();
+    }
+  }, delay);
+}
+
+function notifyAlert(watch, status) {
+  if (!Notification.isSupported()) {
+    console.warn(`Notifications are not supported: ${watch.path}`);
+    return;
+  }
+  const notification = new Notification(alerts.formatNotification(watch, status));
+  shownNotifications.add(notification);
+  notification.on('click', () => {
+    shownNotifications.delete(notification);
+    openPathInWindow(watch.path);
+  });
+  notification.on('close', () => {
+    shownNotifications.delete(notification);
+  });
+  notification.show();
+}
+
+// 全ての監視を順にチェックし、しきい値を超えた（空き容量なら下回った）ものを通知する
+function runAlertChecks() {
+  if (activeAlertCheck) {
+    return activeAlertCheck.promise;
+  }
+
+  const controller = new AbortController();
+  const promise = (async () => {
+    for (const watch of alertSettings.watches) {
+      const status = await alerts.checkWatch(watch, {
+        signal: controller.signal,
+        backend: SCAN_BACKEND,
+        excludeRules: getExcludeRuleSets(watch.path),
+        oneFileSystem: scanOptions.oneFileSystem
+      });
+      if (controller.signal.aborted) {
+        break;
+      }
+
+      const previous = alertStatuses.get(watch.id);
+      const wasExceeded = !!(previous && previous.key === status.key && previous.exceeded);
+      if (status.error) {
+        // 一時的に読めなかっただけで、次に超えていたときに改めて通知しないようにする
+        status.exceeded = wasExceeded;
+      } else if (status.exceeded && !wasExceeded) {
+        notifyAlert(watch, status);
+      }
+      alertStatuses.set(watch.id, status);
+    }
+  })().finally(() => {
+    activeAlertCheck = null;
+    updateTray();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('alert-statuses', getAlertState());
+    }
+  });
+  activeAlertCheck = { controller, promise };
+  updateTray();
+  return promise;
+}
+
+// トレイのアイコンとメニュー（常駐の設定が有効で、監視があるときだけ表示）
+function updateTray() {
+  if (!alertSettings.runInBackground || alertSettings.watches.length === 0) {
+    if (tray) {
+      tray.destroy();
+      tray = null;
+    }
+    return;
+  }
+
+  if (!tray) {
+    tray = new Tray(path.join(__dirname, 'src/main/assets/tray-icon.png'));
+    tray.on('click', () => showMainWindow());
+  }
+  const exceeded = getAlertState().watches.filter(watch => watch.status && watch.status.exceeded);
+  tray.setToolTip(exceeded.length > 0 ? `Disk Utility（アラート ${exceeded.length} 件）` : 'Disk Utility');
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: 'ウィンドウを開く', click: () => showMainWindow() },
+    { label: activeAlertCheck ? 'チェック中…' : '今すぐチェック', enabled: !activeAlertCheck, click: () => runAlertChecks() },
+    ...(exceeded.length > 0 ? [{ type: 'separator' }] : []),
+    ...exceeded.map(watch => ({ label: `${watch.path} を開く`, click: () => openPathInWindow(watch.path) })),
+    { type: 'separator' },
+    { label: '終了', click: () => app.quit() }
+  ]));
+}
+
+async function getDiskUsage(dirPath, event = null, options = {}) {
   try {
     // 現在のディレクトリの直下の要素を取得
-    const result = await getDirectoryContents(dirPath, event);
+    const result = await getDirectoryContents(dirPath, event, options);
     return result;
   } catch (error) {
     console.error('Error getting disk usage:', error);
@@ -55,7 +275,7 @@ async function getDiskUsage(dirPath, event = null) {
   }
 }
 
-async function getDirectoryContents(dirPath, event = null) {
+async function getDirectoryContents(dirPath, event = null, options = {}) {
   try {
     const stats = await fs.stat(dirPath);
     const baseName = path.basename(dirPath) || dirPath;
@@ -71,65 +291,147 @@ async function getDirectoryContents(dirPath, event = null) {
     }
     
     // キャッシュされた範囲を探すか、新しいルートとしてdirPathを使用
-    let duRootPath = findCachedRoot(dirPath);
+    // （newRoot 指定時はマウントポイントなどを独立したスキャンとして扱う）
+    let duRootPath = options.newRoot ? null : findCachedRoot(dirPath);
     if (!duRootPath) {
-      duRootPath = dirPath;
+      duRootPath = normalizePath(dirPath);
       console.log(`No cached root found for ${dirPath}, using as new root`);
     } else {
       console.log(`Using cached root ${duRootPath} for ${dirPath}`);
     }
     
+    // 別のルートをスキャン中であれば、新しいナビゲーションで置き換えられたものとして中断
+    if (activeScan && activeScan.rootPath !== duRootPath) {
+      console.log(`Scan of ${activeScan.rootPath} superseded by navigation to ${dirPath}`);
+      cancelActiveScan();
+    }
+    
+    // 再スキャン指定時はキャッシュ済みのルートごと読み直す
+    if (options.rescan) {
+      await discardScan(duRootPath);
+    }
+    
     // 進捗コールバック関数
     const onProgress = event ? (progress) => {
       event.sender.send('du-progress', {
         processedFiles: progress.processedFiles,
+        processedBytes: progress.processedBytes,
+        totalBytes: progress.totalBytes,
+        totalEntries: progress.totalEntries,
         currentPath: progress.currentPath,
+        errorCount: progress.errorCount,
         isComplete: progress.isComplete
       });
     } : null;
     
     // 全サイズ情報を一括取得（この時点でキャッシュされる）
     const sizeMap = await getAllDirectorySizes(duRootPath, onProgress);
+    const cached = duCache.get(duRootPath);
+    const apparentMap = cached ? cached.apparentMap : null;
+    const excludeMatcher = excludeRules.createMatcher(cached ? cached.excludeRules : [], duRootPath);
+    const mounts = await getMountPoints();
+    const sizeMode = options.sizeMode === 'apparent' ? 'apparent' : 'disk';
+    const showHidden = !!options.showHidden;
+    const sizeSource = sizeMode === 'apparent' && apparentMap ? apparentMap : sizeMap;
+    // 分類で絞り込む場合は、各エントリの中にあるその分類のファイルの合計で表示する
+    const categorySizes = options.category && cached
+      ? fileTypes.getCategorySizesByChild(cached, sizeSource, normalizePath(dirPath), options.category)
+      : null;
     
     const entries = await fs.readdir(dirPath);
     const children = [];
+    // 非表示にした隠しファイルの合計（ツリーマップの合計が親と一致するように「隠しアイテム」としてまとめる）
+    const hiddenSummary = { count: 0, size: 0, diskUsage: 0, apparentSize: 0 };
     
     for (const entry of entries) {
-      // 隠しファイルをスキップ（オプション）
-      if (entry.startsWith('.')) continue;
-      
+      const isHidden = entry.startsWith('.');
       const fullPath = path.join(dirPath, entry);
       try {
         const childStats = await fs.stat(fullPath);
+        if (!childStats.isFile() && !childStats.isDirectory()) continue;
+        // 除外ルールに一致したエントリはスキャン結果に含まれないので表示もしない
+        if (excludeMatcher.matches(fullPath, childStats.isDirectory())) continue;
         
+        // ファイルもディレクトリもスキャン結果からサイズを取得（高速・ハードリンクの重複なし）
+        // スキャン後に現れたエントリはstatの値で補う
+        const diskUsage = sizeMap.has(fullPath)
+          ? sizeMap.get(fullPath)
+          : (childStats.isFile() ? getAllocatedSize(childStats) : 0);
+        const apparentSize = apparentMap && apparentMap.has(fullPath)
+          ? apparentMap.get(fullPath)
+          : (childStats.isFile() ? childStats.size : diskUsage);
+        
+        const child = {
+          name: entry,
+          path: fullPath,
+          size: sizeMode === 'apparent' ? apparentSize : diskUsage,
+          diskUsage: diskUsage,
+          apparentSize: apparentSize,
+          type: childStats.isFile() ? 'file' : 'directory',
+          // ディレクトリは中にあるものを含めた最も新しい日時（スキャン結果に無ければ自身の日時）
+          modifiedAt: cached && cached.mtimeMap && cached.mtimeMap.has(fullPath) ? cached.mtimeMap.get(fullPath) : childStats.mtimeMs,
+          accessedAt: cached && cached.atimeMap && cached.atimeMap.has(fullPath) ? cached.atimeMap.get(fullPath) : childStats.atimeMs
+        };
         if (childStats.isFile()) {
-          children.push({
-            name: entry,
-            path: fullPath,
-            size: childStats.size,
-            type: 'file'
-          });
-        } else if (childStats.isDirectory()) {
-          // duキャッシュからサイズを取得（高速）
-          const dirSize = sizeMap.get(fullPath) || 0;
-          children.push({
-            name: entry,
-            path: fullPath,
-            size: dirSize,
-            type: 'directory'
-          });
+          child.category = fileTypes.getCategory(entry);
+        }
+        
+        // マウントポイント（mountinfo が無い環境ではデバイス番号の違いで判定）
+        const isMountPoint = mounts.size > 0 ? mounts.has(fullPath) : childStats.dev !== stats.dev;
+        if (childStats.isDirectory() && isMountPoint) {
+          const mount = mounts.get(fullPath);
+          child.type = 'mount';
+          child.mount = {
+            fsType: mount ? mount.fsType : null,
+            source: mount ? mount.source : null
+          };
+          // スキャンしなかったファイルシステムは、そのファイルシステム全体の使用量で表示（親の合計には含めない）
+          if (!sizeMap.has(fullPath)) {
+            const usage = await getFilesystemUsage(fullPath);
+            child.external = true;
+            child.size = child.diskUsage = child.apparentSize = usage || 0;
+          }
+        }
+        
+        if (categorySizes) {
+          if (child.external) continue;
+          child.size = categorySizes.get(fullPath) || 0;
+          if (child.size === 0) continue;
+        }
+        
+        if (isHidden && !showHidden) {
+          if (!child.external) {
+            hiddenSummary.count++;
+            hiddenSummary.size += child.size;
+            hiddenSummary.diskUsage += diskUsage;
+            hiddenSummary.apparentSize += apparentSize;
+          }
+        } else {
+          children.push(child);
         }
       } catch (err) {
         console.warn(`Skipping ${fullPath}: ${err.message}`);
       }
     }
     
+    // 多階層のツリーマップ用に、ディレクトリの中身をスキャン結果から数階層分付ける
+    // （分類で絞り込んでいる間は直下のみ）
+    if (cached && options.depth > 1 && !categorySizes) {
+      nestedTree.attachNestedChildren(cached, children, { depth: options.depth, sizeMap: sizeSource, showHidden });
+    }
+    
     return {
       name: baseName,
       path: dirPath,
-      size: children.reduce((sum, child) => sum + child.size, 0),
+      size: children.reduce((sum, child) => sum + (child.external ? 0 : child.size), 0) + hiddenSummary.size,
       type: 'directory',
-      children: children
+      sizeMode: sizeMode,
+      categoryFilter: categorySizes ? { id: options.category, label: fileTypes.getCategoryLabel(options.category) } : null,
+      children: children,
+      hiddenSummary: hiddenSummary.count > 0 ? hiddenSummary : null,
+      scanErrors: getScanErrors(duRootPath, dirPath),
+      scanExclusions: getScanExclusions(duRootPath, dirPath),
+      scanInfo: getScanInfo(duRootPath)
     };
   } catch (error) {
     console.warn(`Error accessing ${dirPath}: ${error.message}`);
@@ -151,138 +453,275 @@ function isDuCacheValid(rootPath) {
   
   const cached = duCache.get(rootPath);
   const now = Date.now();
-  const isValid = (now - cached.timestamp) < CACHE_EXPIRY;
+  // 除外ルールやスキャンオプションが変わった場合もスキャンし直す
+  const isValid = (now - cached.timestamp) < CACHE_EXPIRY && isScanOptionsCurrent(cached, rootPath);
   
   if (!isValid) {
     console.log('DU cache expired for:', rootPath);
+    stopWatching(rootPath);
     duCache.delete(rootPath);
   }
   
   return isValid;
 }
 
+// 現在ルートに適用される除外ルールの組
+function getExcludeRuleSets(rootPath) {
+  return excludeRules.getRuleSets(excludeSettings, rootPath);
+}
+
+// スキャン結果が現在の除外ルール・スキャンオプションで作られたものか
+function isScanOptionsCurrent(scan, rootPath) {
+  return excludeRules.getRulesKey(scan.excludeRules || []) === excludeRules.getRulesKey(getExcludeRuleSets(rootPath)) &&
+    !!scan.oneFileSystem === scanOptions.oneFileSystem;
+}
+
+// スキャン時に除外したパスのうち、指定パス以下のものを取得
+function getScanExclusions(rootPath, dirPath, limit = 100) {
+  const cached = duCache.get(rootPath);
+  if (!cached || !cached.excludedCount) {
+    return { count: 0, excluded: [] };
+  }
+
+  const normalizedDir = normalizePath(dirPath);
+  const excluded = (cached.excluded || []).filter(entry => isPathWithin(entry.path, normalizedDir));
+  const count = normalizedDir === normalizePath(rootPath) ? cached.excludedCount : excluded.length;
+  return { count, excluded: excluded.slice(0, limit) };
+}
+
+// スキャン中に発生したエラーのうち、指定パス以下のものを取得
+function getScanErrors(rootPath, dirPath, limit = 100) {
+  const cached = duCache.get(rootPath);
+  if (!cached || !cached.errors) {
+    return { count: 0, errors: [] };
+  }
+
+  const normalizedDir = normalizePath(dirPath);
+  const errors = cached.errors.filter(error => !error.path ||
+    error.path === normalizedDir || error.path.startsWith(normalizedDir + path.sep));
+
+  // 詳細が保持されていない分も含めた総数はルート単位でしか分からない
+  const count = normalizedDir === normalizePath(rootPath) ? cached.errorCount : errors.length;
+  return { count, errors: errors.slice(0, limit) };
+}
+
+// スキャン結果のメタデータ（いつ、どのルートをスキャンしたか）
+function getScanInfo(rootPath) {
+  const cached = duCache.get(rootPath);
+  if (!cached) {
+    return null;
+  }
+  return {
+    root: rootPath,
+    scannedAt: cached.timestamp,
+    // 変更監視で差分更新された時刻（スキャン結果から集計した表示の更新判定に使う）
+    updatedAt: cached.updatedAt || cached.timestamp,
+    restored: !!cached.restored,
+    incomplete: !!cached.incomplete,
+    // duバックエンドや古い保存データには見かけのサイズが無い
+    apparentAvailable: !!cached.apparentMap,
+    timesAvailable: !!(cached.mtimeMap && cached.atimeMap)
+  };
+}
+
+// 実行中のスキャンを中断（途中までの結果はキャッシュに残る）
+function cancelActiveScan() {
+  if (!activeScan) {
+    return false;
+  }
+  console.log('Cancelling scan of:', activeScan.rootPath);
+  activeScan.controller.abort();
+  activeScan = null;
+  return true;
+}
+
+// 保存済みスキャンの一覧を読み込む（起動時）
+async function loadStoredScanIndex() {
+  const scans = await scanStore.listScans(SCAN_STORE_DIR);
+  const now = Date.now();
+
+  for (const [rootPath, meta] of Object.entries(scans)) {
+    if ((now - meta.timestamp) >= CACHE_EXPIRY) {
+      console.log('Stored scan expired for:', rootPath);
+      await scanStore.deleteScan(SCAN_STORE_DIR, rootPath);
+      continue;
+    }
+    storedScans.set(rootPath, meta);
+  }
+  console.log(`Loaded ${storedScans.size} stored scans`);
+}
+
+// 保存済みスキャンをメモリキャッシュに読み込む
+async function restoreStoredScan(rootPath) {
+  const meta = storedScans.get(rootPath);
+  if (!meta || (Date.now() - meta.timestamp) >= CACHE_EXPIRY) {
+    return false;
+  }
+
+  const stored = await scanStore.loadScan(SCAN_STORE_DIR, rootPath);
+  if (!stored) {
+    storedScans.delete(rootPath);
+    return false;
+  }
+  if (!isScanOptionsCurrent(stored, rootPath)) {
+    console.log('Stored scan uses outdated scan options:', rootPath);
+    return false;
+  }
+  // 途中までの結果を完了したスキャンとして使わない
+  if (stored.incomplete) {
+    console.log('Stored scan is incomplete:', rootPath);
+    await scanStore.deleteScan(SCAN_STORE_DIR, rootPath);
+    storedScans.delete(rootPath);
+    return false;
+  }
+
+  duCache.set(rootPath, { ...stored, restored: true });
+  startWatching(rootPath);
+  console.log(`Restored ${stored.sizeMap.size} entries for ${rootPath} from disk`);
+  return true;
+}
+
+// スキャン結果をディスクに保存（失敗してもメモリキャッシュはそのまま使う）
+async function persistScan(rootPath) {
+  const cached = duCache.get(rootPath);
+  // 中断されたスキャンは保存しない（次回起動時に完了したスキャンとして復元されてしまう）
+  if (!cached || cached.incomplete) {
+    return;
+  }
+
+  try {
+    const meta = await scanStore.saveScan(SCAN_STORE_DIR, rootPath, cached);
+    storedScans.set(rootPath, meta);
+    console.log('Persisted scan for:', rootPath);
+  } catch (error) {
+    console.warn(`Failed to persist scan for ${rootPath}: ${error.message}`);
+  }
+}
+
+// スキャン済みルートの監視を開始（変更は差分としてキャッシュに反映）
+function startWatching(rootPath) {
+  if (scanWatchers.has(rootPath)) {
+    return;
+  }
+
+  try {
+    const watcher = watchTree(rootPath, (changedPaths) => {
+      applyScanChanges(rootPath, changedPaths);
+    }, {
+      getDirectories: () => (duCache.has(rootPath) ? duCache.get(rootPath).directories : []),
+      // アプリ自身が書き込む保存先の変更は無視する
+      ignore: [app.getPath('userData')]
+    });
+    scanWatchers.set(rootPath, watcher);
+    console.log(`Watching ${rootPath} (${watcher.mode})`);
+  } catch (error) {
+    console.warn(`Failed to watch ${rootPath}: ${error.message}`);
+  }
+}
+
+function stopWatching(rootPath) {
+  const watcher = scanWatchers.get(rootPath);
+  if (watcher) {
+    watcher.close();
+    scanWatchers.delete(rootPath);
+  }
+  clearTimeout(persistTimers.get(rootPath));
+  persistTimers.delete(rootPath);
+}
+
+// 差分更新後の保存は、変更が落ち着いてからまとめて行う
+function schedulePersist(rootPath) {
+  clearTimeout(persistTimers.get(rootPath));
+  persistTimers.set(rootPath, setTimeout(() => {
+    persistTimers.delete(rootPath);
+    persistScan(rootPath);
+  }, PERSIST_DELAY));
+}
+
+// 変更のあったパスをキャッシュ済みのスキャン結果に反映（ルートごとに直列実行）
+function applyScanChanges(rootPath, changedPaths) {
+  const previous = scanUpdateQueues.get(rootPath) || Promise.resolve();
+  const task = previous.then(async () => {
+    const cached = duCache.get(rootPath);
+    if (!cached) {
+      return;
+    }
+
+    const changed = await scanUpdater.applyChanges(cached, rootPath, changedPaths);
+    if (changed) {
+      cached.updatedAt = Date.now();
+      nestedTree.invalidateChildIndex(cached);
+      schedulePersist(rootPath);
+      console.log(`Applied ${changedPaths.length} changes to cached scan of ${rootPath}`);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('scan-updated', { root: rootPath, paths: changedPaths });
+      }
+    }
+  }).catch((error) => {
+    console.warn(`Failed to update cached scan of ${rootPath}: ${error.message}`);
+  });
+  scanUpdateQueues.set(rootPath, task);
+  return task;
+}
+
+// 指定パスを含む全てのキャッシュ済みルートに変更を反映
+async function applyChangesToCachedScans(changedPaths) {
+  const normalizedPaths = changedPaths.map(normalizePath);
+  const tasks = [];
+  for (const rootPath of duCache.keys()) {
+    const pathsInRoot = normalizedPaths.filter(changedPath => isPathWithin(changedPath, rootPath));
+    if (pathsInRoot.length > 0) {
+      tasks.push(applyScanChanges(rootPath, pathsInRoot));
+    }
+  }
+  await Promise.all(tasks);
+}
+
+// 指定ルートのスキャン結果をメモリとディスクの両方から削除
+async function discardScan(rootPath) {
+  stopWatching(rootPath);
+  duCache.delete(rootPath);
+  if (storedScans.has(rootPath)) {
+    storedScans.delete(rootPath);
+    await scanStore.deleteScan(SCAN_STORE_DIR, rootPath);
+  }
+}
+
 // キャッシュをクリア
-function clearDuCache() {
+async function clearDuCache() {
   console.log('Clearing all DU cache');
+  for (const rootPath of [...scanWatchers.keys()]) {
+    stopWatching(rootPath);
+  }
   duCache.clear();
+  storedScans.clear();
+  await scanStore.clearScans(SCAN_STORE_DIR);
 }
 
 // 特定のパスに関連するキャッシュを無効化
-function invalidateDuCache(targetPath) {
+async function invalidateDuCache(targetPath) {
   const normalizedTarget = normalizePath(targetPath);
   const toDelete = [];
   
-  for (const [cachedRoot] of duCache) {
+  for (const cachedRoot of new Set([...duCache.keys(), ...storedScans.keys()])) {
     const normalizedRoot = normalizePath(cachedRoot);
     
+    // 除外しているパスの変更はスキャン結果に影響しない
+    if (excludeRules.createMatcher(getExcludeRuleSets(normalizedRoot), normalizedRoot).isExcluded(normalizedTarget)) {
+      continue;
+    }
+    
     // targetPathがcachedRootの子、親、または同じの場合は無効化
-    if (normalizedTarget === normalizedRoot || 
-        normalizedTarget.startsWith(normalizedRoot + path.sep) ||
-        normalizedRoot.startsWith(normalizedTarget + path.sep)) {
+    if (isPathWithin(normalizedTarget, normalizedRoot) ||
+        isPathWithin(normalizedRoot, normalizedTarget)) {
       toDelete.push(cachedRoot);
     }
   }
   
-  toDelete.forEach(root => {
+  for (const root of toDelete) {
     console.log('Invalidating DU cache for:', root);
-    duCache.delete(root);
-  });
-}
-
-// 進捗付きでduコマンドを実行（ストリーミング処理）
-function executeDuWithProgress(rootPath, includeFiles = true, onProgress = null) {
-  return new Promise((resolve, reject) => {
-    const duArgs = includeFiles ? ['-ak', rootPath] : ['-k', rootPath];
-    const duProcess = spawn('du', duArgs);
-    
-    const sizeMap = new Map();
-    let buffer = '';
-    let lineCount = 0;
-    let lastProgressTime = Date.now();
-    let currentPath = rootPath;
-    
-    duProcess.stdout.on('data', (data) => {
-      buffer += data.toString();
-      
-      // 行ごとに処理（メモリ効率向上）
-      let newlineIndex;
-      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
-        const line = buffer.slice(0, newlineIndex);
-        buffer = buffer.slice(newlineIndex + 1);
-        
-        if (line.trim()) {
-          const parts = line.split('\t');
-          if (parts.length >= 2) {
-            const sizeKB = parseInt(parts[0]);
-            const filePath = parts[1];
-            const sizeBytes = sizeKB * 1024;
-            sizeMap.set(filePath, sizeBytes);
-            currentPath = filePath;
-            lineCount++;
-          }
-        }
-      }
-      
-      // 進捗更新（1秒に1回程度）
-      const now = Date.now();
-      if (onProgress && (now - lastProgressTime) > 1000) {
-        onProgress({
-          processedFiles: lineCount,
-          currentPath: currentPath,
-          isComplete: false
-        });
-        
-        lastProgressTime = now;
-      }
-    });
-    
-    duProcess.stderr.on('data', (data) => {
-      console.warn('du stderr:', data.toString());
-    });
-    
-    duProcess.on('close', (code) => {
-      // 残りのバッファを処理
-      if (buffer.trim()) {
-        const parts = buffer.trim().split('\t');
-        if (parts.length >= 2) {
-          const sizeKB = parseInt(parts[0]);
-          const filePath = parts[1];
-          const sizeBytes = sizeKB * 1024;
-          sizeMap.set(filePath, sizeBytes);
-          lineCount++;
-        }
-      }
-      
-      if (code === 0) {
-        // 完了時の進捗更新
-        if (onProgress) {
-          onProgress({
-            processedFiles: lineCount,
-            currentPath: rootPath,
-            isComplete: true
-          });
-        }
-        console.log(`DU completed: processed ${lineCount} entries, map size: ${sizeMap.size}`);
-        resolve(sizeMap);
-      } else {
-        reject(new Error(`du command failed with code ${code}`));
-      }
-    });
-    
-    duProcess.on('error', (error) => {
-      reject(error);
-    });
-    
-    // タイムアウト処理
-    const timeout = setTimeout(() => {
-      duProcess.kill();
-      reject(new Error('du command timed out after 10 minutes'));
-    }, 600000); // 10分
-    
-    duProcess.on('close', () => {
-      clearTimeout(timeout);
-    });
-  });
+    await discardScan(root);
+  }
 }
 
 // 指定されたルートディレクトリ以下の全サイズ情報を一括取得
@@ -294,54 +733,78 @@ async function getAllDirectorySizes(rootPath, onProgress = null) {
       return duCache.get(rootPath).sizeMap;
     }
 
+    // 前回起動時までに保存したスキャン結果があれば使用
+    if (await restoreStoredScan(rootPath)) {
+      return duCache.get(rootPath).sizeMap;
+    }
+
+    // 同じルートのスキャンが実行中なら、その結果を待つ
+    if (activeScan && activeScan.rootPath === rootPath) {
+      console.log('Waiting for running scan of:', rootPath);
+      return (await activeScan.promise).sizeMap;
+    }
+
     console.log('Fetching fresh DU data for:', rootPath);
     
-    // 進捗コールバック付きでdu実行（直接Mapを返す）
-    const sizeMap = await executeDuWithProgress(rootPath, true, onProgress);
+    // スキャナーで全エントリのサイズを取得（直接Mapを返す）
+    const controller = new AbortController();
+    // 中断後に届く進捗は、次のスキャンの表示と混ざらないよう破棄する
+    const reportProgress = onProgress ? (progress) => {
+      if (!controller.signal.aborted) {
+        onProgress(progress);
+      }
+    } : null;
+    const ruleSets = getExcludeRuleSets(rootPath);
+    const promise = scanDirectory(rootPath, {
+      backend: SCAN_BACKEND,
+      onProgress: reportProgress,
+      signal: controller.signal,
+      excludeRules: ruleSets,
+      oneFileSystem: scanOptions.oneFileSystem
+    });
+    activeScan = { rootPath, controller, promise };
+    
+    let result;
+    try {
+      result = await promise;
+    } finally {
+      if (activeScan && activeScan.promise === promise) {
+        activeScan = null;
+      }
+    }
     
-    // キャッシュに保存
+    // キャッシュに保存（中断された場合も途中までの結果を閲覧できるよう残す）
     duCache.set(rootPath, {
-      sizeMap: sizeMap,
+      sizeMap: result.sizeMap,
+      apparentMap: result.apparentMap,
+      mtimeMap: result.mtimeMap,
+      atimeMap: result.atimeMap,
+      directories: result.directories,
+      errors: result.errors,
+      errorCount: result.errorCount,
+      // duバックエンドはルールを適用しないため、ルール無しのスキャンとして扱う
+      excludeRules: SCAN_BACKEND === 'native' ? ruleSets : [],
+      oneFileSystem: scanOptions.oneFileSystem,
+      excluded: result.excluded,
+      excludedCount: result.excludedCount,
+      incomplete: !!result.incomplete,
       timestamp: Date.now()
     });
     
-    console.log(`Cached ${sizeMap.size} entries for ${rootPath}`);
-    return sizeMap;
+    console.log(`Cached ${result.sizeMap.size} entries for ${rootPath}${result.incomplete ? ' (incomplete)' : ''}`);
+    // 未完了のスキャンは監視も保存もしない（再スキャンで置き換える前提）
+    if (!result.incomplete) {
+      startWatching(rootPath);
+      persistScan(rootPath);
+    }
+    return result.sizeMap;
     
   } catch (error) {
     console.warn(`Error getting DU data for ${rootPath}: ${error.message}`);
-    
-    // フォールバック処理
-    if (error.message.includes('maxBuffer') || error.message.includes('stdout maxBuffer') || error.message.includes('timed out') || error.message.includes('Invalid string length')) {
-      console.log('Trying fallback: du without -a option (directories only)');
-      try {
-        // フォールバックでも直接Mapを返すストリーミング処理を使用
-        const sizeMap = await executeDuWithProgress(rootPath, false, onProgress);
-        
-        // フォールバックキャッシュに保存
-        duCache.set(rootPath, {
-          sizeMap: sizeMap,
-          timestamp: Date.now()
-        });
-        
-        console.log(`Fallback: Cached ${sizeMap.size} directory entries for ${rootPath}`);
-        return sizeMap;
-        
-      } catch (fallbackError) {
-        console.warn(`Fallback also failed for ${rootPath}: ${fallbackError.message}`);
-      }
-    }
-    
     return new Map();
   }
 }
 
-// パスを正規化（末尾のスラッシュを削除、相対パスを絶対パスに変換）
-function normalizePath(filePath) {
-  const resolved = path.resolve(filePath);
-  return resolved.replace(/\/+$/, '') || '/';
-}
-
 // 指定されたパスがどのキャッシュルートに含まれるかを検索
 function findCachedRoot(targetPath) {
   const normalizedTarget = normalizePath(targetPath);
@@ -349,7 +812,9 @@ function findCachedRoot(targetPath) {
   let bestMatch = null;
   let bestMatchLength = 0;
   
-  for (const [cachedRoot, cacheData] of duCache) {
+  // メモリ上のキャッシュに加え、ディスクに保存済みのスキャンも候補にする
+  const candidates = [...duCache, ...storedScans];
+  for (const [cachedRoot, cacheData] of candidates) {
     // キャッシュが有効かチェック
     const now = Date.now();
     if ((now - cacheData.timestamp) >= CACHE_EXPIRY) {
@@ -358,9 +823,9 @@ function findCachedRoot(targetPath) {
     
     const normalizedRoot = normalizePath(cachedRoot);
     
-    // targetPathがcachedRootの子または同じパスかチェック
-    if (normalizedTarget === normalizedRoot || 
-        normalizedTarget.startsWith(normalizedRoot + path.sep)) {
+    // targetPathがcachedRootの子または同じパスかチェック（除外したパスはそのルートに含まれない）
+    if (isPathWithin(normalizedTarget, normalizedRoot) &&
+        !excludeRules.createMatcher(getExcludeRuleSets(normalizedRoot), normalizedRoot).isExcluded(normalizedTarget)) {
       // より深い（具体的な）マッチを優先
       if (normalizedRoot.length > bestMatchLength) {
         bestMatch = cachedRoot;
@@ -404,7 +869,7 @@ async function calculateDirectorySize(dirPath, rootPath = null) {
   }
 }
 
-async function getDirectoryTree(dirPath) {
+async function getDirectoryTree(dirPath, options = {}) {
   try {
     const stats = await fs.stat(dirPath);
     const baseName = path.basename(dirPath) || dirPath;
@@ -425,12 +890,12 @@ async function getDirectoryTree(dirPath) {
         let totalSize = 0;
         
         for (const entry of entries) {
-          // 隠しファイルをスキップ（オプション）
-          if (entry.startsWith('.')) continue;
+          // 隠しファイルは指定された場合のみ含める
+          if (!options.showHidden && entry.startsWith('.')) continue;
           
           const fullPath = path.join(dirPath, entry);
           try {
-            const child = await getDirectoryTree(fullPath);
+            const child = await getDirectoryTree(fullPath, options);
             if (child) {
               children.push(child);
               totalSize += child.size || 0;
@@ -509,8 +974,57 @@ async function getFileList(dirPath) {
   }
 }
 
-ipcMain.handle('get-disk-usage', async (event, dirPath) => {
-  return await getDiskUsage(dirPath, event);
+ipcMain.handle('get-disk-usage', async (event, dirPath, options) => {
+  return await getDiskUsage(dirPath, event, options);
+});
+
+ipcMain.handle('cancel-scan', () => {
+  return { success: cancelActiveScan() };
+});
+
+// 保存済みスキャンの一覧（新しい順）
+ipcMain.handle('get-stored-scans', () => {
+  return [...storedScans.entries()]
+    .map(([root, meta]) => ({
+      root,
+      scannedAt: meta.timestamp,
+      entryCount: meta.entryCount,
+      totalSize: meta.totalSize
+    }))
+    .sort((a, b) => b.scannedAt - a.scannedAt);
+});
+
+// プロパティ表示用の詳細情報（ディスク使用量と見かけのサイズの両方）
+ipcMain.handle('get-item-info', async (event, itemPath) => {
+  try {
+    const stats = await fs.lstat(itemPath);
+    const rootPath = findCachedRoot(itemPath);
+    const cached = rootPath && isDuCacheValid(rootPath) ? duCache.get(rootPath) : null;
+    const normalizedPath = normalizePath(itemPath);
+    
+    // ディレクトリはスキャン結果の合計、キャッシュに無ければエントリ自身の値
+    const diskUsage = cached && cached.sizeMap.has(normalizedPath)
+      ? cached.sizeMap.get(normalizedPath)
+      : getAllocatedSize(stats);
+    const apparentSize = cached && cached.apparentMap && cached.apparentMap.has(normalizedPath)
+      ? cached.apparentMap.get(normalizedPath)
+      : (cached && !cached.apparentMap ? null : stats.size);
+    
+    return {
+      success: true,
+      info: {
+        path: itemPath,
+        type: stats.isDirectory() ? 'directory' : 'file',
+        diskUsage,
+        apparentSize,
+        linkCount: stats.nlink,
+        modifiedAt: stats.mtimeMs
+      }
+    };
+  } catch (error) {
+    console.error('Error getting item info:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 ipcMain.handle('get-file-list', async (event, dirPath) => {
@@ -599,26 +1113,65 @@ ipcMain.handle('select-folder', async (event) => {
   }
 });
 
-ipcMain.handle('delete-file', async (event, filePath) => {
-  try {
-    console.log('Attempting to delete file/directory:', filePath);
-    
-    // セキュリティチェック：重要なシステムディレクトリは削除を防ぐ
-    const dangerousPaths = ['/', '/System', '/usr', '/bin', '/sbin', '/etc', '/var', '/tmp'];
-    const normalizedPath = path.resolve(filePath);
-    
-    if (dangerousPaths.some(dangerous => normalizedPath === dangerous || normalizedPath.startsWith(dangerous + '/'))) {
-      console.error('Attempted to delete dangerous system path:', normalizedPath);
-      return { success: false, error: 'システムの重要なディレクトリは削除できません' };
-    }
-    
-    // ファイル/ディレクトリの存在確認
-    const exists = await fs.access(filePath).then(() => true).catch(() => false);
-    if (!exists) {
-      console.error('File/directory does not exist:', filePath);
-      return { success: false, error: 'ファイルまたはディレクトリが存在しません' };
+// 削除してよいパスか確認する（問題があればエラーメッセージ、なければnull）
+async function checkDeletablePath(filePath) {
+  // セキュリティチェック：重要なシステムディレクトリは削除を防ぐ
+  const dangerousPaths = ['/', '/System', '/usr', '/bin', '/sbin', '/etc', '/var', '/tmp'];
+  const normalizedPath = path.resolve(filePath);
+  
+  if (dangerousPaths.some(dangerous => normalizedPath === dangerous || normalizedPath.startsWith(dangerous + '/'))) {
+    console.error('Attempted to delete dangerous system path:', normalizedPath);
+    return 'システムの重要なディレクトリは削除できません';
+  }
+  
+  // マウントポイント自体は削除しない（マウント先のファイルシステムを丸ごと消してしまうため）
+  const mounts = await getMountPoints();
+  if (mounts.has(normalizedPath)) {
+    console.error('Attempted to delete mount point:', normalizedPath);
+    return 'マウントポイントは削除できません';
+  }
+  
+  // ファイル/ディレクトリの存在確認
+  const stats = await fs.lstat(normalizedPath).catch(() => null);
+  if (!stats) {
+    console.error('File/directory does not exist:', filePath);
+    return 'ファイルまたはディレクトリが存在しません';
+  }
+  
+  // マウント一覧を取れない環境（Linux 以外）でも、親とデバイスが違えばマウントポイントとみなす
+  if (stats.isDirectory()) {
+    const parentStats = await fs.stat(path.dirname(normalizedPath)).catch(() => null);
+    if (parentStats && parentStats.dev !== stats.dev) {
+      console.error('Attempted to delete mount point:', normalizedPath);
+      return 'マウントポイントは削除できません';
     }
-    
+  }
+  return null;
+}
+
+function getDeleteErrorMessage(error) {
+  // エラーの種類に応じたメッセージ
+  if (error.code === 'ENOENT') {
+    return 'ファイルまたはディレクトリが見つかりません';
+  } else if (error.code === 'EACCES' || error.code === 'EPERM') {
+    return '削除する権限がありません';
+  } else if (error.code === 'ENOTEMPTY') {
+    return 'ディレクトリが空ではありません';
+  } else if (error.code === 'EBUSY') {
+    return 'ファイルまたはディレクトリが使用中です';
+  }
+  return error.message;
+}
+
+// 1件をゴミ箱に移動（options.permanent が true なら完全に削除）
+// ゴミ箱に移動した場合は、元に戻すための場所（分からなければnull）を返す
+async function deletePath(filePath, options = {}) {
+  const checkError = await checkDeletablePath(filePath);
+  if (checkError) {
+    throw new Error(checkError);
+  }
+  
+  if (options.permanent) {
     // ファイルかディレクトリかを判定
     const stats = await fs.stat(filePath);
     
@@ -631,35 +1184,767 @@ ipcMain.handle('delete-file', async (event, filePath) => {
       await fs.unlink(filePath);
       console.log('Successfully deleted file:', filePath);
     }
+    return null;
+  }
+  
+  const startedAt = Date.now();
+  await shell.trashItem(filePath);
+  console.log('Successfully trashed file/directory:', filePath);
+  return trash.locateTrashedItem(path.resolve(filePath), startedAt).catch(() => null);
+}
+
+// 元に戻せるようにゴミ箱の場所を記録し、IDを返す（1件も分からなければnull）
+function rememberTrashedItems(trashedItems) {
+  if (trashedItems.length === 0) {
+    return null;
+  }
+  const undoId = String(nextTrashId++);
+  trashHistory.set(undoId, trashedItems);
+  // 古い履歴は捨てる
+  if (trashHistory.size > TRASH_HISTORY_LIMIT) {
+    trashHistory.delete(trashHistory.keys().next().value);
+  }
+  return undoId;
+}
+
+// 他の対象の中にあるパスは、親と一緒に消えるので除く
+function removeNestedPaths(paths) {
+  const resolved = [...new Set(paths.map(filePath => path.resolve(filePath)))];
+  return resolved.filter(filePath => !resolved.some(other => other !== filePath && isPathWithin(filePath, other)));
+}
+
+// 既定ではゴミ箱に移動し、元に戻すためのIDを返す（ゴミ箱の場所が分からない環境ではundoIdはnull）
+// options.permanent が true のときだけ完全に削除する
+ipcMain.handle('delete-file', async (event, filePath, options = {}) => {
+  try {
+    console.log(options.permanent ? 'Attempting to delete file/directory:' : 'Attempting to trash file/directory:', filePath);
     
-    return { success: true };
-  } catch (error) {
+    const trashedItem = await deletePath(filePath, options);
+    const undoId = rememberTrashedItems(trashedItem ? [trashedItem] : []);
+    
+    // 再スキャンせずに、キャッシュ済みのスキャン結果から取り除く
+    await applyChangesToCachedScans([filePath]);
+    
+    return { success: true, trashed: !options.permanent, undoId };
+  } catch (error) {
     console.error('Error deleting file/directory:', error);
+    return { success: false, error: getDeleteErrorMessage(error) };
+  }
+});
+
+// 複数の項目をまとめてゴミ箱に移動（または完全に削除）し、最後に1回だけキャッシュを更新する
+// 一部が失敗しても残りは続ける（results に1件ずつの結果）
+ipcMain.handle('delete-files', async (event, filePaths, options = {}) => {
+  const results = [];
+  const trashedItems = [];
+  const deletedPaths = [];
+  
+  for (const filePath of removeNestedPaths(filePaths)) {
+    try {
+      const trashedItem = await deletePath(filePath, options);
+      if (trashedItem) {
+        trashedItems.push(trashedItem);
+      }
+      deletedPaths.push(filePath);
+      results.push({ path: filePath, success: true });
+    } catch (error) {
+      console.error('Error deleting file/directory:', filePath, error);
+      results.push({ path: filePath, success: false, error: getDeleteErrorMessage(error) });
+    }
+  }
+  
+  try {
+    await applyChangesToCachedScans(deletedPaths);
+  } catch (error) {
+    console.error('Error updating cached scans:', error);
+  }
+  
+  return {
+    success: deletedPaths.length > 0,
+    trashed: !options.permanent,
+    undoId: rememberTrashedItems(trashedItems),
+    deletedCount: deletedPaths.length,
+    results
+  };
+});
+
+// 複数の項目をフォルダへ移動する（別のファイルシステムへはコピーして確認してから元を削除）
+// options.leaveSymlink: 元の場所に移動先へのシンボリックリンクを残す
+ipcMain.handle('move-files', async (event, filePaths, destinationDir, options = {}) => {
+  const results = [];
+  const changedPaths = [];
+  
+  try {
+    const destinationStats = await fs.stat(destinationDir);
+    if (!destinationStats.isDirectory()) {
+      return { success: false, error: '移動先がフォルダではありません' };
+    }
+  } catch (error) {
+    return { success: false, error: '移動先のフォルダが見つかりません' };
+  }
+  
+  // 同時に実行するのは1つだけ
+  if (activeMove) {
+    return { success: false, error: '別の移動を実行中です' };
+  }
+  const controller = new AbortController();
+  activeMove = { controller };
+  
+  const sourcePaths = removeNestedPaths(filePaths);
+  try {
+    for (const [index, filePath] of sourcePaths.entries()) {
+      if (controller.signal.aborted) {
+        results.push({ path: filePath, success: false, error: '移動を中止しました' });
+        continue;
+      }
+      try {
+        const checkError = await checkDeletablePath(filePath);
+        if (checkError) {
+          throw new Error(checkError);
+        }
+        if (isPathWithin(path.resolve(destinationDir), filePath)) {
+          throw new Error('フォルダをその中には移動できません');
+        }
+        if (path.resolve(destinationDir) === path.dirname(filePath)) {
+          throw new Error('移動先が元の場所と同じです');
+        }
+        
+        const moved = await relocate.moveItem(filePath, destinationDir, {
+          leaveSymlink: !!options.leaveSymlink,
+          signal: controller.signal,
+          onProgress: (progress) => {
+            event.sender.send('move-progress', { path: filePath, index, count: sourcePaths.length, ...progress });
+          }
+        });
+        console.log(moved.copied ? 'Copied and removed:' : 'Moved:', filePath, '->', moved.targetPath);
+        changedPaths.push(filePath, moved.targetPath);
+        results.push({ path: filePath, success: true, newPath: moved.targetPath, copied: moved.copied });
+      } catch (error) {
+        console.error('Error moving file/directory:', filePath, error);
+        const errorMessage = error.name === 'AbortError'
+          ? '移動を中止しました'
+          : (error.code === 'ENOSPC' ? '移動先の空き容量が足りません' : getDeleteErrorMessage(error));
+        results.push({ path: filePath, success: false, error: errorMessage });
+      }
+    }
+  } finally {
+    activeMove = null;
+  }
+  
+  // 移動元と移動先の両方をスキャン結果に反映（別のスキャンルートにあればそれぞれ更新される）
+  try {
+    await applyChangesToCachedScans(changedPaths);
+  } catch (error) {
+    console.error('Error updating cached scans:', error);
+  }
+  
+  return { success: changedPaths.length > 0, movedCount: changedPaths.length / 2, results };
+});
+
+ipcMain.handle('cancel-move', () => {
+  if (!activeMove) {
+    return { success: false };
+  }
+  activeMove.controller.abort();
+  return { success: true };
+});
+
+// ファイル・フォルダを隣にアーカイブとして圧縮する
+// options.format: 'tar.gz' | 'tar.zst' | 'zip'
+// options.removeOriginal: 圧縮後に元の項目を 'trash'（ゴミ箱に移動）/ 'permanent'（完全に削除）する
+ipcMain.handle('compress-item', async (event, filePath, options = {}) => {
+  try {
+    // 元の項目を消す場合は、圧縮を始める前に削除してよいか確認する
+    if (options.removeOriginal) {
+      const checkError = await checkDeletablePath(filePath);
+      if (checkError) {
+        return { success: false, error: checkError };
+      }
+    }
     
-    // エラーの種類に応じたメッセージ
-    let errorMessage = error.message;
-    if (error.code === 'ENOENT') {
-      errorMessage = 'ファイルまたはディレクトリが見つかりません';
-    } else if (error.code === 'EACCES' || error.code === 'EPERM') {
-      errorMessage = '削除する権限がありません';
-    } else if (error.code === 'ENOTEMPTY') {
-      errorMessage = 'ディレクトリが空ではありません';
-    } else if (error.code === 'EBUSY') {
-      errorMessage = 'ファイルまたはディレクトリが使用中です';
+    // 同時に実行するのは1つだけ
+    if (activeCompression) {
+      return { success: false, error: '別の圧縮を実行中です' };
     }
+    const controller = new AbortController();
+    activeCompression = { controller };
     
+    let result;
+    try {
+      result = await compressPath(path.resolve(filePath), {
+        format: options.format,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          event.sender.send('compress-progress', { path: filePath, ...progress });
+        }
+      });
+    } finally {
+      activeCompression = null;
+    }
+    console.log('Compressed:', filePath, '->', result.archivePath);
+    
+    const changedPaths = [result.archivePath];
+    let removed = false;
+    let undoId = null;
+    if (options.removeOriginal) {
+      try {
+        const trashedItem = await deletePath(filePath, { permanent: options.removeOriginal === 'permanent' });
+        undoId = rememberTrashedItems(trashedItem ? [trashedItem] : []);
+        removed = true;
+        changedPaths.push(filePath);
+      } catch (error) {
+        console.error('Error removing original after compression:', error);
+        result.removeError = getDeleteErrorMessage(error);
+      }
+    }
+    
+    // アーカイブの追加と元の項目の削除を、まとめてスキャン結果に反映
+    await applyChangesToCachedScans(changedPaths);
+    
+    return { success: true, ...result, removed, trashed: removed && options.removeOriginal !== 'permanent', undoId };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { success: false, cancelled: true };
+    }
+    console.error('Error compressing file/directory:', error);
+    const errorMessage = error.code === 'ENOSPC' ? 'ディスクの空き容量が足りません' : getDeleteErrorMessage(error);
     return { success: false, error: errorMessage };
   }
 });
 
+ipcMain.handle('cancel-compress', () => {
+  if (!activeCompression) {
+    return { success: false };
+  }
+  activeCompression.controller.abort();
+  return { success: true };
+});
+
+// ゴミ箱に移動した項目を元の場所に戻す
+ipcMain.handle('restore-trashed-item', async (event, undoId) => {
+  const trashedItems = trashHistory.get(undoId);
+  if (!trashedItems) {
+    return { success: false, error: '元に戻せる項目が見つかりません' };
+  }
+  trashHistory.delete(undoId);
+  
+  const restoredPaths = [];
+  const errors = [];
+  for (const trashedItem of trashedItems) {
+    try {
+      await trash.restoreTrashedItem(trashedItem);
+      console.log('Restored from trash:', trashedItem.originalPath);
+      restoredPaths.push(trashedItem.originalPath);
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      const errorMessage = error.code === 'ENOENT' ? 'ゴミ箱に項目が見つかりません' : error.message;
+      errors.push(`${trashedItem.originalPath}: ${errorMessage}`);
+    }
+  }
+  
+  // 戻した項目をキャッシュ済みのスキャン結果に加える
+  try {
+    await applyChangesToCachedScans(restoredPaths);
+  } catch (error) {
+    console.error('Error updating cached scans:', error);
+  }
+  
+  if (restoredPaths.length === 0) {
+    return { success: false, error: errors.join('\n') };
+  }
+  return { success: true, paths: restoredPaths, errors };
+});
+
+// 拡張子・分類ごとの集計（スキャン結果から計算）
+ipcMain.handle('get-type-breakdown', async (event, dirPath, options = {}) => {
+  try {
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: '先にフォルダをスキャンしてください' };
+    }
+    
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    
+    const sizeMap = options.sizeMode === 'apparent' && cached.apparentMap ? cached.apparentMap : cached.sizeMap;
+    return { success: true, ...fileTypes.getTypeBreakdown(cached, normalizePath(dirPath), { sizeMap }) };
+  } catch (error) {
+    console.error('Error getting type breakdown:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 名前・パスによる検索（スキャン結果から検索）
+ipcMain.handle('search-scan', async (event, dirPath, options = {}) => {
+  try {
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: '先にフォルダをスキャンしてください' };
+    }
+    
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    
+    const sizeMap = options.sizeMode === 'apparent' && cached.apparentMap ? cached.apparentMap : cached.sizeMap;
+    // 新しい検索を始めたら、前の検索は中断する
+    if (activeSearch) {
+      activeSearch.controller.abort();
+    }
+    const controller = new AbortController();
+    activeSearch = { controller };
+    
+    let result;
+    try {
+      result = await searchScan(cached, normalizePath(dirPath), {
+        query: options.query,
+        mode: options.mode,
+        sizeMap,
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true, error: error.message };
+      }
+      return { success: false, error: `検索条件が不正です: ${error.message}` };
+    } finally {
+      if (activeSearch && activeSearch.controller === controller) {
+        activeSearch = null;
+      }
+    }
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error searching scan:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 大きいファイルの一覧（スキャン結果から計算）
+ipcMain.handle('get-largest-files', async (event, dirPath, options = {}) => {
+  try {
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: '先にフォルダをスキャンしてください' };
+    }
+    
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    
+    const sizeMap = options.sizeMode === 'apparent' && cached.apparentMap ? cached.apparentMap : cached.sizeMap;
+    return {
+      success: true,
+      ...getLargestFiles(cached, normalizePath(dirPath), {
+        sizeMap,
+        limit: options.limit,
+        minSize: options.minSize || 0
+      })
+    };
+  } catch (error) {
+    console.error('Error getting largest files:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 整理の候補（よく知られた不要になりやすいディレクトリ・ファイルをスキャン結果から探す）
+ipcMain.handle('get-suggestions', async (event, dirPath, options = {}) => {
+  try {
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: '先にフォルダをスキャンしてください' };
+    }
+    
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    
+    const sizeMap = options.sizeMode === 'apparent' && cached.apparentMap ? cached.apparentMap : cached.sizeMap;
+    return {
+      success: true,
+      ...suggestions.findSuggestions(cached, normalizePath(dirPath), {
+        sizeMap,
+        userRules: suggestionRules,
+        homeDir: app.getPath('home')
+      })
+    };
+  } catch (error) {
+    console.error('Error finding suggestions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-suggestion-rules', () => {
+  return {
+    builtin: suggestions.BUILTIN_RULES.map(rule => ({ label: rule.label, patterns: rule.patterns, rationale: rule.rationale })),
+    user: suggestionRules
+  };
+});
+
+ipcMain.handle('set-suggestion-rules', async (event, rules) => {
+  try {
+    suggestionRules = suggestions.normalizeUserRules(rules);
+    await suggestions.saveUserRules(SUGGESTION_RULES_FILE, suggestionRules);
+    return { success: true, user: suggestionRules };
+  } catch (error) {
+    console.error('Error saving suggestion rules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 更新日時・アクセス日時による経過時間の分析（スキャン結果から計算）
+ipcMain.handle('get-age-report', async (event, dirPath, options = {}) => {
+  try {
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: '先にフォルダをスキャンしてください' };
+    }
+    
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    if (!cached.mtimeMap || !cached.atimeMap) {
+      return { success: false, error: 'このスキャン結果には日時が記録されていません。再スキャンしてください' };
+    }
+    
+    const sizeMap = options.sizeMode === 'apparent' && cached.apparentMap ? cached.apparentMap : cached.sizeMap;
+    return {
+      success: true,
+      ...ageAnalysis.getAgeReport(cached, normalizePath(dirPath), {
+        timeField: options.timeField === 'atime' ? 'atime' : 'mtime',
+        minAgeDays: options.minAgeDays || ageAnalysis.DEFAULT_MIN_AGE_DAYS,
+        sizeMap
+      })
+    };
+  } catch (error) {
+    console.error('Error getting age report:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 書き出し先を選ぶ（キャンセルされたらnull）
+async function chooseExportPath(dirPath, extension, label) {
+  const baseName = path.basename(dirPath) || 'root';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'レポートを書き出す',
+    defaultPath: path.join(app.getPath('documents'), `${baseName}-disk-usage.${extension}`),
+    filters: [{ name: label, extensions: [extension] }]
+  });
+  return result.canceled || !result.filePath ? null : result.filePath;
+}
+
+// スキャン結果からレポート（CSV / JSON / HTML）を書き出す（再スキャンはしない）
+// options: { format, maxDepth（CSV / JSON の深さ、0で無制限）, depth（HTML の階層数）, sizeMode }
+ipcMain.handle('export-report', async (event, dirPath, options = {}) => {
+  try {
+    const format = reportExport.REPORT_FORMATS[options.format];
+    if (!format) {
+      return { success: false, error: `未対応の形式です: ${options.format}` };
+    }
+    
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: '先にフォルダをスキャンしてください' };
+    }
+    
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    const sizeMap = options.sizeMode === 'apparent' && cached.apparentMap ? cached.apparentMap : cached.sizeMap;
+    
+    const filePath = await chooseExportPath(dirPath, format.extension, format.label);
+    if (!filePath) {
+      return { success: false, canceled: true };
+    }
+    
+    const targetPath = normalizePath(dirPath);
+    let entryCount = null;
+    if (options.format === 'html') {
+      await reportExport.writeHtmlReport(cached, targetPath, filePath, { sizeMap, depth: options.depth, sizeMode: options.sizeMode });
+    } else {
+      entryCount = await reportExport.writeListReport(cached, targetPath, filePath, {
+        format: options.format,
+        sizeMap,
+        maxDepth: options.maxDepth,
+        sizeMode: options.sizeMode
+      });
+    }
+    console.log('Exported report:', filePath);
+    return { success: true, path: filePath, entryCount };
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 画面のツリーマップを画像（SVG / PNG）として保存する
+// SVG は文字列、PNG は base64 で受け取る
+ipcMain.handle('export-image', async (event, dirPath, format, data) => {
+  try {
+    const label = format === 'png' ? 'PNG画像' : 'SVG画像';
+    const filePath = await chooseExportPath(dirPath, format === 'png' ? 'png' : 'svg', label);
+    if (!filePath) {
+      return { success: false, canceled: true };
+    }
+    await fs.writeFile(filePath, format === 'png' ? Buffer.from(data, 'base64') : data);
+    console.log('Exported image:', filePath);
+    return { success: true, path: filePath };
+  } catch (error) {
+    console.error('Error exporting image:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// スキャン済みの範囲から重複ファイルを検出
+ipcMain.handle('find-duplicates', async (event, dirPath, options = {}) => {
+  try {
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: '先にフォルダをスキャンしてください' };
+    }
+    
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached || cached.sizeMap.size === 0) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    
+    // 同時に実行するのは1つだけ
+    if (activeDuplicateSearch) {
+      activeDuplicateSearch.controller.abort();
+    }
+    const controller = new AbortController();
+    activeDuplicateSearch = { controller };
+    
+    try {
+      const result = await duplicates.findDuplicates(cached, normalizePath(dirPath), {
+        minSize: options.minSize,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!controller.signal.aborted) {
+            event.sender.send('duplicates-progress', progress);
+          }
+        }
+      });
+      return { success: true, path: normalizePath(dirPath), ...result };
+    } finally {
+      if (activeDuplicateSearch && activeDuplicateSearch.controller === controller) {
+        activeDuplicateSearch = null;
+      }
+    }
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cancel-duplicates', () => {
+  if (!activeDuplicateSearch) {
+    return { success: false };
+  }
+  activeDuplicateSearch.controller.abort();
+  activeDuplicateSearch = null;
+  return { success: true };
+});
+
+// 容量アラート
+ipcMain.handle('get-alert-settings', () => {
+  return getAlertState();
+});
+
+ipcMain.handle('set-alert-settings', async (event, settings) => {
+  try {
+    const previousIds = new Set(alertSettings.watches.map(watch => watch.id));
+    alertSettings = alerts.normalizeSettings(settings);
+    // 実行中のチェックは古い設定のものなので中止する
+    if (activeAlertCheck) {
+      activeAlertCheck.controller.abort();
+    }
+    await alerts.saveSettings(ALERTS_FILE, alertSettings);
+    // 追加した監視は次の定期チェックを待たずに確かめる
+    const added = alertSettings.watches.some(watch => !previousIds.has(watch.id));
+    scheduleAlertChecks(added ? ALERT_FIRST_CHECK_DELAY : undefined);
+    updateTray();
+    return { success: true, ...getAlertState() };
+  } catch (error) {
+    console.error('Error saving alert settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('check-alerts', async () => {
+  await runAlertChecks();
+  return getAlertState();
+});
+
+// 通知のクリックなどで、ウィンドウを開いたときに表示するパス
+ipcMain.handle('take-pending-open-path', () => {
+  const targetPath = pendingOpenPath;
+  pendingOpenPath = null;
+  return targetPath;
+});
+
+// スキャンオプション（変更後のスキャンから適用される）
+ipcMain.handle('get-scan-options', () => {
+  return scanOptions;
+});
+
+ipcMain.handle('set-scan-options', (event, options) => {
+  scanOptions = { ...scanOptions, oneFileSystem: !!(options && options.oneFileSystem) };
+  return scanOptions;
+});
+
+// 除外パターン（全体と、指定パスを含むスキャンルートのもの）
+ipcMain.handle('get-exclude-rules', (event, dirPath) => {
+  const rootPath = dirPath ? findCachedRoot(dirPath) || normalizePath(dirPath) : null;
+  return {
+    global: excludeSettings.global,
+    rootPath,
+    root: rootPath ? excludeSettings.roots[rootPath] || [] : []
+  };
+});
+
+ipcMain.handle('set-exclude-rules', async (event, rootPath, globalPatterns, rootPatterns) => {
+  try {
+    const clean = (patterns) => (patterns || []).map(pattern => pattern.trim()).filter(Boolean);
+    const roots = { ...excludeSettings.roots };
+    if (rootPath) {
+      const normalizedRoot = normalizePath(rootPath);
+      if (clean(rootPatterns).length > 0) {
+        roots[normalizedRoot] = clean(rootPatterns);
+      } else {
+        delete roots[normalizedRoot];
+      }
+    }
+    
+    excludeSettings = { global: clean(globalPatterns), roots };
+    await excludeRules.saveSettings(EXCLUDE_RULES_FILE, excludeSettings);
+    // ルールが変わったスキャン結果は次に表示するときに読み直される
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving exclude rules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 現在のスキャン結果を名前付きスナップショットとして保存
+ipcMain.handle('save-snapshot', async (event, dirPath, name) => {
+  try {
+    const rootPath = findCachedRoot(dirPath);
+    if (!rootPath) {
+      return { success: false, error: 'スナップショットにできるスキャン結果がありません' };
+    }
+    
+    // ディスクにのみ保存されている場合はメモリに読み込む
+    await getAllDirectorySizes(rootPath);
+    const cached = duCache.get(rootPath);
+    if (!cached || cached.sizeMap.size === 0) {
+      return { success: false, error: 'スキャン結果を読み込めませんでした' };
+    }
+    // 途中までの結果と比較すると、残りがすべて追加・削除として表示されてしまう
+    if (cached.incomplete) {
+      return { success: false, error: 'スキャンが中断されたため保存できません。スキャンし直してください' };
+    }
+    
+    const snapshotName = (name && name.trim()) || `${rootPath} ${new Date(cached.timestamp).toLocaleString()}`;
+    const snapshot = await scanStore.saveSnapshot(SNAPSHOT_DIR, snapshotName, rootPath, cached);
+    console.log('Saved snapshot:', snapshot.id, snapshotName);
+    return { success: true, snapshot };
+  } catch (error) {
+    console.error('Error saving snapshot:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// スナップショット一覧（スキャン日時の新しい順）
+ipcMain.handle('list-snapshots', async () => {
+  const snapshots = await scanStore.listSnapshots(SNAPSHOT_DIR);
+  return Object.values(snapshots).sort((a, b) => b.timestamp - a.timestamp);
+});
+
+ipcMain.handle('delete-snapshot', async (event, id) => {
+  try {
+    await scanStore.deleteSnapshot(SNAPSHOT_DIR, id);
+    if (activeComparison && (activeComparison.base.meta.id === id || activeComparison.target.meta.id === id)) {
+      activeComparison = null;
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting snapshot:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 2つのスナップショットの比較を開始
+ipcMain.handle('compare-snapshots', async (event, baseId, targetId) => {
+  try {
+    const [base, target] = await Promise.all([
+      scanStore.loadSnapshot(SNAPSHOT_DIR, baseId),
+      scanStore.loadSnapshot(SNAPSHOT_DIR, targetId)
+    ]);
+    if (!base || !target) {
+      return { success: false, error: 'スナップショットを読み込めませんでした' };
+    }
+    // 別のフォルダのスナップショット同士では、すべてが追加・削除として表示されてしまう
+    if (base.meta.root !== target.meta.root) {
+      return { success: false, error: '同じフォルダのスナップショットを選択してください' };
+    }
+    
+    activeComparison = snapshotDiff.createComparison(base, target);
+    console.log(`Comparing snapshots ${baseId} -> ${targetId}`);
+    return {
+      success: true,
+      root: target.meta.root,
+      base: base.meta,
+      target: target.meta
+    };
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('end-comparison', () => {
+  activeComparison = null;
+  return { success: true };
+});
+
+// 比較中のスナップショットにおける指定ディレクトリ直下の差分
+ipcMain.handle('get-comparison-contents', (event, dirPath) => {
+  if (!activeComparison) {
+    return null;
+  }
+  return snapshotDiff.getComparisonContents(activeComparison, normalizePath(dirPath));
+});
+
+// 指定ディレクトリ以下で増減の大きいパス
+ipcMain.handle('get-comparison-changes', (event, dirPath, limit) => {
+  if (!activeComparison) {
+    return [];
+  }
+  return snapshotDiff.getTopChanges(activeComparison, { rootPath: normalizePath(dirPath), limit });
+});
+
 // キャッシュクリア用のIPCハンドラー
-ipcMain.handle('clear-du-cache', () => {
-  clearDuCache();
+ipcMain.handle('clear-du-cache', async () => {
+  await clearDuCache();
   return { success: true };
 });
 
 // 特定パスのキャッシュ無効化用のIPCハンドラー
-ipcMain.handle('invalidate-du-cache', (event, targetPath) => {
-  invalidateDuCache(targetPath);
+ipcMain.handle('invalidate-du-cache', async (event, targetPath) => {
+  await invalidateDuCache(targetPath);
   return { success: true };
 });
\ No newline at end of file
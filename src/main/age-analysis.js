@@ -0,0 +1,101 @@
+const path = require('path');
+const { isPathWithin } = require('./scanner');
+
+// 更新日時・アクセス日時による経過時間の分析
+// スキャン結果の mtimeMap / atimeMap を使う。ディレクトリの日時は中にあるものを含めた最も新しい値なので、
+// 「ディレクトリの日時が古い」＝「中のどれも長い間触られていない」になる。
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const AGE_BUCKETS = [
+  { id: 'week', label: '1週間以内', maxDays: 7 },
+  { id: 'month', label: '1ヶ月以内', maxDays: 30 },
+  { id: 'quarter', label: '3ヶ月以内', maxDays: 90 },
+  { id: 'halfYear', label: '6ヶ月以内', maxDays: 180 },
+  { id: 'year', label: '1年以内', maxDays: 365 },
+  { id: 'twoYears', label: '2年以内', maxDays: 730 },
+  { id: 'fiveYears', label: '5年以内', maxDays: 1825 },
+  { id: 'older', label: '5年以上前', maxDays: Infinity }
+];
+
+const DEFAULT_MIN_AGE_DAYS = 365; // これより長く触られていないものを「未使用」として一覧にする
+const DEFAULT_LIMIT = 100;
+
+function getAgeBucketIndex(time, now) {
+  const ageDays = (now - time) / DAY;
+  const index = AGE_BUCKETS.findIndex(bucket => ageDays <= bucket.maxDays);
+  return index < 0 ? AGE_BUCKETS.length - 1 : index;
+}
+
+// 大きい順に limit 件だけ残す
+function pushLargest(list, item, limit) {
+  list.push(item);
+  if (list.length > limit * 2) {
+    list.sort((a, b) => b.size - a.size);
+    list.length = limit;
+  }
+}
+
+// dirPath以下の経過時間の分布と、長い間触られていない大きなファイル・ディレクトリ
+// timeField は 'mtime'（更新日時）か 'atime'（アクセス日時）
+function getAgeReport(scan, dirPath, options = {}) {
+  const {
+    timeField = 'mtime',
+    sizeMap = scan.sizeMap,
+    minAgeDays = DEFAULT_MIN_AGE_DAYS,
+    limit = DEFAULT_LIMIT,
+    now = Date.now()
+  } = options;
+  const timeMap = timeField === 'atime' ? scan.atimeMap : scan.mtimeMap;
+  const threshold = now - minAgeDays * DAY;
+
+  const buckets = AGE_BUCKETS.map(bucket => ({
+    id: bucket.id,
+    label: bucket.label,
+    maxDays: Number.isFinite(bucket.maxDays) ? bucket.maxDays : null,
+    size: 0,
+    count: 0
+  }));
+  const files = [];
+  const directories = [];
+
+  for (const [entryPath, time] of timeMap) {
+    if (entryPath === dirPath || !isPathWithin(entryPath, dirPath)) {
+      continue;
+    }
+    const size = sizeMap.get(entryPath) || 0;
+
+    if (scan.directories.has(entryPath)) {
+      // 親も未使用なら親の方を一覧に出す（入れ子のディレクトリを重ねて数えない）
+      const parent = path.dirname(entryPath);
+      const parentUntouched = parent !== dirPath && isPathWithin(parent, dirPath) && timeMap.get(parent) < threshold;
+      if (time < threshold && !parentUntouched && size > 0) {
+        pushLargest(directories, { path: entryPath, name: path.basename(entryPath), size, time, type: 'directory' }, limit);
+      }
+      continue;
+    }
+
+    const bucket = buckets[getAgeBucketIndex(time, now)];
+    bucket.size += size;
+    bucket.count++;
+    if (time < threshold && size > 0) {
+      pushLargest(files, { path: entryPath, name: path.basename(entryPath), size, time, type: 'file' }, limit);
+    }
+  }
+
+  const bySize = (a, b) => b.size - a.size;
+  return {
+    path: dirPath,
+    timeField,
+    minAgeDays,
+    totalSize: buckets.reduce((sum, bucket) => sum + bucket.size, 0),
+    buckets,
+    files: files.sort(bySize).slice(0, limit),
+    directories: directories.sort(bySize).slice(0, limit)
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_AGE_DAYS,
+  getAgeReport
+};
@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { scanDirectory, normalizePath } = require('./scanner');
+const { getFilesystemSpace } = require('./mounts');
+
+// 容量アラート（監視するパスとしきい値）
+// 設定: { intervalMinutes, runInBackground, watches: [{ id, path, type, limit, unit }] }
+//   type: 'size' はフォルダのサイズが limit（バイト）を超えたら、
+//         'free' はパスを含むファイルシステムの空き容量が limit（unit: 'bytes' | 'percent'）を下回ったら
+// チェックはメインプロセスから定期的に行い、しきい値をまたいだときに通知する（判定は呼び出し側）。
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_INTERVAL_MINUTES = 5;
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function normalizeWatch(watch) {
+  if (!watch || typeof watch.path !== 'string' || !watch.path.trim()) {
+    return null;
+  }
+  const type = watch.type === 'free' ? 'free' : 'size';
+  const unit = type === 'free' && watch.unit === 'percent' ? 'percent' : 'bytes';
+  const limit = Number(watch.limit);
+  if (!Number.isFinite(limit) || limit <= 0 || (unit === 'percent' && limit >= 100)) {
+    return null;
+  }
+  return {
+    id: typeof watch.id === 'string' && watch.id ? watch.id : crypto.randomUUID(),
+    path: normalizePath(watch.path.trim()),
+    type,
+    limit,
+    unit
+  };
+}
+
+// 不正な値は既定値に戻し、条件として成り立たない監視は取り除く
+function normalizeSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const interval = Math.round(Number(source.intervalMinutes));
+  return {
+    intervalMinutes: Number.isFinite(interval) && interval > 0 ? Math.max(MIN_INTERVAL_MINUTES, interval) : DEFAULT_INTERVAL_MINUTES,
+    runInBackground: !!source.runInBackground,
+    watches: (Array.isArray(source.watches) ? source.watches : []).map(normalizeWatch).filter(Boolean)
+  };
+}
+
+async function loadSettings(filePath) {
+  try {
+    return normalizeSettings(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read alert settings: ${error.message}`);
+    }
+    return normalizeSettings({});
+  }
+}
+
+async function saveSettings(filePath, settings) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(settings, null, 2));
+}
+
+// 監視条件が同じか（しきい値を変えたら、またいだかどうかを判定し直す）
+function getWatchKey(watch) {
+  return [watch.path, watch.type, watch.limit, watch.unit].join('\0');
+}
+
+function formatLimit(watch) {
+  return watch.unit === 'percent' ? `${watch.limit}%` : formatBytes(watch.limit);
+}
+
+function formatValue(watch, value) {
+  return watch.unit === 'percent' ? `${value.toFixed(1)}%` : formatBytes(value);
+}
+
+// 1件の監視をチェックする: { id, key, checkedAt, value, exceeded, error }
+// options は size の監視でのスキャンに渡す（signal, excludeRules, oneFileSystem, backend）
+async function checkWatch(watch, options = {}) {
+  const { signal = null, excludeRules = [], oneFileSystem = false, backend = 'native' } = options;
+  const status = { id: watch.id, key: getWatchKey(watch), checkedAt: Date.now(), value: null, exceeded: false, error: null };
+  try {
+    if (watch.type === 'free') {
+      const space = await getFilesystemSpace(watch.path);
+      if (!space || space.totalBytes === 0) {
+        throw new Error('空き容量を取得できませんでした');
+      }
+      status.value = watch.unit === 'percent' ? space.freeBytes / space.totalBytes * 100 : space.freeBytes;
+      status.exceeded = status.value < watch.limit;
+    } else {
+      const stats = await fs.stat(watch.path).catch(() => null);
+      if (!stats || !stats.isDirectory()) {
+        throw new Error('フォルダが見つかりません');
+      }
+      const result = await scanDirectory(watch.path, { backend, signal, excludeRules, oneFileSystem });
+      if (result.incomplete) {
+        throw new Error('チェックを中止しました');
+      }
+      status.value = result.sizeMap.get(watch.path) || 0;
+      status.exceeded = status.value > watch.limit;
+    }
+  } catch (error) {
+    status.error = error.message;
+  }
+  return status;
+}
+
+// 通知に表示する文言
+function formatNotification(watch, status) {
+  if (watch.type === 'free') {
+    return {
+      title: '空き容量が少なくなっています',
+      body: `${watch.path} の空き容量: ${formatValue(watch, status.value)}（しきい値 ${formatLimit(watch)}）`
+    };
+  }
+  return {
+    title: 'フォルダのサイズがしきい値を超えました',
+    body: `${watch.path}: ${formatValue(watch, status.value)}（しきい値 ${formatLimit(watch)}）`
+  };
+}
+
+module.exports = {
+  MIN_INTERVAL_MINUTES,
+  normalizeSettings,
+  loadSettings,
+  saveSettings,
+  getWatchKey,
+  checkWatch,
+  formatNotification
+};
@@ -0,0 +1,309 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { scanDirectory, normalizePath, SCAN_BACKENDS } = require('./scanner');
+const excludeRules = require('./exclude-rules');
+const scanStore = require('./scan-store');
+const reportExport = require('./report-export');
+
+// ウィンドウを開かずにスキャンして、結果を標準出力に書き出すコマンドラインモード
+// `electron . --scan <path> [options]` と `node cli.js <path> [options]` の両方から使う。
+// 標準出力には結果だけを書き、ログや進捗は標準エラー出力に出す。
+
+const EXIT_CODES = {
+  ok: 0, // 完了
+  failed: 1, // スキャンや書き出しに失敗
+  usage: 2, // 引数の誤り
+  notFound: 3, // 指定したパスが無い・フォルダではない
+  partial: 4, // 完了したが読み取れなかったパスがある
+  interrupted: 130 // Ctrl+C で中断（途中までの結果を出力）
+};
+
+const DEFAULT_TOP = 20;
+
+const USAGE = `使い方: node cli.js <path> [オプション]
+       electron . --scan <path> [オプション]
+
+オプション:
+  --format <summary|json|csv>  出力形式（既定: summary）
+  --top <N>                    summary で表示する件数（既定: ${DEFAULT_TOP}）
+  --depth <N>                  対象にする深さ（summary の既定: 1、json/csv の既定: ${reportExport.DEFAULT_LIST_DEPTH}、0で無制限）
+  --exclude <pattern>          除外パターン（gitignore形式、スキャンするパスが基準。複数指定可）
+  --exclude-from <file>        除外パターンを1行に1つ書いたファイル
+  --one-file-system            別のファイルシステムには降りない
+  --apparent                   ディスク使用量の代わりに見かけのサイズを使う
+  --snapshot <file>            スキャン結果をスナップショット形式（.json.gz）のファイルに書き出す
+                               （アプリのスナップショット一覧には追加しない）
+  --save-snapshot <name>       スキャン結果をアプリのスナップショットとして保存（一覧から比較できる）
+  --use-du                     du コマンドでスキャンする
+  --quiet                      進捗を表示しない
+  --verbose                    ログを標準エラー出力に表示する
+  --help                       この説明を表示する
+
+終了コード:
+  0 完了 / 1 失敗 / 2 引数の誤り / 3 パスが見つからない / 4 読み取れなかったパスがある / 130 中断`;
+
+class UsageError extends Error {}
+
+function readValue(args, index, name) {
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new UsageError(`${name} には値が必要です`);
+  }
+  return value;
+}
+
+function readCount(args, index, name) {
+  const value = Number(readValue(args, index, name));
+  if (!Number.isInteger(value) || value < 0) {
+    throw new UsageError(`${name} には0以上の整数を指定してください`);
+  }
+  return value;
+}
+
+// 引数を解析する（--scan <path> と、位置引数のパスのどちらでもよい）
+function parseArgs(args) {
+  const options = {
+    scanPath: null,
+    format: 'summary',
+    top: DEFAULT_TOP,
+    depth: null,
+    excludes: [],
+    excludeFiles: [],
+    oneFileSystem: false,
+    sizeMode: 'disk',
+    snapshotPath: null,
+    snapshotName: null,
+    backend: 'native',
+    quiet: false,
+    verbose: false,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--scan': options.scanPath = readValue(args, i++, arg); break;
+      case '--format': options.format = readValue(args, i++, arg); break;
+      case '--top': options.top = readCount(args, i++, arg); break;
+      case '--depth': options.depth = readCount(args, i++, arg); break;
+      case '--exclude': options.excludes.push(readValue(args, i++, arg)); break;
+      case '--exclude-from': options.excludeFiles.push(readValue(args, i++, arg)); break;
+      case '--one-file-system': options.oneFileSystem = true; break;
+      case '--apparent': options.sizeMode = 'apparent'; break;
+      case '--snapshot': options.snapshotPath = readValue(args, i++, arg); break;
+      case '--save-snapshot': options.snapshotName = readValue(args, i++, arg).trim(); break;
+      case '--use-du': options.backend = 'du'; break;
+      case '--quiet': options.quiet = true; break;
+      case '--verbose': options.verbose = true; break;
+      case '--help': case '-h': options.help = true; break;
+      default:
+        if (arg.startsWith('-') || options.scanPath) {
+          throw new UsageError(`不明な引数です: ${arg}`);
+        }
+        options.scanPath = arg;
+    }
+  }
+
+  if (!options.help && !options.scanPath) {
+    throw new UsageError('スキャンするパスを指定してください');
+  }
+  if (options.snapshotName === '') {
+    throw new UsageError('--save-snapshot にはスナップショットの名前を指定してください');
+  }
+  if (!['summary', 'json', 'csv'].includes(options.format)) {
+    throw new UsageError(`不明な出力形式です: ${options.format}`);
+  }
+  if (!SCAN_BACKENDS.includes(options.backend)) {
+    throw new UsageError(`不明なスキャンバックエンドです: ${options.backend}`);
+  }
+  return options;
+}
+
+// アプリ（Electron）と同じユーザーデータのスナップショット保存先
+// Electron の userData は、OSごとのアプリケーションデータの場所に package.json の productName（無ければ name）を付けたもの
+function getDefaultSnapshotDir() {
+  const packageInfo = require('../../package.json');
+  const appName = packageInfo.productName || packageInfo.name;
+  let appData;
+  if (process.platform === 'darwin') {
+    appData = path.join(os.homedir(), 'Library', 'Application Support');
+  } else if (process.platform === 'win32') {
+    appData = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else {
+    appData = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  return path.join(appData, appName, 'snapshots');
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+async function readExcludePatterns(options) {
+  const patterns = [...options.excludes];
+  for (const filePath of options.excludeFiles) {
+    patterns.push(...(await fs.readFile(filePath, 'utf8')).split('\n'));
+  }
+  return patterns.map(pattern => pattern.trim()).filter(pattern => pattern && !pattern.startsWith('#'));
+}
+
+// 大きい順の上位 N 件（ルート自身は除く）
+function writeSummary(stream, scan, rootPath, options, elapsed) {
+  const sizeMap = options.sizeMode === 'apparent' && scan.apparentMap ? scan.apparentMap : scan.sizeMap;
+  const totalSize = sizeMap.get(rootPath) || 0;
+  const depth = options.depth === null ? 1 : options.depth;
+  const entries = reportExport.collectEntries(scan, rootPath, { sizeMap, maxDepth: depth })
+    .filter(entry => entry.path !== rootPath)
+    .sort((a, b) => b.size - a.size)
+    .slice(0, options.top);
+
+  const sizeLabel = options.sizeMode === 'apparent' && scan.apparentMap ? '見かけのサイズ' : 'ディスク使用量';
+  const lines = [
+    `${rootPath}  ${formatBytes(totalSize)}（${sizeLabel}）`,
+    `${scan.sizeMap.size.toLocaleString()} 件 / 読み取りエラー ${scan.errorCount || 0} 件 / 除外 ${scan.excludedCount || 0} 件 / ${(elapsed / 1000).toFixed(1)} 秒` +
+      (scan.incomplete ? ' / 中断（途中までの結果）' : ''),
+    ''
+  ];
+  const sizeWidth = Math.max(0, ...entries.map(entry => formatBytes(entry.size).length));
+  for (const entry of entries) {
+    const percent = totalSize > 0 ? `${(entry.size / totalSize * 100).toFixed(1)}%` : '-';
+    const name = path.relative(rootPath, entry.path) + (entry.type === 'directory' ? path.sep : '');
+    lines.push(`${formatBytes(entry.size).padStart(sizeWidth)}  ${percent.padStart(6)}  ${name}`);
+  }
+  stream.write(lines.join('\n') + '\n');
+}
+
+// コマンドラインモードの本体（終了コードを返す）
+// environment: { stdout, stderr, snapshotDir（--save-snapshot の保存先。Electron から実行する場合はアプリの保存先） }
+async function run(args, environment = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, snapshotDir = getDefaultSnapshotDir() } = environment;
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return EXIT_CODES.usage;
+    }
+    throw error;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.ok;
+  }
+
+  // スキャナーのログで標準出力を汚さない
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  console.log = options.verbose ? (...values) => console.error(...values) : () => {};
+  console.warn = options.verbose ? originalWarn : () => {};
+
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.once('SIGINT', interrupt);
+
+  // 出力先が先に閉じられた（`| head` など）ときは、書き込みをやめて正常に終える
+  // （書き込み後に遅れて届くエラーもあるため、リスナーは外さない）
+  let outputClosed = false;
+  const onOutputError = (error) => {
+    if (error.code === 'EPIPE') {
+      outputClosed = true;
+    }
+  };
+  stdout.on('error', onOutputError);
+
+  try {
+    const rootPath = normalizePath(options.scanPath);
+    const stats = await fs.stat(rootPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      stderr.write(`フォルダが見つかりません: ${rootPath}\n`);
+      return EXIT_CODES.notFound;
+    }
+
+    const patterns = await readExcludePatterns(options);
+    const ruleSets = excludeRules.getRuleSets({ global: [], roots: { [rootPath]: patterns } }, rootPath);
+    const showProgress = !options.quiet && stderr.isTTY;
+    const startedAt = Date.now();
+
+    const result = await scanDirectory(rootPath, {
+      backend: options.backend,
+      signal: controller.signal,
+      excludeRules: ruleSets,
+      oneFileSystem: options.oneFileSystem,
+      onProgress: showProgress ? (progress) => {
+        stderr.write(`\rスキャン中: ${progress.processedFiles.toLocaleString()} 件 ${formatBytes(progress.processedBytes || 0)}   `);
+      } : null
+    });
+    if (showProgress) {
+      stderr.write('\n');
+    }
+
+    const scan = {
+      ...result,
+      timestamp: startedAt,
+      excludeRules: options.backend === 'native' ? ruleSets : [],
+      oneFileSystem: options.oneFileSystem
+    };
+    const sizeMap = options.sizeMode === 'apparent' && scan.apparentMap ? scan.apparentMap : scan.sizeMap;
+
+    if (options.snapshotPath) {
+      await scanStore.writeScanFile(path.resolve(options.snapshotPath), rootPath, scan);
+    }
+    if (options.snapshotName) {
+      // 途中までの結果と比較すると、残りがすべて追加・削除として表示されてしまう（アプリと同じ）
+      if (scan.incomplete) {
+        stderr.write('スキャンが中断されたため、スナップショットを保存しませんでした\n');
+      } else {
+        const snapshot = await scanStore.saveSnapshot(snapshotDir, options.snapshotName, rootPath, scan);
+        stderr.write(`スナップショット「${snapshot.name}」を保存しました: ${snapshotDir}\n`);
+      }
+    }
+
+    if (options.format === 'summary') {
+      writeSummary(stdout, scan, rootPath, options, Date.now() - startedAt);
+    } else {
+      await reportExport.writeListReportTo(stdout, scan, rootPath, {
+        format: options.format,
+        sizeMap,
+        sizeMode: options.sizeMode,
+        maxDepth: options.depth === null ? reportExport.DEFAULT_LIST_DEPTH : options.depth
+      });
+    }
+
+    if (scan.incomplete) {
+      return EXIT_CODES.interrupted;
+    }
+    if (scan.errorCount > 0) {
+      stderr.write(`読み取れなかったパスが ${scan.errorCount} 件あります\n`);
+      (scan.errors || []).slice(0, 5).forEach(error => {
+        stderr.write(`  ${error.path ? `${error.path}: ${error.code || error.message}` : error.message}\n`);
+      });
+      return EXIT_CODES.partial;
+    }
+    return EXIT_CODES.ok;
+  } catch (error) {
+    if (outputClosed || error.code === 'EPIPE') {
+      return EXIT_CODES.ok;
+    }
+    stderr.write(`エラー: ${error.message}\n`);
+    return EXIT_CODES.failed;
+  } finally {
+    process.removeListener('SIGINT', interrupt);
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  run
+};
@@ -0,0 +1,214 @@
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// ファイル・フォルダを元の場所の隣にアーカイブとして圧縮する
+// tar 形式はシステムの tar コマンドの出力を Node の zlib で圧縮し、zip は zip コマンドを使う。
+// 書き込み中は一時ファイルに出力し、成功したときだけアーカイブの名前に変える。
+
+const ARCHIVE_FORMATS = {
+  'tar.gz': { label: 'tar.gz（gzip）', extension: '.tar.gz' },
+  'tar.zst': { label: 'tar.zst（Zstandard）', extension: '.tar.zst' },
+  zip: { label: 'zip', extension: '.zip' }
+};
+
+const PROGRESS_INTERVAL = 200; // 進捗を通知する間隔（ms）
+
+// 圧縮前の合計サイズ（見かけのサイズ）とファイル数
+async function measureSource(sourcePath) {
+  const stats = await fs.promises.lstat(sourcePath);
+  if (!stats.isDirectory()) {
+    return { size: stats.isFile() ? stats.size : 0, fileCount: 1 };
+  }
+
+  let size = 0;
+  let fileCount = 0;
+  const stack = [sourcePath];
+  while (stack.length > 0) {
+    const dirPath = stack.pop();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      continue; // 読めないディレクトリは tar / zip 側でエラーになる
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        stack.push(entryPath);
+      } else {
+        fileCount++;
+        if (entry.isFile()) {
+          size += await fs.promises.lstat(entryPath).then(entryStats => entryStats.size).catch(() => 0);
+        }
+      }
+    }
+  }
+  return { size, fileCount };
+}
+
+function createCompressor(format) {
+  if (format === 'tar.gz') {
+    return zlib.createGzip();
+  }
+  if (typeof zlib.createZstdCompress !== 'function') {
+    throw new Error('この環境では zstd 圧縮を利用できません');
+  }
+  return zlib.createZstdCompress();
+}
+
+// 子プロセスの終了を待つ（異常終了なら標準エラー出力の内容でエラーにする）
+function waitForExit(child, command) {
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+  return new Promise((resolve, reject) => {
+    child.on('error', (error) => {
+      reject(error.code === 'ENOENT' ? new Error(`${command} コマンドが見つかりません`) : error);
+    });
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim() || `${command} が異常終了しました（${signal || code}）`));
+      }
+    });
+  });
+}
+
+// tar の出力を数えながら圧縮してファイルに書き込む
+async function writeTarArchive(sourcePath, tempPath, format, signal, onBytes) {
+  const compressor = createCompressor(format);
+  const child = spawn('tar', ['-cf', '-', '-C', path.dirname(sourcePath), '--', path.basename(sourcePath)], {
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = waitForExit(child, 'tar');
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      onBytes(chunk.length);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await Promise.all([
+      pipeline(child.stdout, counter, compressor, fs.createWriteStream(tempPath), signal ? { signal } : {}),
+      exited
+    ]);
+  } catch (error) {
+    child.kill();
+    throw error;
+  }
+}
+
+// zip コマンドが1ファイルごとに出力する "adding: 相対パス (deflated 50%)" から進み具合を数える
+async function writeZipArchive(sourcePath, tempPath, signal, onBytes) {
+  const parentDir = path.dirname(sourcePath);
+  const child = spawn('zip', ['-r', '-y', tempPath, '--', path.basename(sourcePath)], {
+    cwd: parentDir,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = waitForExit(child, 'zip');
+  const abort = () => child.kill();
+  if (signal) {
+    signal.addEventListener('abort', abort, { once: true });
+  }
+
+  let buffered = '';
+  child.stdout.on('data', (chunk) => {
+    buffered += chunk;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      const match = line.match(/^\s*(?:adding|updating): (.+?)(?: \((?:deflated|stored|in=).*\))?$/);
+      if (match) {
+        fs.promises.lstat(path.join(parentDir, match[1]))
+          .then(stats => onBytes(stats.isFile() ? stats.size : 0))
+          .catch(() => {});
+      }
+    }
+  });
+
+  try {
+    await exited;
+  } catch (error) {
+    // 中止で kill した zip は異常終了になるので、中止として扱う
+    if (!(signal && signal.aborted)) {
+      throw error;
+    }
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+  }
+  if (signal && signal.aborted) {
+    throw Object.assign(new Error('圧縮を中止しました'), { name: 'AbortError' });
+  }
+}
+
+// sourcePath を同じフォルダの「名前 + 拡張子」に圧縮する
+// onProgress には { processedBytes, totalBytes } を渡す。signal（AbortSignal）で中止できる
+async function compressPath(sourcePath, options = {}) {
+  const { format = 'tar.gz', signal = null, onProgress = null } = options;
+  const archiveFormat = ARCHIVE_FORMATS[format];
+  if (!archiveFormat) {
+    throw new Error(`未対応の圧縮形式です: ${format}`);
+  }
+
+  const archivePath = sourcePath + archiveFormat.extension;
+  const exists = await fs.promises.lstat(archivePath).then(() => true).catch(() => false);
+  if (exists) {
+    throw new Error(`同じ名前のアーカイブがあります: ${path.basename(archivePath)}`);
+  }
+
+  const source = await measureSource(sourcePath);
+  // 作成中のファイルはアーカイブと区別できるよう隠しファイルにする
+  const tempPath = path.join(path.dirname(sourcePath), `.${path.basename(archivePath)}.partial`);
+
+  let processedBytes = 0;
+  let lastReport = 0;
+  const onBytes = (bytes) => {
+    processedBytes += bytes;
+    const now = Date.now();
+    if (onProgress && now - lastReport >= PROGRESS_INTERVAL) {
+      lastReport = now;
+      // tar はヘッダーの分だけ元のサイズより多くなるので、100%で止める
+      onProgress({ processedBytes: Math.min(processedBytes, source.size), totalBytes: source.size });
+    }
+  };
+
+  try {
+    if (format === 'zip') {
+      await writeZipArchive(sourcePath, tempPath, signal, onBytes);
+    } else {
+      await writeTarArchive(sourcePath, tempPath, format, signal, onBytes);
+    }
+    await fs.promises.rename(tempPath, archivePath);
+    if (onProgress) {
+      onProgress({ processedBytes: source.size, totalBytes: source.size });
+    }
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  const archiveSize = (await fs.promises.stat(archivePath)).size;
+  return {
+    sourcePath,
+    archivePath,
+    format,
+    originalSize: source.size,
+    fileCount: source.fileCount,
+    archiveSize,
+    ratio: source.size > 0 ? archiveSize / source.size : null
+  };
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  compressPath
+};
@@ -0,0 +1,181 @@
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// 重複ファイル検出のワーカー
+// サイズが同じファイルの組を受け取り、lstatで確認 → 先頭部分のハッシュ → 全体のハッシュの順に絞り込む
+
+const PARTIAL_HASH_SIZE = 64 * 1024; // 先頭部分のハッシュに使うバイト数
+const HASH_CONCURRENCY = 4; // 同時に読み込むファイル数
+const PROGRESS_INTERVAL = 250; // 進捗通知の間隔（ms）
+
+const { groups } = workerData;
+
+let cancelled = false;
+let phase = 'stat';
+let processedFiles = 0;
+let totalFiles = 0;
+let processedBytes = 0;
+let totalBytes = 0;
+let errorCount = 0;
+
+function handleMessage(message) {
+  if (message.type === 'cancel') {
+    cancelled = true;
+  }
+}
+parentPort.on('message', handleMessage);
+
+// 同時実行数を制限して items を順に処理
+async function forEachLimit(items, limit, task) {
+  let index = 0;
+  const runNext = async () => {
+    while (index < items.length && !cancelled) {
+      const item = items[index++];
+      await task(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+}
+
+function startPhase(name, groupsInPhase, bytesPerFile) {
+  phase = name;
+  processedFiles = 0;
+  processedBytes = 0;
+  totalFiles = groupsInPhase.reduce((sum, group) => sum + group.files.length, 0);
+  totalBytes = groupsInPhase.reduce((sum, group) => sum + group.files.length * bytesPerFile(group), 0);
+}
+
+async function hashHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(PARTIAL_HASH_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, PARTIAL_HASH_SIZE, 0);
+    processedBytes += bytesRead;
+    return crypto.createHash('sha1').update(buffer.subarray(0, bytesRead)).digest('hex');
+  } finally {
+    await handle.close();
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', (chunk) => {
+      if (cancelled) {
+        stream.destroy(new Error('cancelled'));
+        return;
+      }
+      hash.update(chunk);
+      processedBytes += chunk.length;
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// 各グループをハッシュ値で分け、2つ以上残ったものだけを返す
+async function splitByHash(candidateGroups, hashFn) {
+  const result = [];
+  for (const group of candidateGroups) {
+    if (cancelled) break;
+
+    const byHash = new Map();
+    await forEachLimit(group.files, HASH_CONCURRENCY, async (file) => {
+      try {
+        const hash = await hashFn(file.path);
+        if (!byHash.has(hash)) {
+          byHash.set(hash, []);
+        }
+        byHash.get(hash).push(file);
+      } catch (error) {
+        if (!cancelled) {
+          errorCount++;
+        }
+      }
+      processedFiles++;
+    });
+
+    for (const [hash, files] of byHash) {
+      if (files.length > 1) {
+        result.push({ size: group.size, hash, files });
+      }
+    }
+  }
+  return result;
+}
+
+// 実際のサイズを確認し、ハードリンク（同じinode）は1つにまとめる
+async function confirmSizes(pathGroups) {
+  phase = 'stat';
+  totalFiles = pathGroups.reduce((sum, paths) => sum + paths.length, 0);
+  const bySize = new Map();
+  const seenInodes = new Set();
+
+  for (const paths of pathGroups) {
+    await forEachLimit(paths, HASH_CONCURRENCY * 4, async (filePath) => {
+      try {
+        const stats = await fs.promises.lstat(filePath);
+        const inodeKey = `${stats.dev}:${stats.ino}`;
+        if (stats.isFile() && stats.size > 0 && !seenInodes.has(inodeKey)) {
+          seenInodes.add(inodeKey);
+          if (!bySize.has(stats.size)) {
+            bySize.set(stats.size, []);
+          }
+          bySize.get(stats.size).push({ path: filePath, mtimeMs: stats.mtimeMs, linkCount: stats.nlink });
+        }
+      } catch (error) {
+        errorCount++;
+      }
+      processedFiles++;
+    });
+  }
+
+  return [...bySize.entries()]
+    .filter(([, files]) => files.length > 1)
+    .map(([size, files]) => ({ size, files }));
+}
+
+function postProgress() {
+  parentPort.postMessage({
+    type: 'progress',
+    phase,
+    processedFiles,
+    totalFiles,
+    processedBytes,
+    totalBytes,
+    errorCount
+  });
+}
+
+async function run() {
+  const progressTimer = setInterval(postProgress, PROGRESS_INTERVAL);
+  let duplicates = [];
+
+  try {
+    const sizeGroups = await confirmSizes(groups);
+
+    startPhase('partial', sizeGroups, group => Math.min(group.size, PARTIAL_HASH_SIZE));
+    const partialGroups = await splitByHash(sizeGroups, hashHead);
+
+    // 先頭部分だけで全体を読み終えているファイルは、全体のハッシュを取り直さない
+    const smallGroups = partialGroups.filter(group => group.size <= PARTIAL_HASH_SIZE);
+    const largeGroups = partialGroups.filter(group => group.size > PARTIAL_HASH_SIZE);
+
+    startPhase('full', largeGroups, group => group.size);
+    duplicates = [...smallGroups, ...(await splitByHash(largeGroups, hashFile))];
+  } finally {
+    clearInterval(progressTimer);
+  }
+
+  parentPort.postMessage({
+    type: 'done',
+    groups: cancelled ? [] : duplicates,
+    errorCount,
+    cancelled
+  });
+  parentPort.off('message', handleMessage);
+}
+
+run();
@@ -0,0 +1,108 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { isPathWithin } = require('./scanner');
+
+// スキャン結果を使った重複ファイルの検出
+// サイズが同じファイルだけを候補とし、内容の確認（ハッシュ計算）はワーカーで行う。
+
+const DEFAULT_MIN_SIZE = 1024 * 1024; // これより小さいファイルは対象にしない（既定 1MB）
+
+// dirPath以下のファイルをサイズでまとめる（2つ以上あるサイズのみ）
+// 見かけのサイズが無いスキャン結果ではディスク使用量でまとめ、ワーカー側で実際のサイズを確認する
+function collectSizeGroups(scan, dirPath, minSize = DEFAULT_MIN_SIZE) {
+  const sizes = scan.apparentMap || scan.sizeMap;
+  const bySize = new Map();
+
+  for (const [entryPath, size] of sizes) {
+    if (size < Math.max(1, minSize) || scan.directories.has(entryPath) || !isPathWithin(entryPath, dirPath)) {
+      continue;
+    }
+    if (!bySize.has(size)) {
+      bySize.set(size, []);
+    }
+    bySize.get(size).push(entryPath);
+  }
+
+  return [...bySize.values()].filter(paths => paths.length > 1);
+}
+
+// 重複グループを削減できるバイト数の大きい順に返す
+// signal（AbortSignal）で中断すると cancelled: true で空の結果が返る
+function findDuplicates(scan, dirPath, options = {}) {
+  const { minSize = DEFAULT_MIN_SIZE, onProgress = null, signal = null } = options;
+  const groups = collectSizeGroups(scan, dirPath, minSize);
+  const candidateCount = groups.reduce((sum, paths) => sum + paths.length, 0);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'duplicate-worker.js'), {
+      workerData: { groups }
+    });
+    let settled = false;
+
+    const cancel = () => {
+      worker.postMessage({ type: 'cancel' });
+    };
+    if (signal) {
+      if (signal.aborted) {
+        cancel();
+      } else {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+    }
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        if (onProgress) {
+          onProgress(message);
+        }
+      } else if (message.type === 'done') {
+        settled = true;
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
+
+        const duplicateGroups = message.groups
+          .map(group => ({
+            size: group.size,
+            hash: group.hash,
+            reclaimable: group.size * (group.files.length - 1),
+            files: group.files.map(file => ({
+              name: path.basename(file.path),
+              path: file.path,
+              size: group.size,
+              type: 'file',
+              mtimeMs: file.mtimeMs,
+              // 他にもハードリンクがあるファイルは、削除しても容量が空かない
+              linkCount: file.linkCount
+            }))
+          }))
+          .sort((a, b) => b.reclaimable - a.reclaimable);
+
+        console.log(`Duplicate search ${message.cancelled ? 'cancelled' : 'completed'}: ${duplicateGroups.length} groups from ${candidateCount} candidates`);
+        resolve({
+          groups: duplicateGroups,
+          totalReclaimable: duplicateGroups.reduce((sum, group) => sum + group.reclaimable, 0),
+          candidateCount,
+          errorCount: message.errorCount,
+          cancelled: message.cancelled
+        });
+      }
+    });
+
+    worker.on('error', (error) => {
+      settled = true;
+      reject(error);
+    });
+
+    worker.on('exit', (code) => {
+      if (!settled) {
+        reject(new Error(`duplicate worker exited with code ${code}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_MIN_SIZE,
+  findDuplicates
+};
@@ -0,0 +1,207 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { isPathWithin } = require('./scanner');
+
+// スキャン対象から除外するパターン（gitignore形式）
+// 全体のルールはファイルシステムのルート、スキャンルートごとのルールはそのルートに
+// .gitignore を置いたものとして解釈する（"/" で始まるパターンは基準ディレクトリからの位置に固定）。
+// 後に書いたルールほど優先され、"!" で始まるルールは除外を取り消す。
+// 除外したディレクトリの中身は走査しないため、その中のパスを "!" で戻すことはできない。
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// グロブをパス区切り "/" 前提の正規表現に変換
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        if (glob[i + 1] === '/') {
+          // "**/" は0個以上のディレクトリ
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let charClass = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (charClass[0] === '!') {
+          charClass = '^' + charClass.slice(1);
+        }
+        source += `[${charClass}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      i++;
+      source += escapeRegExp(glob[i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+// 1行分のパターンを解析（空行とコメントはnull）
+function parseRule(line) {
+  let pattern = line.trim();
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  const source = pattern;
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith('/')) {
+    directoryOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+
+  // 途中に "/" を含むパターンは基準ディレクトリからの位置に固定、それ以外は任意の階層の名前に一致
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+  if (!pattern) {
+    return null;
+  }
+
+  const body = globToRegExp(pattern);
+  return {
+    pattern: source,
+    negate,
+    directoryOnly,
+    regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`)
+  };
+}
+
+function parsePatterns(patterns) {
+  return (patterns || []).map(parseRule).filter(Boolean);
+}
+
+// 基準ディレクトリからの相対パス（"/" 区切り）。基準の外にあればnull
+function getRelativePath(base, entryPath) {
+  const baseDir = base || path.parse(entryPath).root;
+  const relative = path.relative(baseDir, entryPath);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+}
+
+// ルートに適用するルールの組（全体 → ルートごとの順。ワーカーにもそのまま渡せる形式）
+function getRuleSets(settings, rootPath) {
+  const ruleSets = [];
+  const globalPatterns = (settings && settings.global) || [];
+  const rootPatterns = (settings && settings.roots && settings.roots[rootPath]) || [];
+  if (globalPatterns.length > 0) {
+    ruleSets.push({ base: null, patterns: globalPatterns });
+  }
+  if (rootPatterns.length > 0) {
+    ruleSets.push({ base: rootPath, patterns: rootPatterns });
+  }
+  return ruleSets;
+}
+
+// キャッシュがどのルールでスキャンされたかを比較するためのキー
+function getRulesKey(ruleSets) {
+  return ruleSets.length > 0 ? JSON.stringify(ruleSets) : '';
+}
+
+// ルールの組から判定関数を作る
+// matches(entryPath, isDirectory) はエントリ自身のみ、isExcluded は祖先ディレクトリも含めて判定する
+function createMatcher(ruleSets, rootPath) {
+  const compiled = (ruleSets || []).map(ruleSet => ({
+    base: ruleSet.base,
+    rules: parsePatterns(ruleSet.patterns)
+  })).filter(ruleSet => ruleSet.rules.length > 0);
+
+  const matches = (entryPath, isDirectory) => {
+    if (compiled.length === 0 || entryPath === rootPath) {
+      return false;
+    }
+
+    let excluded = false;
+    for (const ruleSet of compiled) {
+      const relative = getRelativePath(ruleSet.base, entryPath);
+      if (relative === null) {
+        continue;
+      }
+      for (const rule of ruleSet.rules) {
+        // 種別が分からない場合はディレクトリ限定のルールも適用する
+        if (rule.directoryOnly && isDirectory === false) {
+          continue;
+        }
+        if (rule.regex.test(relative)) {
+          excluded = !rule.negate;
+        }
+      }
+    }
+    return excluded;
+  };
+
+  const isExcluded = (entryPath, isDirectory) => {
+    if (matches(entryPath, isDirectory)) {
+      return true;
+    }
+    // 除外したディレクトリの中にあるパスも除外扱い
+    let current = path.dirname(entryPath);
+    while (rootPath && current !== rootPath && isPathWithin(current, rootPath)) {
+      if (matches(current, true)) {
+        return true;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) break;
+      current = parent;
+    }
+    return false;
+  };
+
+  return { isEmpty: compiled.length === 0, matches, isExcluded };
+}
+
+// 設定ファイルの読み書き（{ global: [...], roots: { ルートパス: [...] } }）
+async function loadSettings(filePath) {
+  try {
+    const settings = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return {
+      global: Array.isArray(settings.global) ? settings.global : [],
+      roots: settings.roots && typeof settings.roots === 'object' ? settings.roots : {}
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read exclude rules: ${error.message}`);
+    }
+    return { global: [], roots: {} };
+  }
+}
+
+async function saveSettings(filePath, settings) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(settings, null, 2));
+}
+
+module.exports = {
+  globToRegExp,
+  parsePatterns,
+  getRuleSets,
+  getRulesKey,
+  createMatcher,
+  loadSettings,
+  saveSettings
+};
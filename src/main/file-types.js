@@ -0,0 +1,123 @@
+const path = require('path');
+const { isPathWithin } = require('./scanner');
+
+// 拡張子・分類ごとの集計
+// 分類は拡張子から決める（ローテートされたログなど、名前の形で判定するものは先に確認する）
+
+const CATEGORIES = [
+  { id: 'video', label: '動画', extensions: ['mp4', 'm4v', 'mkv', 'mov', 'avi', 'wmv', 'flv', 'webm', 'mpg', 'mpeg', 'm2ts', 'mts', '3gp', 'vob'] },
+  { id: 'audio', label: '音声', extensions: ['mp3', 'wav', 'flac', 'aac', 'ogg', 'oga', 'm4a', 'wma', 'aiff', 'aif', 'opus', 'mid', 'midi'] },
+  { id: 'image', label: '画像', extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tif', 'tiff', 'webp', 'heic', 'heif', 'raw', 'cr2', 'cr3', 'nef', 'arw', 'dng', 'svg', 'psd', 'ico', 'xcf'] },
+  { id: 'archive', label: 'アーカイブ', extensions: ['zip', 'tar', 'gz', 'tgz', 'bz2', 'tbz2', 'xz', 'txz', 'zst', 'zstd', '7z', 'rar', 'lz', 'lz4', 'lzma', 'cab', 'deb', 'rpm', 'apk', 'whl', 'gem'] },
+  { id: 'diskImage', label: 'ディスクイメージ', extensions: ['iso', 'img', 'dmg', 'vmdk', 'vdi', 'qcow2', 'vhd', 'vhdx', 'ova', 'ovf', 'sparseimage', 'sparsebundle', 'wim'] },
+  { id: 'log', label: 'ログ', extensions: ['log', 'trace', 'journal', 'out', 'err'] },
+  { id: 'code', label: 'ソースコード', extensions: ['js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'vue', 'py', 'rb', 'go', 'rs', 'c', 'h', 'cc', 'cpp', 'cxx', 'hpp', 'm', 'mm', 'java', 'kt', 'kts', 'scala', 'swift', 'cs', 'fs', 'php', 'pl', 'lua', 'r', 'sh', 'bash', 'zsh', 'ps1', 'sql', 'html', 'htm', 'css', 'scss', 'sass', 'less', 'json', 'yaml', 'yml', 'toml', 'xml', 'ini', 'cfg', 'conf', 'md', 'rst', 'ipynb', 'gradle', 'cmake', 'mk'] },
+  { id: 'build', label: 'ビルド成果物', extensions: ['o', 'obj', 'a', 'lib', 'so', 'dylib', 'dll', 'exe', 'class', 'jar', 'war', 'pyc', 'pyo', 'wasm', 'node', 'rlib', 'rmeta', 'pdb', 'dsym', 'map', 'pch', 'gch'] },
+  { id: 'document', label: 'ドキュメント', extensions: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'pages', 'numbers', 'key', 'txt', 'rtf', 'csv', 'tsv', 'epub', 'tex'] },
+  { id: 'database', label: 'データベース', extensions: ['db', 'sqlite', 'sqlite3', 'mdb', 'accdb', 'ldb', 'frm', 'ibd', 'parquet', 'realm'] },
+  { id: 'font', label: 'フォント', extensions: ['ttf', 'otf', 'woff', 'woff2', 'ttc', 'eot'] }
+];
+const OTHER_CATEGORY = { id: 'other', label: 'その他' };
+
+// "app.log.1" "app.log.2.gz" のようなローテート済みのログ
+const ROTATED_LOG_PATTERN = /\.(log|out|err)(\.\d+)+(\.(gz|bz2|xz|zst))?$|\.(log|out|err)-\d{8}(\.(gz|bz2|xz|zst))?$/i;
+
+const categoryByExtension = new Map();
+for (const category of CATEGORIES) {
+  for (const extension of category.extensions) {
+    categoryByExtension.set(extension, category);
+  }
+}
+
+function getExtension(name) {
+  return path.extname(name).slice(1).toLowerCase();
+}
+
+function getCategoryEntry(name) {
+  if (ROTATED_LOG_PATTERN.test(name)) {
+    return CATEGORIES.find(category => category.id === 'log');
+  }
+  return categoryByExtension.get(getExtension(name)) || OTHER_CATEGORY;
+}
+
+// ファイル名から分類ID
+function getCategory(name) {
+  return getCategoryEntry(name).id;
+}
+
+// スキャン結果のうちdirPath以下のファイルについて、サイズ（sizeMapの値）を呼び出し元に渡す
+function forEachFile(scan, sizeMap, dirPath, callback) {
+  for (const [entryPath, size] of sizeMap) {
+    if (scan.directories.has(entryPath) || !isPathWithin(entryPath, dirPath) || entryPath === dirPath) {
+      continue;
+    }
+    callback(entryPath, size);
+  }
+}
+
+// 拡張子・分類ごとの合計サイズと件数（サイズの大きい順）
+function getTypeBreakdown(scan, dirPath, options = {}) {
+  const { sizeMap = scan.sizeMap, extensionLimit = 1000 } = options;
+  const byExtension = new Map();
+  const byCategory = new Map();
+
+  forEachFile(scan, sizeMap, dirPath, (entryPath, size) => {
+    const name = path.basename(entryPath);
+    const extension = getExtension(name);
+    const category = getCategoryEntry(name);
+
+    const extensionKey = `${category.id}:${extension}`;
+    if (!byExtension.has(extensionKey)) {
+      byExtension.set(extensionKey, { extension, category: category.id, size: 0, count: 0 });
+    }
+    const extensionEntry = byExtension.get(extensionKey);
+    extensionEntry.size += size;
+    extensionEntry.count++;
+
+    if (!byCategory.has(category.id)) {
+      byCategory.set(category.id, { category: category.id, label: category.label, size: 0, count: 0 });
+    }
+    const categoryEntry = byCategory.get(category.id);
+    categoryEntry.size += size;
+    categoryEntry.count++;
+  });
+
+  const bySize = (a, b) => b.size - a.size;
+  const categories = [...byCategory.values()].sort(bySize);
+  return {
+    path: dirPath,
+    totalSize: categories.reduce((sum, category) => sum + category.size, 0),
+    categories,
+    extensions: [...byExtension.values()].sort(bySize).slice(0, extensionLimit)
+  };
+}
+
+// dirPath直下の各エントリについて、その中にある指定分類のファイルの合計サイズ
+// （ツリーマップを分類で絞り込むときに使う）
+function getCategorySizesByChild(scan, sizeMap, dirPath, categoryId) {
+  const sizes = new Map();
+  const prefixLength = dirPath.endsWith(path.sep) ? dirPath.length : dirPath.length + 1;
+
+  forEachFile(scan, sizeMap, dirPath, (entryPath, size) => {
+    if (getCategory(path.basename(entryPath)) !== categoryId) {
+      return;
+    }
+    const separatorIndex = entryPath.indexOf(path.sep, prefixLength);
+    const childPath = separatorIndex < 0 ? entryPath : entryPath.slice(0, separatorIndex);
+    sizes.set(childPath, (sizes.get(childPath) || 0) + size);
+  });
+
+  return sizes;
+}
+
+function getCategoryLabel(categoryId) {
+  const category = CATEGORIES.find(candidate => candidate.id === categoryId);
+  return category ? category.label : OTHER_CATEGORY.label;
+}
+
+module.exports = {
+  getCategory,
+  getCategoryLabel,
+  getTypeBreakdown,
+  getCategorySizesByChild
+};
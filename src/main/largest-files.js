@@ -0,0 +1,48 @@
+const path = require('path');
+const { isPathWithin } = require('./scanner');
+
+// スキャン結果からdirPath以下の大きいファイルを探す（ディスクへのアクセスは不要）
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 10000;
+
+// サイズの大きい順に limit 件。minSize 未満のファイルは対象にしない
+function getLargestFiles(scan, dirPath, options = {}) {
+  const { sizeMap = scan.sizeMap, minSize = 0 } = options;
+  const limit = Math.min(Math.max(1, options.limit || DEFAULT_LIMIT), MAX_LIMIT);
+  let files = [];
+  let matchedCount = 0;
+  let matchedSize = 0;
+
+  for (const [entryPath, size] of sizeMap) {
+    if (size <= 0 || size < minSize || scan.directories.has(entryPath) || !isPathWithin(entryPath, dirPath)) {
+      continue;
+    }
+    matchedCount++;
+    matchedSize += size;
+    files.push({ path: entryPath, size });
+    // 候補が増えすぎないよう、ときどき上位 limit 件に切り詰める
+    if (files.length > limit * 2) {
+      files.sort((a, b) => b.size - a.size);
+      files.length = limit;
+    }
+  }
+
+  files = files.sort((a, b) => b.size - a.size).slice(0, limit);
+  return {
+    path: dirPath,
+    matchedCount,
+    matchedSize,
+    files: files.map(file => ({
+      name: path.basename(file.path),
+      path: file.path,
+      size: file.size,
+      type: 'file',
+      modifiedAt: scan.mtimeMap ? scan.mtimeMap.get(file.path) : undefined
+    }))
+  };
+}
+
+module.exports = {
+  getLargestFiles
+};
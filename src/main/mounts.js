@@ -0,0 +1,87 @@
+const fs = require('fs').promises;
+
+// マウントポイントの情報
+// Linuxでは /proc/self/mountinfo から取得する。その他のプラットフォームでは一覧を持たず、
+// 呼び出し側でデバイス番号の違いからマウントポイントを判定する。
+
+const MOUNTINFO_PATH = '/proc/self/mountinfo';
+const STATFS_TIMEOUT = 2000; // 応答しないネットワークファイルシステムで待ち続けないための上限（ms）
+
+// mountinfo ではスペースなどが "\040" のような8進数でエスケープされている
+function unescapeMountField(value) {
+  return value.replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+// 例: "36 35 98:0 /mnt1 /mnt/parent rw,noatime master:1 - ext3 /dev/root rw,errors=continue"
+function parseMountInfo(content) {
+  const mounts = new Map();
+  for (const line of content.split('\n')) {
+    const fields = line.trim().split(' ');
+    const separator = fields.indexOf('-');
+    if (fields.length < 5 || separator < 0 || separator + 2 >= fields.length) {
+      continue;
+    }
+
+    const mountPoint = unescapeMountField(fields[4]);
+    // 同じパスに重ねてマウントされている場合は後の行（見えている方）が優先
+    mounts.set(mountPoint, {
+      mountPoint,
+      device: fields[2],
+      fsType: fields[separator + 1],
+      source: unescapeMountField(fields[separator + 2])
+    });
+  }
+  return mounts;
+}
+
+// マウントポイントのパス → { mountPoint, device, fsType, source }
+async function getMountPoints() {
+  if (process.platform !== 'linux') {
+    return new Map();
+  }
+
+  try {
+    return parseMountInfo(await fs.readFile(MOUNTINFO_PATH, 'utf8'));
+  } catch (error) {
+    console.warn(`Failed to read mount information: ${error.message}`);
+    return new Map();
+  }
+}
+
+// statfs の結果（応答がない・取得できなければnull）
+async function statFilesystem(targetPath) {
+  if (typeof fs.statfs !== 'function') {
+    return null;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), STATFS_TIMEOUT);
+  });
+  try {
+    return await Promise.race([fs.statfs(targetPath), timeout]);
+  } catch (error) {
+    console.warn(`Failed to get filesystem usage for ${targetPath}: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ファイルシステム全体の使用量（取得できなければnull）
+async function getFilesystemUsage(mountPoint) {
+  const stats = await statFilesystem(mountPoint);
+  return stats ? (stats.blocks - stats.bfree) * stats.bsize : null;
+}
+
+// パスを含むファイルシステムの容量と空き容量（一般ユーザーが使える分、取得できなければnull）
+async function getFilesystemSpace(targetPath) {
+  const stats = await statFilesystem(targetPath);
+  return stats ? { totalBytes: stats.blocks * stats.bsize, freeBytes: stats.bavail * stats.bsize } : null;
+}
+
+module.exports = {
+  getMountPoints,
+  getFilesystemUsage,
+  getFilesystemSpace
+};
@@ -0,0 +1,113 @@
+const path = require('path');
+const { getCategory } = require('./file-types');
+
+// 多階層ツリーマップ用に、スキャン結果から数階層分の入れ子の子要素を組み立てる
+// ファイルシステムにはアクセスせず、親 → 子の索引をスキャン結果ごとに作って使い回す。
+// 表示しない子（小さいもの・隠しファイル・ディレクトリ自身のブロック）は「その他」にまとめ、
+// 子の合計が親のサイズと一致するようにする。
+
+const MAX_CHILDREN = 40; // 1つのディレクトリで個別に表示する子の最大数
+const MAX_NODES = 5000; // 1回の応答に含める入れ子のノード数の上限
+const MAX_DEPTH = 5; // 表示する階層数の上限
+
+const childIndexes = new WeakMap();
+
+// 親パス → 子パスの一覧
+function getChildIndex(scan) {
+  let index = childIndexes.get(scan);
+  if (!index) {
+    index = new Map();
+    for (const entryPath of scan.sizeMap.keys()) {
+      const parent = path.dirname(entryPath);
+      if (parent === entryPath) continue;
+      if (!index.has(parent)) {
+        index.set(parent, []);
+      }
+      index.get(parent).push(entryPath);
+    }
+    childIndexes.set(scan, index);
+  }
+  return index;
+}
+
+// スキャン結果が差分更新されたら索引を作り直す
+function invalidateChildIndex(scan) {
+  childIndexes.delete(scan);
+}
+
+function createNode(scan, sizeMap, entryPath) {
+  const name = path.basename(entryPath);
+  const isDirectory = scan.directories.has(entryPath);
+  const node = {
+    name,
+    path: entryPath,
+    size: sizeMap.get(entryPath) || 0,
+    type: isDirectory ? 'directory' : 'file'
+  };
+  if (!isDirectory) {
+    node.category = getCategory(name);
+  }
+  if (scan.mtimeMap && scan.atimeMap) {
+    node.modifiedAt = scan.mtimeMap.get(entryPath);
+    node.accessedAt = scan.atimeMap.get(entryPath);
+  }
+  return node;
+}
+
+// ディレクトリの子要素（大きい順に MAX_CHILDREN 件 + 残りをまとめた「その他」）
+function getNodeChildren(scan, sizeMap, index, dirNode, showHidden) {
+  const children = (index.get(dirNode.path) || [])
+    .filter(childPath => showHidden || !path.basename(childPath).startsWith('.'))
+    .map(childPath => createNode(scan, sizeMap, childPath))
+    .filter(child => child.size > 0)
+    .sort((a, b) => b.size - a.size)
+    .slice(0, MAX_CHILDREN);
+
+  const shownSize = children.reduce((sum, child) => sum + child.size, 0);
+  const remainder = dirNode.size - shownSize;
+  if (children.length > 0 && remainder > 0) {
+    children.push({ name: 'その他', path: null, size: remainder, type: 'other', parentPath: dirNode.path });
+  }
+  return children;
+}
+
+// nodes（現在のディレクトリの子）のうちディレクトリに、depth - 1 階層分の子要素を付ける
+// 浅い階層から順に展開し、ノード数が上限に達したらそれより深くは展開しない
+function attachNestedChildren(scan, nodes, options = {}) {
+  const { sizeMap = scan.sizeMap, showHidden = false } = options;
+  const depth = Math.min(options.depth || 1, MAX_DEPTH);
+  const index = getChildIndex(scan);
+  let nodeCount = 0;
+  // スキャン済みのマウントポイントも中を展開する
+  let level = nodes.filter(node => (node.type === 'directory' || node.type === 'mount') && scan.directories.has(node.path));
+
+  for (let currentDepth = 1; currentDepth < depth && level.length > 0 && nodeCount < MAX_NODES; currentDepth++) {
+    const nextLevel = [];
+    for (const node of level) {
+      if (nodeCount >= MAX_NODES) break;
+      const children = getNodeChildren(scan, sizeMap, index, node, showHidden);
+      if (children.length === 0) continue;
+      node.children = children;
+      nodeCount += children.length;
+      nextLevel.push(...children.filter(child => child.type === 'directory'));
+    }
+    level = nextLevel;
+  }
+  return nodeCount;
+}
+
+// dirPath 自身を根とした入れ子のツリー（根の子から depth 階層分、レポートの書き出しに使う）
+function buildNestedTree(scan, dirPath, options = {}) {
+  const { sizeMap = scan.sizeMap, showHidden = true } = options;
+  const root = createNode(scan, sizeMap, dirPath);
+  root.children = getNodeChildren(scan, sizeMap, getChildIndex(scan), root, showHidden);
+  attachNestedChildren(scan, root.children, { ...options, sizeMap, showHidden });
+  return root;
+}
+
+module.exports = {
+  getChildIndex,
+  attachNestedChildren,
+  buildNestedTree,
+  invalidateChildIndex
+};
@@ -1,22 +1,103 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
-  getDiskUsage: (dirPath) => ipcRenderer.invoke('get-disk-usage', dirPath),
+  getDiskUsage: (dirPath, options) => ipcRenderer.invoke('get-disk-usage', dirPath, options),
+  getStoredScans: () => ipcRenderer.invoke('get-stored-scans'),
+  cancelScan: () => ipcRenderer.invoke('cancel-scan'),
+  getItemInfo: (itemPath) => ipcRenderer.invoke('get-item-info', itemPath),
   getFileList: (dirPath) => ipcRenderer.invoke('get-file-list', dirPath),
   getHomeDirectory: () => ipcRenderer.invoke('get-home-directory'),
   getCurrentDirectory: () => ipcRenderer.invoke('get-current-directory'),
   openFile: (filePath) => ipcRenderer.invoke('open-file', filePath),
   showInFinder: (filePath) => ipcRenderer.invoke('show-in-finder', filePath),
   selectFolder: () => ipcRenderer.invoke('select-folder'),
-  deleteFile: (filePath) => ipcRenderer.invoke('delete-file', filePath),
+  deleteFile: (filePath, options) => ipcRenderer.invoke('delete-file', filePath, options),
+  deleteFiles: (filePaths, options) => ipcRenderer.invoke('delete-files', filePaths, options),
+  moveFiles: (filePaths, destinationDir, options) => ipcRenderer.invoke('move-files', filePaths, destinationDir, options),
+  cancelMove: () => ipcRenderer.invoke('cancel-move'),
+  onMoveProgress: (callback) => {
+    ipcRenderer.on('move-progress', (event, progress) => callback(progress));
+  },
+  restoreTrashedItem: (undoId) => ipcRenderer.invoke('restore-trashed-item', undoId),
   clearDuCache: () => ipcRenderer.invoke('clear-du-cache'),
   invalidateDuCache: (targetPath) => ipcRenderer.invoke('invalidate-du-cache', targetPath),
   
+  // 種類別の集計
+  getTypeBreakdown: (dirPath, options) => ipcRenderer.invoke('get-type-breakdown', dirPath, options),
+  
+  // 検索
+  searchScan: (dirPath, options) => ipcRenderer.invoke('search-scan', dirPath, options),
+  
+  // 大きいファイル
+  getLargestFiles: (dirPath, options) => ipcRenderer.invoke('get-largest-files', dirPath, options),
+  
+  // 整理の候補
+  getSuggestions: (dirPath, options) => ipcRenderer.invoke('get-suggestions', dirPath, options),
+  getSuggestionRules: () => ipcRenderer.invoke('get-suggestion-rules'),
+  setSuggestionRules: (rules) => ipcRenderer.invoke('set-suggestion-rules', rules),
+  
+  // 経過時間の分析
+  getAgeReport: (dirPath, options) => ipcRenderer.invoke('get-age-report', dirPath, options),
+  
+  // レポートの書き出し
+  exportReport: (dirPath, options) => ipcRenderer.invoke('export-report', dirPath, options),
+  exportImage: (dirPath, format, data) => ipcRenderer.invoke('export-image', dirPath, format, data),
+  
+  // 圧縮
+  compressItem: (filePath, options) => ipcRenderer.invoke('compress-item', filePath, options),
+  cancelCompress: () => ipcRenderer.invoke('cancel-compress'),
+  onCompressProgress: (callback) => {
+    ipcRenderer.on('compress-progress', (event, progress) => callback(progress));
+  },
+  
+  // 重複ファイル
+  findDuplicates: (dirPath, options) => ipcRenderer.invoke('find-duplicates', dirPath, options),
+  cancelDuplicates: () => ipcRenderer.invoke('cancel-duplicates'),
+  onDuplicatesProgress: (callback) => {
+    ipcRenderer.on('duplicates-progress', (event, progress) => callback(progress));
+  },
+  
+  // スキャンオプション
+  getScanOptions: () => ipcRenderer.invoke('get-scan-options'),
+  setScanOptions: (options) => ipcRenderer.invoke('set-scan-options', options),
+  
+  // 除外パターン
+  getExcludeRules: (dirPath) => ipcRenderer.invoke('get-exclude-rules', dirPath),
+  setExcludeRules: (rootPath, globalPatterns, rootPatterns) => ipcRenderer.invoke('set-exclude-rules', rootPath, globalPatterns, rootPatterns),
+  
+  // 容量アラート
+  getAlertSettings: () => ipcRenderer.invoke('get-alert-settings'),
+  setAlertSettings: (settings) => ipcRenderer.invoke('set-alert-settings', settings),
+  checkAlerts: () => ipcRenderer.invoke('check-alerts'),
+  onAlertStatuses: (callback) => {
+    ipcRenderer.on('alert-statuses', (event, state) => callback(state));
+  },
+  
+  // 通知のクリックなどで指定パスを開く
+  takePendingOpenPath: () => ipcRenderer.invoke('take-pending-open-path'),
+  onOpenPath: (callback) => {
+    ipcRenderer.on('open-path', (event, targetPath) => callback(targetPath));
+  },
+  
+  // スナップショット
+  saveSnapshot: (dirPath, name) => ipcRenderer.invoke('save-snapshot', dirPath, name),
+  listSnapshots: () => ipcRenderer.invoke('list-snapshots'),
+  deleteSnapshot: (id) => ipcRenderer.invoke('delete-snapshot', id),
+  compareSnapshots: (baseId, targetId) => ipcRenderer.invoke('compare-snapshots', baseId, targetId),
+  endComparison: () => ipcRenderer.invoke('end-comparison'),
+  getComparisonContents: (dirPath) => ipcRenderer.invoke('get-comparison-contents', dirPath),
+  getComparisonChanges: (dirPath, limit) => ipcRenderer.invoke('get-comparison-changes', dirPath, limit),
+  
   // 進捗監視
   onDuProgress: (callback) => {
     ipcRenderer.on('du-progress', (event, progress) => callback(progress));
   },
   removeDuProgressListener: () => {
     ipcRenderer.removeAllListeners('du-progress');
+  },
+  
+  // スキャン結果の差分更新通知
+  onScanUpdated: (callback) => {
+    ipcRenderer.on('scan-updated', (event, update) => callback(update));
   }
 });
\ No newline at end of file
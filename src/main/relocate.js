@@ -0,0 +1,189 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// ファイル・フォルダを別の場所（別のボリュームを含む）へ移動する
+// 同じファイルシステム内なら rename するだけ。別のファイルシステムへはコピーして内容を確認し、
+// 確認できたときだけ元の項目を削除する（途中で失敗・中止したらコピー先を消して元はそのまま残す）。
+
+const PROGRESS_INTERVAL = 200; // 進捗を通知する間隔（ms）
+
+// sourcePath 以下の全エントリ（親が先）: [{ relativePath, type: 'directory' | 'file' | 'symlink', size }]
+async function collectEntries(sourcePath) {
+  const entries = [];
+  const visit = async (relativePath) => {
+    const entryPath = path.join(sourcePath, relativePath);
+    const stats = await fs.promises.lstat(entryPath);
+    if (stats.isSymbolicLink()) {
+      entries.push({ relativePath, type: 'symlink', size: 0 });
+    } else if (stats.isDirectory()) {
+      entries.push({ relativePath, type: 'directory', size: 0 });
+      for (const name of await fs.promises.readdir(entryPath)) {
+        await visit(path.join(relativePath, name));
+      }
+    } else if (stats.isFile()) {
+      entries.push({ relativePath, type: 'file', size: stats.size });
+    } else {
+      throw new Error(`コピーできない種類のファイルがあります: ${entryPath}`);
+    }
+  };
+  await visit('');
+  return entries;
+}
+
+// 権限と更新日時も元に合わせる
+async function copyAttributes(sourcePath, targetPath) {
+  const stats = await fs.promises.lstat(sourcePath);
+  await fs.promises.chmod(targetPath, stats.mode & 0o7777);
+  await fs.promises.utimes(targetPath, stats.atime, stats.mtime);
+}
+
+async function copyEntries(sourcePath, targetPath, entries, signal, onBytes) {
+  for (const entry of entries) {
+    throwIfAborted(signal);
+    const from = path.join(sourcePath, entry.relativePath);
+    const to = path.join(targetPath, entry.relativePath);
+
+    if (entry.type === 'directory') {
+      await fs.promises.mkdir(to);
+    } else if (entry.type === 'symlink') {
+      await fs.promises.symlink(await fs.promises.readlink(from), to);
+    } else {
+      const reader = fs.createReadStream(from);
+      reader.on('data', chunk => onBytes(chunk.length));
+      await pipeline(reader, fs.createWriteStream(to, { flags: 'wx' }), signal ? { signal } : {});
+      await copyAttributes(from, to);
+    }
+  }
+
+  // ディレクトリの更新日時は中身を書き終えてから、深い方から合わせる
+  for (const entry of [...entries].reverse()) {
+    if (entry.type === 'directory') {
+      await copyAttributes(path.join(sourcePath, entry.relativePath), path.join(targetPath, entry.relativePath));
+    }
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw Object.assign(new Error('移動を中止しました'), { name: 'AbortError' });
+  }
+}
+
+// ファイルの内容のハッシュ（onBytes には読んだバイト数を渡す）
+async function hashFile(filePath, signal, onBytes = null) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    throwIfAborted(signal);
+    hash.update(chunk);
+    if (onBytes) {
+      onBytes(chunk.length);
+    }
+  }
+  return hash.digest('hex');
+}
+
+// コピー先のエントリが元と同じ種類・サイズ・リンク先・内容か確認する
+// 長さが合っていても中身の壊れたコピー（ネットワーク越しの書き込みエラーなど）で元を消さないよう、
+// ファイルは元とコピー先の両方を読み直してハッシュを比べる
+async function verifyCopy(sourcePath, targetPath, entries, signal, onBytes) {
+  const copied = await collectEntries(targetPath);
+  if (copied.length !== entries.length) {
+    throw new Error(`コピーの確認に失敗しました（項目数が一致しません: ${entries.length} → ${copied.length}）`);
+  }
+  const copiedByPath = new Map(copied.map(entry => [entry.relativePath, entry]));
+  for (const entry of entries) {
+    const target = copiedByPath.get(entry.relativePath);
+    if (!target || target.type !== entry.type || target.size !== entry.size) {
+      throw new Error(`コピーの確認に失敗しました: ${path.join(targetPath, entry.relativePath)}`);
+    }
+    if (entry.type === 'symlink') {
+      const [from, to] = await Promise.all([
+        fs.promises.readlink(path.join(sourcePath, entry.relativePath)),
+        fs.promises.readlink(path.join(targetPath, entry.relativePath))
+      ]);
+      if (from !== to) {
+        throw new Error(`コピーの確認に失敗しました: ${path.join(targetPath, entry.relativePath)}`);
+      }
+    } else if (entry.type === 'file') {
+      const [from, to] = await Promise.all([
+        hashFile(path.join(sourcePath, entry.relativePath), signal, onBytes),
+        hashFile(path.join(targetPath, entry.relativePath), signal)
+      ]);
+      if (from !== to) {
+        throw new Error(`コピーの確認に失敗しました（内容が一致しません）: ${path.join(targetPath, entry.relativePath)}`);
+      }
+    }
+  }
+}
+
+// 別のファイルシステムへコピーして確認し、元を削除する
+async function copyAndRemove(sourcePath, targetPath, options) {
+  const { signal, onProgress } = options;
+  const entries = await collectEntries(sourcePath);
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  // コピーと確認（読み直し）の2段階で、それぞれ 0 から totalBytes まで進む
+  let processedBytes = 0;
+  let lastReport = 0;
+  let verifying = false;
+  const onBytes = (bytes) => {
+    processedBytes += bytes;
+    const now = Date.now();
+    if (onProgress && now - lastReport >= PROGRESS_INTERVAL) {
+      lastReport = now;
+      onProgress({ processedBytes, totalBytes, verifying });
+    }
+  };
+
+  try {
+    await copyEntries(sourcePath, targetPath, entries, signal, onBytes);
+    processedBytes = 0;
+    verifying = true;
+    if (onProgress) {
+      onProgress({ processedBytes, totalBytes, verifying });
+    }
+    await verifyCopy(sourcePath, targetPath, entries, signal, onBytes);
+  } catch (error) {
+    // 中途半端なコピーは残さない（元の項目には触れていない）
+    await fs.promises.rm(targetPath, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+
+  await fs.promises.rm(sourcePath, { recursive: true });
+  return totalBytes;
+}
+
+// sourcePath を destinationDir の中へ移動する
+// options.leaveSymlink: 元の場所に移動先へのシンボリックリンクを残す
+// onProgress には別のファイルシステムへのコピー・確認中だけ { processedBytes, totalBytes, verifying } を渡す
+async function moveItem(sourcePath, destinationDir, options = {}) {
+  const { leaveSymlink = false } = options;
+  const targetPath = path.join(destinationDir, path.basename(sourcePath));
+  const exists = await fs.promises.lstat(targetPath).then(() => true).catch(() => false);
+  if (exists) {
+    throw new Error('移動先に同じ名前の項目があります');
+  }
+
+  const sourceStats = await fs.promises.lstat(sourcePath);
+  let copied = false;
+  try {
+    await fs.promises.rename(sourcePath, targetPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await copyAndRemove(sourcePath, targetPath, options);
+    copied = true;
+  }
+
+  if (leaveSymlink) {
+    await fs.promises.symlink(targetPath, sourcePath, sourceStats.isDirectory() ? 'dir' : 'file');
+  }
+  return { sourcePath, targetPath, copied, symlinked: leaveSymlink };
+}
+
+module.exports = {
+  moveItem
+};
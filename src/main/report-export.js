@@ -0,0 +1,303 @@
+const path = require('path');
+const fs = require('fs');
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { isPathWithin } = require('./scanner');
+const { buildNestedTree } = require('./nested-tree');
+
+// スキャン結果（キャッシュ）からのレポートの書き出し
+// CSV / JSON はパスごとの一覧、HTML は単体で開ける（オフラインで動く）ツリーマップ。
+// ディスクは読み直さず、スキャン済みのサイズと日時だけを使う。
+
+const REPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv' },
+  json: { label: 'JSON', extension: 'json' },
+  html: { label: 'HTML（ツリーマップ）', extension: 'html' }
+};
+
+const DEFAULT_LIST_DEPTH = 3;
+const DEFAULT_HTML_DEPTH = 4;
+
+function getRelativeDepth(entryPath, dirPath) {
+  if (entryPath === dirPath) {
+    return 0;
+  }
+  const relative = entryPath.slice(dirPath.endsWith(path.sep) ? dirPath.length : dirPath.length + 1);
+  return relative.split(path.sep).length;
+}
+
+// dirPath以下のエントリ（パス順 = 親が子より先）。maxDepth が0なら深さの制限なし
+function collectEntries(scan, dirPath, options = {}) {
+  const { sizeMap = scan.sizeMap, maxDepth = DEFAULT_LIST_DEPTH } = options;
+  const entries = [];
+  for (const [entryPath, size] of sizeMap) {
+    if (!isPathWithin(entryPath, dirPath)) continue;
+    const depth = getRelativeDepth(entryPath, dirPath);
+    if (maxDepth > 0 && depth > maxDepth) continue;
+    entries.push({
+      path: entryPath,
+      depth,
+      type: scan.directories.has(entryPath) ? 'directory' : 'file',
+      size,
+      modifiedAt: scan.mtimeMap ? scan.mtimeMap.get(entryPath) : undefined
+    });
+  }
+  return entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+function toCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatTime(time) {
+  return time ? new Date(time).toISOString() : '';
+}
+
+// 大きな一覧でもメモリに溜め込まないよう、少しずつ書き込む
+async function writeLines(stream, lines) {
+  for (const line of lines) {
+    if (!stream.write(line)) {
+      await once(stream, 'drain');
+    }
+  }
+}
+
+function* csvLines(entries) {
+  yield 'path,type,depth,size,modified_at\n';
+  for (const entry of entries) {
+    yield [entry.path, entry.type, entry.depth, entry.size, formatTime(entry.modifiedAt)].map(toCsvField).join(',') + '\n';
+  }
+}
+
+function* jsonLines(meta, entries) {
+  yield JSON.stringify(meta, null, 2).replace(/\n}$/, ',\n  "entries": [\n');
+  for (const [index, entry] of entries.entries()) {
+    const item = {
+      path: entry.path,
+      type: entry.type,
+      depth: entry.depth,
+      size: entry.size,
+      modifiedAt: entry.modifiedAt ? formatTime(entry.modifiedAt) : null
+    };
+    yield `    ${JSON.stringify(item)}${index < entries.length - 1 ? ',' : ''}\n`;
+  }
+  yield '  ]\n}\n';
+}
+
+// CSV / JSON の一覧の行（件数と、行を順に返すイテレーター）
+function createListReport(scan, dirPath, options = {}) {
+  const { format = 'csv', sizeMode = 'disk' } = options;
+  const entries = collectEntries(scan, dirPath, options);
+  if (format !== 'json') {
+    return { entryCount: entries.length, lines: csvLines(entries) };
+  }
+  const meta = {
+    root: dirPath,
+    scannedAt: formatTime(scan.timestamp),
+    exportedAt: formatTime(Date.now()),
+    sizeMode,
+    maxDepth: options.maxDepth || null
+  };
+  return { entryCount: entries.length, lines: jsonLines(meta, entries) };
+}
+
+// CSV / JSON の一覧をストリーム（標準出力など）に書き込む（書き込んだ件数を返す）
+async function writeListReportTo(stream, scan, dirPath, options = {}) {
+  const { entryCount, lines } = createListReport(scan, dirPath, options);
+  await writeLines(stream, lines);
+  return entryCount;
+}
+
+// CSV / JSON の一覧をファイルに書き出す（書き出した件数を返す）
+// 書き込み先のエラー（ENOENT / EACCES など）は pipeline がまとめて1回だけ返す
+async function writeListReport(scan, dirPath, filePath, options = {}) {
+  const { entryCount, lines } = createListReport(scan, dirPath, options);
+  await pipeline(Readable.from(lines), fs.createWriteStream(filePath));
+  return entryCount;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// ツリーマップを描く HTML 内のスクリプト（外部のライブラリは使わない）
+const HTML_SCRIPT = `
+const palette = ['#3498db', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e', '#16a085', '#c0392b'];
+const data = JSON.parse(document.getElementById('report-data').textContent);
+const chart = document.getElementById('chart');
+const crumbs = document.getElementById('crumbs');
+let stack = [data.tree];
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return (unit === 0 ? value : value.toFixed(1)) + ' ' + units[unit];
+}
+
+// 縦横比がなるべく正方形に近くなるように並べる（squarified）
+function squarify(nodes, x, y, w, h) {
+  const total = nodes.reduce((sum, node) => sum + node.size, 0);
+  const items = nodes.filter(node => node.size > 0)
+    .map(node => ({ node, area: total > 0 ? node.size / total * w * h : 0 }));
+  const rects = [];
+  const worst = (row, side) => {
+    const sum = row.reduce((s, item) => s + item.area, 0);
+    const max = Math.max(...row.map(item => item.area));
+    const min = Math.min(...row.map(item => item.area));
+    return Math.max(side * side * max / (sum * sum), (sum * sum) / (side * side * min));
+  };
+  const place = (row) => {
+    const sum = row.reduce((s, item) => s + item.area, 0);
+    if (w >= h) {
+      const width = sum / h;
+      let top = y;
+      row.forEach(item => { rects.push({ node: item.node, x, y: top, w: width, h: item.area / width }); top += item.area / width; });
+      x += width;
+      w -= width;
+    } else {
+      const height = sum / w;
+      let left = x;
+      row.forEach(item => { rects.push({ node: item.node, x: left, y, w: item.area / height, h: height }); left += item.area / height; });
+      y += height;
+      h -= height;
+    }
+  };
+  let row = [];
+  for (const item of items) {
+    const side = Math.min(w, h);
+    if (row.length === 0 || worst(row.concat(item), side) <= worst(row, side)) {
+      row.push(item);
+    } else {
+      place(row);
+      row = [item];
+    }
+  }
+  if (row.length > 0) {
+    place(row);
+  }
+  return rects;
+}
+
+function drawNodes(container, nodes, width, height, color) {
+  squarify(nodes, 0, 0, width, height).forEach((rect, index) => {
+    if (rect.w < 1 || rect.h < 1) return;
+    const node = rect.node;
+    const fill = color || palette[index % palette.length];
+    const element = document.createElement('div');
+    element.className = 'node ' + node.type;
+    element.style.left = rect.x + 'px';
+    element.style.top = rect.y + 'px';
+    element.style.width = Math.max(0, rect.w - 1) + 'px';
+    element.style.height = Math.max(0, rect.h - 1) + 'px';
+    element.style.background = fill;
+    element.title = (node.path || node.name) + '\\n' + formatBytes(node.size);
+    const label = document.createElement('span');
+    label.textContent = rect.w > 40 && rect.h > 14 ? node.name + ' (' + formatBytes(node.size) + ')' : '';
+    element.appendChild(label);
+    if (node.children && node.children.length > 0) {
+      element.classList.add('zoomable');
+      element.addEventListener('click', event => {
+        event.stopPropagation();
+        stack.push(node);
+        render();
+      });
+      if (rect.w > 20 && rect.h > 30) {
+        const inner = document.createElement('div');
+        inner.className = 'inner';
+        element.appendChild(inner);
+        drawNodes(inner, node.children, rect.w - 5, rect.h - 21, shade(fill));
+      }
+    }
+    container.appendChild(element);
+  });
+}
+
+// 入れ子の矩形は親の色を少し明るくする
+function shade(color) {
+  const value = parseInt(color.slice(1), 16);
+  const mix = (shift) => Math.round(((value >> shift) & 255) * 0.8 + 255 * 0.2);
+  return '#' + ((mix(16) << 16) | (mix(8) << 8) | mix(0)).toString(16).padStart(6, '0');
+}
+
+function render() {
+  const current = stack[stack.length - 1];
+  chart.innerHTML = '';
+  drawNodes(chart, current.children || [], chart.clientWidth, chart.clientHeight, null);
+  crumbs.innerHTML = '';
+  stack.forEach((node, index) => {
+    const crumb = document.createElement('a');
+    crumb.textContent = index === 0 ? node.path : node.name;
+    crumb.href = '#';
+    crumb.addEventListener('click', event => {
+      event.preventDefault();
+      stack = stack.slice(0, index + 1);
+      render();
+    });
+    crumbs.appendChild(crumb);
+  });
+  document.getElementById('current-size').textContent = formatBytes(current.size);
+}
+
+window.addEventListener('resize', render);
+render();
+`;
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 0; padding: 16px; color: #2c3e50; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+.meta { font-size: 12px; color: #7f8c8d; margin-bottom: 8px; }
+#crumbs { font-size: 13px; margin-bottom: 8px; }
+#crumbs a { color: #2980b9; text-decoration: none; }
+#crumbs a + a::before { content: ' / '; color: #999; }
+#chart { position: relative; width: 100%; height: calc(100vh - 120px); min-height: 400px; }
+.node { position: absolute; overflow: hidden; box-sizing: border-box; color: #fff; font-size: 11px; }
+.node > span { display: block; padding: 2px 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; text-shadow: 1px 1px 1px rgba(0, 0, 0, 0.6); }
+.node.zoomable { cursor: pointer; }
+.node.other { opacity: 0.6; }
+.inner { position: absolute; left: 2px; top: 18px; right: 2px; bottom: 2px; }
+`;
+
+// 単体で開ける HTML のツリーマップを書き出す
+async function writeHtmlReport(scan, dirPath, filePath, options = {}) {
+  const { sizeMap = scan.sizeMap, depth = DEFAULT_HTML_DEPTH } = options;
+  const tree = buildNestedTree(scan, dirPath, { sizeMap, depth });
+  const scannedAt = scan.timestamp ? new Date(scan.timestamp).toLocaleString() : '';
+  // </script> で埋め込みが途切れないよう < はエスケープする
+  const json = JSON.stringify({ tree }).replace(/</g, '\\u003c');
+  const html = `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>ディスク使用量 - ${escapeHtml(dirPath)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>ディスク使用量: ${escapeHtml(dirPath)}</h1>
+<div class="meta">合計 <span id="current-size"></span> ・ スキャン日時 ${escapeHtml(scannedAt)} ・ ${options.sizeMode === 'apparent' ? '見かけのサイズ' : 'ディスク使用量'}</div>
+<div id="crumbs"></div>
+<div id="chart"></div>
+<script type="application/json" id="report-data">${json}</script>
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+  await fs.promises.writeFile(filePath, html);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  DEFAULT_LIST_DEPTH,
+  collectEntries,
+  writeListReportTo,
+  writeListReport,
+  writeHtmlReport
+};
@@ -0,0 +1,321 @@
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// スキャン結果の永続化
+// ルートパスごとに1ファイル（gzip圧縮したJSON）と、一覧用の index.json を保存する。
+// パスは親エントリのインデックス + 名前で表現し、同じ接頭辞を何度も書き出さないようにする。
+// 名前付きスナップショットも同じ形式で別ディレクトリに保存する（こちらはIDがキー）。
+// 見かけのサイズ（apparentSizes）と日時（mtimes / atimes、秒単位）は任意の列で、
+// 無い場合はそれぞれ apparentMap / mtimeMap・atimeMap が null になる。
+
+const STORE_VERSION = 1;
+const INDEX_FILE = 'index.json';
+const FLAG_DIRECTORY = 1;
+
+function getScanFileName(rootPath) {
+  const hash = crypto.createHash('sha1').update(rootPath).digest('hex');
+  return `${hash}.json.gz`;
+}
+
+function joinChildPath(parentPath, name) {
+  return parentPath.endsWith(path.sep) ? parentPath + name : parentPath + path.sep + name;
+}
+
+// sizeMapを親インデックス形式に変換
+function encodeEntries(rootPath, scan) {
+  const indexes = new Map();
+  const names = [];
+  const parents = [];
+  const sizes = [];
+  const apparentSizes = scan.apparentMap ? [] : null;
+  const hasTimes = !!(scan.mtimeMap && scan.atimeMap);
+  const mtimes = hasTimes ? [] : null;
+  const atimes = hasTimes ? [] : null;
+  const flags = [];
+
+  const add = (entryPath) => {
+    if (indexes.has(entryPath)) {
+      return indexes.get(entryPath);
+    }
+
+    let parentIndex = -1;
+    let name = entryPath;
+    const parent = path.dirname(entryPath);
+    if (entryPath !== rootPath && parent !== entryPath && scan.sizeMap.has(parent)) {
+      parentIndex = add(parent);
+      name = path.basename(entryPath);
+    }
+
+    const index = names.length;
+    indexes.set(entryPath, index);
+    names.push(name);
+    parents.push(parentIndex);
+    sizes.push(scan.sizeMap.get(entryPath) || 0);
+    if (apparentSizes) {
+      apparentSizes.push(scan.apparentMap.get(entryPath) || 0);
+    }
+    if (hasTimes) {
+      mtimes.push(Math.floor((scan.mtimeMap.get(entryPath) || 0) / 1000));
+      atimes.push(Math.floor((scan.atimeMap.get(entryPath) || 0) / 1000));
+    }
+    flags.push(scan.directories && scan.directories.has(entryPath) ? FLAG_DIRECTORY : 0);
+    return index;
+  };
+
+  if (scan.sizeMap.has(rootPath)) {
+    add(rootPath);
+  }
+  for (const entryPath of scan.sizeMap.keys()) {
+    add(entryPath);
+  }
+
+  const entries = { names, parents, sizes, flags };
+  if (apparentSizes) {
+    entries.apparentSizes = apparentSizes;
+  }
+  if (hasTimes) {
+    entries.mtimes = mtimes;
+    entries.atimes = atimes;
+  }
+  return entries;
+}
+
+function decodeEntries(entries) {
+  const paths = new Array(entries.names.length);
+  const sizeMap = new Map();
+  const apparentMap = entries.apparentSizes ? new Map() : null;
+  const hasTimes = !!(entries.mtimes && entries.atimes);
+  const mtimeMap = hasTimes ? new Map() : null;
+  const atimeMap = hasTimes ? new Map() : null;
+  const directories = new Set();
+
+  for (let i = 0; i < entries.names.length; i++) {
+    const parentIndex = entries.parents[i];
+    const entryPath = parentIndex < 0 ? entries.names[i] : joinChildPath(paths[parentIndex], entries.names[i]);
+    paths[i] = entryPath;
+    sizeMap.set(entryPath, entries.sizes[i]);
+    if (apparentMap) {
+      apparentMap.set(entryPath, entries.apparentSizes[i]);
+    }
+    if (hasTimes) {
+      mtimeMap.set(entryPath, entries.mtimes[i] * 1000);
+      atimeMap.set(entryPath, entries.atimes[i] * 1000);
+    }
+    if (entries.flags[i] & FLAG_DIRECTORY) {
+      directories.add(entryPath);
+    }
+  }
+
+  return { sizeMap, apparentMap, mtimeMap, atimeMap, directories };
+}
+
+async function readIndex(storeDir) {
+  try {
+    const content = await fs.readFile(path.join(storeDir, INDEX_FILE), 'utf8');
+    const index = JSON.parse(content);
+    return index.version === STORE_VERSION ? index.scans : {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read scan index: ${error.message}`);
+    }
+    return {};
+  }
+}
+
+// 書き込み途中のファイルが残らないよう、一時ファイル経由で置き換える
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, filePath);
+}
+
+async function writeIndex(storeDir, scans) {
+  await writeFileAtomic(path.join(storeDir, INDEX_FILE), JSON.stringify({ version: STORE_VERSION, scans }));
+}
+
+// index.json の読み書きを直列化（保存と削除が重なっても更新が失われないように）
+let indexQueue = Promise.resolve();
+
+function updateIndex(storeDir, update) {
+  const task = indexQueue.then(async () => {
+    await fs.mkdir(storeDir, { recursive: true });
+    const scans = await readIndex(storeDir);
+    const result = update(scans);
+    await writeIndex(storeDir, scans);
+    return result;
+  });
+  indexQueue = task.catch(() => {});
+  return task;
+}
+
+// 保存済みスキャンの一覧（ルートパス → メタデータ）
+async function listScans(storeDir) {
+  return readIndex(storeDir);
+}
+
+async function writeScanFile(filePath, rootPath, scan) {
+  const payload = {
+    version: STORE_VERSION,
+    root: rootPath,
+    timestamp: scan.timestamp,
+    errorCount: scan.errorCount || 0,
+    errors: scan.errors || [],
+    excludeRules: scan.excludeRules || [],
+    oneFileSystem: !!scan.oneFileSystem,
+    excludedCount: scan.excludedCount || 0,
+    excluded: scan.excluded || [],
+    incomplete: !!scan.incomplete,
+    entries: encodeEntries(rootPath, scan)
+  };
+  await writeFileAtomic(filePath, await gzip(JSON.stringify(payload)));
+}
+
+async function readScanFile(filePath, rootPath) {
+  const content = await gunzip(await fs.readFile(filePath));
+  const payload = JSON.parse(content.toString());
+  if (payload.version !== STORE_VERSION || payload.root !== rootPath) {
+    return null;
+  }
+
+  const { sizeMap, apparentMap, mtimeMap, atimeMap, directories } = decodeEntries(payload.entries);
+  return {
+    sizeMap,
+    apparentMap,
+    mtimeMap,
+    atimeMap,
+    directories,
+    errors: payload.errors,
+    errorCount: payload.errorCount,
+    excludeRules: payload.excludeRules || [],
+    oneFileSystem: !!payload.oneFileSystem,
+    excluded: payload.excluded || [],
+    excludedCount: payload.excludedCount || 0,
+    incomplete: !!payload.incomplete,
+    timestamp: payload.timestamp
+  };
+}
+
+async function saveScan(storeDir, rootPath, scan) {
+  await fs.mkdir(storeDir, { recursive: true });
+
+  const fileName = getScanFileName(rootPath);
+  await writeScanFile(path.join(storeDir, fileName), rootPath, scan);
+
+  const meta = {
+    file: fileName,
+    timestamp: scan.timestamp,
+    entryCount: scan.sizeMap.size,
+    totalSize: scan.sizeMap.get(rootPath) || 0
+  };
+  await updateIndex(storeDir, (scans) => {
+    scans[rootPath] = meta;
+  });
+  return meta;
+}
+
+async function loadScan(storeDir, rootPath) {
+  const scans = await readIndex(storeDir);
+  const meta = scans[rootPath];
+  if (!meta) {
+    return null;
+  }
+
+  try {
+    return await readScanFile(path.join(storeDir, meta.file), rootPath);
+  } catch (error) {
+    console.warn(`Failed to load stored scan for ${rootPath}: ${error.message}`);
+    return null;
+  }
+}
+
+async function deleteScan(storeDir, rootPath) {
+  const meta = await updateIndex(storeDir, (scans) => {
+    const removed = scans[rootPath];
+    delete scans[rootPath];
+    return removed;
+  });
+  if (meta) {
+    await fs.unlink(path.join(storeDir, meta.file)).catch(() => {});
+  }
+}
+
+async function clearScans(storeDir) {
+  const scans = await readIndex(storeDir);
+  for (const rootPath of Object.keys(scans)) {
+    await deleteScan(storeDir, rootPath);
+  }
+}
+
+// 保存済みスナップショットの一覧（ID → メタデータ）
+async function listSnapshots(snapshotDir) {
+  return readIndex(snapshotDir);
+}
+
+async function saveSnapshot(snapshotDir, name, rootPath, scan) {
+  await fs.mkdir(snapshotDir, { recursive: true });
+
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  const fileName = `${id}.json.gz`;
+  await writeScanFile(path.join(snapshotDir, fileName), rootPath, scan);
+
+  const meta = {
+    id,
+    file: fileName,
+    name,
+    root: rootPath,
+    timestamp: scan.timestamp,
+    createdAt: Date.now(),
+    entryCount: scan.sizeMap.size,
+    totalSize: scan.sizeMap.get(rootPath) || 0
+  };
+  await updateIndex(snapshotDir, (snapshots) => {
+    snapshots[id] = meta;
+  });
+  return meta;
+}
+
+async function loadSnapshot(snapshotDir, id) {
+  const snapshots = await readIndex(snapshotDir);
+  const meta = snapshots[id];
+  if (!meta) {
+    return null;
+  }
+
+  try {
+    const scan = await readScanFile(path.join(snapshotDir, meta.file), meta.root);
+    return scan ? { ...scan, meta } : null;
+  } catch (error) {
+    console.warn(`Failed to load snapshot ${id}: ${error.message}`);
+    return null;
+  }
+}
+
+async function deleteSnapshot(snapshotDir, id) {
+  const meta = await updateIndex(snapshotDir, (snapshots) => {
+    const removed = snapshots[id];
+    delete snapshots[id];
+    return removed;
+  });
+  if (meta) {
+    await fs.unlink(path.join(snapshotDir, meta.file)).catch(() => {});
+  }
+}
+
+module.exports = {
+  writeScanFile,
+  listScans,
+  saveScan,
+  loadScan,
+  deleteScan,
+  clearScans,
+  listSnapshots,
+  saveSnapshot,
+  loadSnapshot,
+  deleteSnapshot
+};
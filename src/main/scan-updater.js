@@ -0,0 +1,302 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { scanDirectory, isPathWithin, getAllocatedSize } = require('./scanner');
+const { createMatcher } = require('./exclude-rules');
+
+// キャッシュ済みスキャン結果の差分更新
+// 変更のあったパスだけを調べ直し、サイズの増減を全ての祖先ディレクトリに反映する。
+// scan は getAllDirectorySizes がキャッシュする { sizeMap, apparentMap, directories } を持つオブジェクト。
+// apparentMap と mtimeMap / atimeMap はduバックエンドや古い保存データでは null になる。
+// ディレクトリの日時は中にあるものを含めた最も新しい値で、新しくなる方向にだけ更新する
+// （エントリが消えても祖先の日時は戻さない。次回のスキャンで正しい値になる）。
+// 差分更新で新しく現れたハードリンクは、既存のリンクと重複して数えられることがある。
+// スキャン時の除外ルール（scan.excludeRules）に一致するパスや、oneFileSystem 指定時の
+// 別のファイルシステム上のパスの変更は無視する。
+
+// entryPath自身は含めず、その祖先（rootPathまで）にdeltaを加算
+function addToAncestors(scan, rootPath, entryPath, delta, apparentDelta = 0) {
+  if ((delta === 0 && apparentDelta === 0) || entryPath === rootPath) {
+    return;
+  }
+
+  let current = path.dirname(entryPath);
+  while (true) {
+    scan.sizeMap.set(current, (scan.sizeMap.get(current) || 0) + delta);
+    if (scan.apparentMap) {
+      scan.apparentMap.set(current, (scan.apparentMap.get(current) || 0) + apparentDelta);
+    }
+    if (current === rootPath) break;
+
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+}
+
+// エントリ自身の日時を置き換え、祖先の「最も新しい日時」に反映（変化があればtrue）
+function updateTimes(scan, rootPath, entryPath, mtime, atime) {
+  if (!scan.mtimeMap || !scan.atimeMap) {
+    return false;
+  }
+  const changed = scan.mtimeMap.get(entryPath) !== mtime || scan.atimeMap.get(entryPath) !== atime;
+  scan.mtimeMap.set(entryPath, mtime);
+  scan.atimeMap.set(entryPath, atime);
+
+  let current = entryPath;
+  while (current !== rootPath) {
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+
+    const newerMtime = !(scan.mtimeMap.get(current) >= mtime);
+    const newerAtime = !(scan.atimeMap.get(current) >= atime);
+    if (!newerMtime && !newerAtime) break;
+    if (newerMtime) scan.mtimeMap.set(current, mtime);
+    if (newerAtime) scan.atimeMap.set(current, atime);
+  }
+  return changed;
+}
+
+// 親ディレクトリ → 直下のエントリの索引（まとめて反映する変更ごとに、必要になったときに一度だけ作る）
+// 作った後のエントリの追加・削除は addToIndex / deleteEntry で索引にも反映する
+function getChildIndex(scan, context) {
+  if (!context.childIndex) {
+    context.childIndex = new Map();
+    for (const entryPath of scan.sizeMap.keys()) {
+      indexEntry(context.childIndex, entryPath);
+    }
+  }
+  return context.childIndex;
+}
+
+function indexEntry(index, entryPath) {
+  const parent = path.dirname(entryPath);
+  if (parent === entryPath) {
+    return;
+  }
+  let children = index.get(parent);
+  if (!children) {
+    children = new Set();
+    index.set(parent, children);
+  }
+  children.add(entryPath);
+}
+
+function addToIndex(context, entryPath) {
+  if (context.childIndex) {
+    indexEntry(context.childIndex, entryPath);
+  }
+}
+
+// entryPath以下のエントリをすべて取り除き、祖先のサイズからも差し引く
+function removeSubtree(scan, rootPath, entryPath, context) {
+  const size = scan.sizeMap.get(entryPath);
+  if (size === undefined) {
+    return false;
+  }
+  const apparentSize = scan.apparentMap ? scan.apparentMap.get(entryPath) || 0 : 0;
+
+  if (scan.directories.has(entryPath)) {
+    const index = getChildIndex(scan, context);
+    const descendants = [];
+    const stack = [...(index.get(entryPath) || [])];
+    while (stack.length > 0) {
+      const cachedPath = stack.pop();
+      descendants.push(cachedPath);
+      stack.push(...(index.get(cachedPath) || []));
+    }
+    for (const cachedPath of descendants) {
+      deleteEntry(scan, cachedPath, context);
+    }
+  }
+  deleteEntry(scan, entryPath, context);
+  addToAncestors(scan, rootPath, entryPath, -size, -apparentSize);
+  return true;
+}
+
+function deleteEntry(scan, entryPath, context) {
+  if (context.childIndex) {
+    const siblings = context.childIndex.get(path.dirname(entryPath));
+    if (siblings) {
+      siblings.delete(entryPath);
+    }
+    context.childIndex.delete(entryPath);
+  }
+  scan.sizeMap.delete(entryPath);
+  scan.directories.delete(entryPath);
+  if (scan.apparentMap) {
+    scan.apparentMap.delete(entryPath);
+  }
+  if (scan.mtimeMap && scan.atimeMap) {
+    scan.mtimeMap.delete(entryPath);
+    scan.atimeMap.delete(entryPath);
+  }
+}
+
+// 新しく現れたディレクトリを走査して取り込む
+async function addSubtree(scan, rootPath, dirPath, context) {
+  const result = await scanDirectory(dirPath, {
+    excludeRules: scan.excludeRules || [],
+    oneFileSystem: !!scan.oneFileSystem
+  });
+  for (const [entryPath, size] of result.sizeMap) {
+    scan.sizeMap.set(entryPath, size);
+    addToIndex(context, entryPath);
+  }
+  if (scan.apparentMap && result.apparentMap) {
+    for (const [entryPath, size] of result.apparentMap) {
+      scan.apparentMap.set(entryPath, size);
+    }
+  }
+  for (const entryPath of result.directories) {
+    scan.directories.add(entryPath);
+  }
+  const hasTimes = scan.mtimeMap && scan.atimeMap && result.mtimeMap && result.atimeMap;
+  if (hasTimes) {
+    for (const [entryPath, mtime] of result.mtimeMap) {
+      scan.mtimeMap.set(entryPath, mtime);
+      scan.atimeMap.set(entryPath, result.atimeMap.get(entryPath));
+    }
+    updateTimes(scan, rootPath, dirPath, result.mtimeMap.get(dirPath), result.atimeMap.get(dirPath));
+  }
+  if (result.excludedCount > 0) {
+    scan.excluded = [...(scan.excluded || []), ...result.excluded];
+    scan.excludedCount = (scan.excludedCount || 0) + result.excludedCount;
+  }
+  const apparentSize = result.apparentMap ? result.apparentMap.get(dirPath) || 0 : 0;
+  addToAncestors(scan, rootPath, dirPath, result.sizeMap.get(dirPath) || 0, apparentSize);
+}
+
+// 既存ディレクトリの直下を実際の内容と突き合わせる
+async function reconcileDirectory(scan, rootPath, dirPath, stats, context) {
+  let changed = false;
+  const names = new Set(await fs.readdir(dirPath));
+
+  // 消えたエントリ
+  for (const cachedPath of [...(getChildIndex(scan, context).get(dirPath) || [])]) {
+    if (!names.has(path.basename(cachedPath))) {
+      changed = removeSubtree(scan, rootPath, cachedPath, context) || changed;
+    }
+  }
+
+  // 新しく現れたエントリ
+  for (const name of names) {
+    const childPath = path.join(dirPath, name);
+    if (!scan.sizeMap.has(childPath)) {
+      changed = (await applyPathChange(scan, rootPath, childPath, context)) || changed;
+    }
+  }
+
+  // ディレクトリ自身のブロック数（見かけのサイズ）の変化
+  const sumChildren = (sizeMap) => [...names].reduce((sum, name) => sum + (sizeMap.get(path.join(dirPath, name)) || 0), 0);
+  const total = getAllocatedSize(stats) + sumChildren(scan.sizeMap);
+  const delta = total - (scan.sizeMap.get(dirPath) || 0);
+  let apparentDelta = 0;
+  if (scan.apparentMap) {
+    const apparentTotal = stats.size + sumChildren(scan.apparentMap);
+    apparentDelta = apparentTotal - (scan.apparentMap.get(dirPath) || 0);
+    scan.apparentMap.set(dirPath, apparentTotal);
+  }
+  if (delta !== 0 || apparentDelta !== 0) {
+    scan.sizeMap.set(dirPath, total);
+    addToAncestors(scan, rootPath, dirPath, delta, apparentDelta);
+    changed = true;
+  }
+
+  // ディレクトリ自身の日時と直下のエントリの日時のうち最も新しいもの
+  if (scan.mtimeMap && scan.atimeMap) {
+    const newest = (timeMap) => [...names].reduce(
+      (latest, name) => Math.max(latest, timeMap.get(path.join(dirPath, name)) || 0),
+      stats.mtimeMs
+    );
+    changed = updateTimes(scan, rootPath, dirPath, newest(scan.mtimeMap), newest(scan.atimeMap)) || changed;
+  }
+
+  return changed;
+}
+
+// 1つのパスの変更を反映（変化があればtrue）
+// context は { matcher（除外ルールの判定）, rootDevice（oneFileSystem 指定時のルートのデバイス）, childIndex }
+async function applyPathChange(scan, rootPath, changedPath, context) {
+  if (!isPathWithin(changedPath, rootPath)) {
+    return false;
+  }
+
+  let stats;
+  try {
+    stats = await fs.lstat(changedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return removeSubtree(scan, rootPath, changedPath, context);
+    }
+    throw error;
+  }
+
+  if (context.matcher.isExcluded(changedPath, stats.isDirectory())) {
+    return false;
+  }
+  if (context.rootDevice !== null && stats.dev !== context.rootDevice) {
+    return false;
+  }
+
+  if (stats.isDirectory()) {
+    if (!scan.directories.has(changedPath)) {
+      // ファイルがディレクトリに置き換わった場合も含む
+      removeSubtree(scan, rootPath, changedPath, context);
+      await addSubtree(scan, rootPath, changedPath, context);
+      return true;
+    }
+    return reconcileDirectory(scan, rootPath, changedPath, stats, context);
+  }
+
+  if (scan.directories.has(changedPath)) {
+    removeSubtree(scan, rootPath, changedPath, context);
+  }
+  const previous = scan.sizeMap.get(changedPath);
+  const size = getAllocatedSize(stats);
+  const previousApparent = scan.apparentMap ? scan.apparentMap.get(changedPath) : undefined;
+  // 既存のハードリンクの2つ目以降のパス（0として記録済み）は数え直さない
+  if (previous === 0 && previousApparent === 0 && stats.nlink > 1) {
+    return false;
+  }
+  const timesChanged = updateTimes(scan, rootPath, changedPath, stats.mtimeMs, stats.atimeMs);
+  if (previous === size && (!scan.apparentMap || previousApparent === stats.size)) {
+    return timesChanged;
+  }
+  scan.sizeMap.set(changedPath, size);
+  if (previous === undefined) {
+    addToIndex(context, changedPath);
+  }
+  let apparentDelta = 0;
+  if (scan.apparentMap) {
+    scan.apparentMap.set(changedPath, stats.size);
+    apparentDelta = stats.size - (previousApparent || 0);
+  }
+  addToAncestors(scan, rootPath, changedPath, size - (previous || 0), apparentDelta);
+  return true;
+}
+
+// 複数の変更をまとめて反映（変化があればtrue）
+async function applyChanges(scan, rootPath, changedPaths) {
+  let changed = false;
+  const context = {
+    matcher: createMatcher(scan.excludeRules, rootPath),
+    rootDevice: scan.oneFileSystem ? (await fs.lstat(rootPath)).dev : null,
+    childIndex: null
+  };
+  // 親から順に処理する（新しく現れたディレクトリは親の突き合わせで走査済みになる）
+  const sortedPaths = [...new Set(changedPaths)].sort((a, b) => a.length - b.length);
+
+  for (const changedPath of sortedPaths) {
+    try {
+      changed = (await applyPathChange(scan, rootPath, changedPath, context)) || changed;
+    } catch (error) {
+      console.warn(`Failed to apply change for ${changedPath}: ${error.message}`);
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  applyChanges
+};
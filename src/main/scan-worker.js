@@ -0,0 +1,242 @@
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs').promises;
+const path = require('path');
+const { getAllocatedSize } = require('./scanner');
+const { createMatcher } = require('./exclude-rules');
+
+// ネイティブスキャナーのワーカー
+// メインプロセスをブロックしないよう、ディレクトリ走査と集計はすべてここで行う
+
+const MAX_REPORTED_ERRORS = 1000; // 詳細を保持するエラーの最大件数
+const MAX_REPORTED_EXCLUSIONS = 1000; // 詳細を保持する除外パスの最大件数
+const PROGRESS_INTERVAL = 250; // 進捗通知の間隔（ms）
+
+const { rootPath, concurrency, excludeRules, oneFileSystem } = workerData;
+const excludeMatcher = createMatcher(excludeRules, rootPath);
+
+const sizeMap = new Map(); // ディスク使用量（割り当てブロック数）
+const apparentMap = new Map(); // 見かけのサイズ（ファイル長）
+const mtimeMap = new Map(); // 更新日時（ディレクトリは中にあるものを含めて最も新しい値）
+const atimeMap = new Map(); // アクセス日時（同上）
+const directories = new Set();
+const seenInodes = new Set(); // ハードリンクの重複計上を防ぐための (dev, inode)
+const errors = [];
+let errorCount = 0;
+const excluded = [];
+let excludedCount = 0;
+let processedEntries = 0;
+let processedBytes = 0;
+let currentPath = rootPath;
+let cancelled = false;
+let rootDevice = null; // oneFileSystem 指定時、これと異なるデバイスのディレクトリには降りない
+
+// メインスレッドからの中断要求（それまでに集計した分は結果として返す）
+function handleMessage(message) {
+  if (message.type === 'cancel') {
+    cancelled = true;
+  }
+}
+parentPort.on('message', handleMessage);
+
+// 同時実行数を制限したタスク実行
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+const limit = createLimiter(concurrency);
+
+// エントリ自身のサイズを自分と全ての祖先に加算
+function addSize(entryPath, bytes, apparentBytes) {
+  let current = entryPath;
+  while (true) {
+    sizeMap.set(current, (sizeMap.get(current) || 0) + bytes);
+    apparentMap.set(current, (apparentMap.get(current) || 0) + apparentBytes);
+    if (current === rootPath) break;
+
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+}
+
+// エントリの時刻を記録し、祖先ディレクトリの「最も新しい時刻」を更新
+// 祖先の値はその子孫の値以上なので、更新が不要になった祖先で打ち切れる
+function addTimes(entryPath, mtime, atime) {
+  let current = entryPath;
+  while (true) {
+    const newerMtime = !(mtimeMap.get(current) >= mtime);
+    const newerAtime = !(atimeMap.get(current) >= atime);
+    if (!newerMtime && !newerAtime) break;
+    if (newerMtime) mtimeMap.set(current, mtime);
+    if (newerAtime) atimeMap.set(current, atime);
+    if (current === rootPath) break;
+
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+}
+
+function recordEntry(entryPath, stats) {
+  if (stats.isDirectory()) {
+    directories.add(entryPath);
+  }
+  let size = getAllocatedSize(stats);
+  let apparentSize = stats.size;
+
+  // ハードリンクは (dev, inode) ごとに1回だけ数える（2つ目以降のパスは0として記録）
+  if (!stats.isDirectory() && stats.nlink > 1) {
+    const inodeKey = `${stats.dev}:${stats.ino}`;
+    if (seenInodes.has(inodeKey)) {
+      size = 0;
+      apparentSize = 0;
+    } else {
+      seenInodes.add(inodeKey);
+    }
+  }
+
+  addSize(entryPath, size, apparentSize);
+  // ディレクトリのアクセス日時はスキャン自体で更新されてしまうため、更新日時で代用する
+  addTimes(entryPath, stats.mtimeMs, stats.isDirectory() ? stats.mtimeMs : stats.atimeMs);
+  processedEntries++;
+  processedBytes += size;
+  currentPath = entryPath;
+}
+
+function recordError(entryPath, error) {
+  errorCount++;
+  if (errors.length < MAX_REPORTED_ERRORS) {
+    errors.push({
+      path: entryPath,
+      code: error.code || null,
+      message: error.message
+    });
+  }
+}
+
+// 除外ルールに一致したエントリ（ディレクトリの場合は中身を走査しない）
+function recordExclusion(entryPath, stats) {
+  excludedCount++;
+  if (excluded.length < MAX_REPORTED_EXCLUSIONS) {
+    excluded.push({
+      path: entryPath,
+      type: stats.isDirectory() ? 'directory' : 'file'
+    });
+  }
+}
+
+// ディレクトリのエントリ名を一括で読み込む（ハンドルを開いている時間を短くするため）
+async function readDirectoryNames(dirPath) {
+  const names = [];
+  const dir = await fs.opendir(dirPath);
+  for await (const dirent of dir) {
+    names.push(dirent.name);
+  }
+  return names;
+}
+
+async function walk(dirPath) {
+  if (cancelled) {
+    return;
+  }
+
+  let names;
+  try {
+    names = await limit(async () => (cancelled ? [] : readDirectoryNames(dirPath)));
+  } catch (error) {
+    recordError(dirPath, error);
+    return;
+  }
+
+  const subdirectories = [];
+  await Promise.all(names.map(name => limit(async () => {
+    if (cancelled) {
+      return;
+    }
+    const entryPath = path.join(dirPath, name);
+    try {
+      const stats = await fs.lstat(entryPath);
+      if (excludeMatcher.matches(entryPath, stats.isDirectory())) {
+        recordExclusion(entryPath, stats);
+        return;
+      }
+      // 別のファイルシステムのマウントポイント（du -x と同様にマウントポイント自身も数えない）
+      if (oneFileSystem && stats.isDirectory() && stats.dev !== rootDevice) {
+        return;
+      }
+      recordEntry(entryPath, stats);
+      if (stats.isDirectory()) {
+        subdirectories.push(entryPath);
+      }
+    } catch (error) {
+      recordError(entryPath, error);
+    }
+  })));
+
+  await Promise.all(subdirectories.map(walk));
+}
+
+function postProgress() {
+  parentPort.postMessage({
+    type: 'progress',
+    processedEntries,
+    processedBytes,
+    currentPath,
+    errorCount
+  });
+}
+
+async function run() {
+  const progressTimer = setInterval(postProgress, PROGRESS_INTERVAL);
+
+  try {
+    const rootStats = await fs.lstat(rootPath);
+    rootDevice = rootStats.dev;
+    recordEntry(rootPath, rootStats);
+    if (rootStats.isDirectory()) {
+      await walk(rootPath);
+    }
+  } catch (error) {
+    recordError(rootPath, error);
+  } finally {
+    clearInterval(progressTimer);
+  }
+
+  parentPort.postMessage({
+    type: 'done',
+    sizeMap,
+    apparentMap,
+    mtimeMap,
+    atimeMap,
+    directories,
+    errors,
+    errorCount,
+    excluded,
+    excludedCount,
+    processedEntries,
+    processedBytes,
+    incomplete: cancelled
+  });
+  // リスナーを外してワーカーを終了させる
+  parentPort.off('message', handleMessage);
+}
+
+run();
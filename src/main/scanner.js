@@ -0,0 +1,329 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const { Worker } = require('worker_threads');
+
+// スキャンバックエンド
+// native: worker_threads + fs.opendir/lstat による組み込みスキャナー（既定）
+// du:     従来の `du -ak` を使うバックエンド（オプション）
+// どちらも oneFileSystem を指定すると、ルートと別のファイルシステムには降りない（du -x 相当）
+const SCAN_BACKENDS = ['native', 'du'];
+const SCAN_CONCURRENCY = 32; // 同時に実行するfs操作の上限
+
+// パスを正規化（末尾のスラッシュを削除、相対パスを絶対パスに変換）
+function normalizePath(filePath) {
+  const resolved = path.resolve(filePath);
+  return resolved.replace(/\/+$/, '') || '/';
+}
+
+// 実際にディスク上で占有しているバイト数（blocksが無い環境ではファイルサイズ）
+function getAllocatedSize(stats) {
+  return typeof stats.blocks === 'number' ? stats.blocks * 512 : stats.size;
+}
+
+// childPathがparentPathと同じか、その配下にあるか（ルート "/" も考慮）
+function isPathWithin(childPath, parentPath) {
+  if (childPath === parentPath) {
+    return true;
+  }
+  const prefix = parentPath.endsWith(path.sep) ? parentPath : parentPath + path.sep;
+  return childPath.startsWith(prefix);
+}
+
+// ネイティブスキャナーでディレクトリ以下を走査
+function executeNativeScan(rootPath, onProgress = null, signal = null, scanOptions = {}) {
+  const { excludeRules = [], oneFileSystem = false } = scanOptions;
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'scan-worker.js'), {
+      workerData: { rootPath, concurrency: SCAN_CONCURRENCY, excludeRules, oneFileSystem }
+    });
+    let settled = false;
+
+    // 中断時はワーカーに通知し、途中までの結果を受け取る
+    const cancel = () => {
+      worker.postMessage({ type: 'cancel' });
+    };
+    if (signal) {
+      if (signal.aborted) {
+        cancel();
+      } else {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+    }
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        if (onProgress) {
+          onProgress({
+            processedFiles: message.processedEntries,
+            processedBytes: message.processedBytes,
+            currentPath: message.currentPath,
+            errorCount: message.errorCount,
+            isComplete: false
+          });
+        }
+      } else if (message.type === 'done') {
+        settled = true;
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
+        if (onProgress) {
+          onProgress({
+            processedFiles: message.processedEntries,
+            processedBytes: message.processedBytes,
+            currentPath: rootPath,
+            errorCount: message.errorCount,
+            isComplete: true,
+            cancelled: message.incomplete
+          });
+        }
+        console.log(`Native scan ${message.incomplete ? 'cancelled' : 'completed'}: processed ${message.processedEntries} entries, ${message.errorCount} errors, ${message.excludedCount} excluded`);
+        resolve({
+          sizeMap: message.sizeMap,
+          apparentMap: message.apparentMap,
+          mtimeMap: message.mtimeMap,
+          atimeMap: message.atimeMap,
+          directories: message.directories,
+          errors: message.errors,
+          errorCount: message.errorCount,
+          excluded: message.excluded,
+          excludedCount: message.excludedCount,
+          incomplete: message.incomplete
+        });
+      }
+    });
+
+    worker.on('error', (error) => {
+      settled = true;
+      reject(error);
+    });
+
+    worker.on('exit', (code) => {
+      if (!settled) {
+        reject(new Error(`scan worker exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// 進捗付きでduコマンドを実行（ストリーミング処理）
+function executeDuWithProgress(rootPath, includeFiles = true, onProgress = null, signal = null, oneFileSystem = false) {
+  return new Promise((resolve, reject) => {
+    const duArgs = [includeFiles ? '-ak' : '-k', ...(oneFileSystem ? ['-x'] : []), rootPath];
+    const duProcess = spawn('du', duArgs);
+
+    // 中断時はduを終了させ、それまでに出力された分を結果とする
+    let cancelled = false;
+    const cancel = () => {
+      cancelled = true;
+      duProcess.kill();
+    };
+    if (signal) {
+      if (signal.aborted) {
+        cancel();
+      } else {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+    }
+
+    const sizeMap = new Map();
+    const errors = [];
+    let buffer = '';
+    let lineCount = 0;
+    let errorCount = 0;
+    let lastProgressTime = Date.now();
+    let currentPath = rootPath;
+
+    duProcess.stdout.on('data', (data) => {
+      buffer += data.toString();
+
+      // 行ごとに処理（メモリ効率向上）
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex);
+        buffer = buffer.slice(newlineIndex + 1);
+
+        if (line.trim()) {
+          const parts = line.split('\t');
+          if (parts.length >= 2) {
+            const sizeKB = parseInt(parts[0]);
+            const filePath = parts[1];
+            const sizeBytes = sizeKB * 1024;
+            sizeMap.set(filePath, sizeBytes);
+            currentPath = filePath;
+            lineCount++;
+          }
+        }
+      }
+
+      // 進捗更新（1秒に1回程度）
+      const now = Date.now();
+      if (onProgress && (now - lastProgressTime) > 1000) {
+        onProgress({
+          processedFiles: lineCount,
+          currentPath: currentPath,
+          errorCount: errorCount,
+          isComplete: false
+        });
+
+        lastProgressTime = now;
+      }
+    });
+
+    duProcess.stderr.on('data', (data) => {
+      console.warn('du stderr:', data.toString());
+      // duのエラー出力は構造化されていないため、メッセージのみ保持
+      data.toString().split('\n').filter(line => line.trim()).forEach(line => {
+        errorCount++;
+        errors.push({ path: null, code: null, message: line.trim() });
+      });
+    });
+
+    duProcess.on('close', (code) => {
+      // 残りのバッファを処理
+      if (buffer.trim()) {
+        const parts = buffer.trim().split('\t');
+        if (parts.length >= 2) {
+          const sizeKB = parseInt(parts[0]);
+          const filePath = parts[1];
+          const sizeBytes = sizeKB * 1024;
+          sizeMap.set(filePath, sizeBytes);
+          lineCount++;
+        }
+      }
+
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+
+      // duは読めないパスがあると終了コード1を返すが、結果自体は利用できる
+      if (cancelled || code === 0 || (code === 1 && sizeMap.size > 0)) {
+        // 完了時の進捗更新
+        if (onProgress) {
+          onProgress({
+            processedFiles: lineCount,
+            currentPath: rootPath,
+            errorCount: errorCount,
+            isComplete: true,
+            cancelled: cancelled
+          });
+        }
+        console.log(`DU ${cancelled ? 'cancelled' : 'completed'}: processed ${lineCount} entries, map size: ${sizeMap.size}`);
+        // duバックエンドでは見かけのサイズと日時は取得しない
+        resolve({
+          sizeMap: sizeMap,
+          apparentMap: null,
+          mtimeMap: null,
+          atimeMap: null,
+          directories: collectDirectories(sizeMap),
+          errors: errors,
+          errorCount: errorCount,
+          excluded: [],
+          excludedCount: 0,
+          incomplete: cancelled
+        });
+      } else {
+        reject(new Error(`du command failed with code ${code}`));
+      }
+    });
+
+    duProcess.on('error', (error) => {
+      reject(error);
+    });
+
+    // タイムアウト処理
+    const timeout = setTimeout(() => {
+      duProcess.kill();
+      reject(new Error('du command timed out after 10 minutes'));
+    }, 600000); // 10分
+
+    duProcess.on('close', () => {
+      clearTimeout(timeout);
+    });
+  });
+}
+
+// duの出力には種別が無いため、他のエントリの親になっているパスをディレクトリとみなす
+function collectDirectories(sizeMap) {
+  const directories = new Set();
+  for (const entryPath of sizeMap.keys()) {
+    const parent = path.dirname(entryPath);
+    if (parent !== entryPath && sizeMap.has(parent)) {
+      directories.add(parent);
+    }
+  }
+  return directories;
+}
+
+// duバックエンドでスキャン（出力が大きすぎる場合はディレクトリのみで再試行）
+async function executeDuScan(rootPath, onProgress = null, signal = null, oneFileSystem = false) {
+  try {
+    return await executeDuWithProgress(rootPath, true, onProgress, signal, oneFileSystem);
+  } catch (error) {
+    if (error.message.includes('maxBuffer') || error.message.includes('stdout maxBuffer') || error.message.includes('timed out') || error.message.includes('Invalid string length')) {
+      console.log('Trying fallback: du without -a option (directories only)');
+      return await executeDuWithProgress(rootPath, false, onProgress, signal, oneFileSystem);
+    }
+    throw error;
+  }
+}
+
+// マウントポイントそのものをスキャンする場合は、statfsからファイルシステムの使用量が分かる
+// （進捗率の分母に使う。ルートがマウントポイントでなければnull）
+async function getScanTotals(rootPath) {
+  if (typeof fs.statfs !== 'function') {
+    return null;
+  }
+
+  try {
+    const parentPath = path.dirname(rootPath);
+    const [stats, parentStats] = await Promise.all([fs.lstat(rootPath), fs.lstat(parentPath)]);
+    if (parentPath !== rootPath && stats.dev === parentStats.dev) {
+      return null;
+    }
+
+    const fsStats = await fs.statfs(rootPath);
+    const usedEntries = fsStats.files - fsStats.ffree;
+    return {
+      totalBytes: (fsStats.blocks - fsStats.bfree) * fsStats.bsize,
+      // inode数を報告しないファイルシステム（btrfsなど）もある
+      totalEntries: fsStats.files > 0 && usedEntries > 0 ? usedEntries : null
+    };
+  } catch (error) {
+    console.warn(`Failed to get filesystem usage for ${rootPath}: ${error.message}`);
+    return null;
+  }
+}
+
+// 指定されたルート以下をスキャンし、パスごとのサイズ情報を返す
+// signal（AbortSignal）で中断すると、途中までの結果が incomplete: true として返る
+// excludeRules は exclude-rules.js の getRuleSets が返すルールの組
+async function scanDirectory(rootPath, options = {}) {
+  const { backend = 'native', onProgress = null, signal = null, excludeRules = [], oneFileSystem = false } = options;
+  const normalizedRoot = normalizePath(rootPath);
+
+  if (!SCAN_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown scan backend: ${backend}`);
+  }
+
+  // 分母が分かる場合は進捗に付け加える
+  const totals = onProgress ? await getScanTotals(normalizedRoot) : null;
+  const reportProgress = totals ? (progress) => onProgress({ ...progress, ...totals }) : onProgress;
+
+  console.log(`Scanning ${normalizedRoot} with ${backend} backend`);
+  if (backend === 'du') {
+    if (excludeRules.length > 0) {
+      console.warn('Exclude rules are not supported by the du backend and will be ignored');
+    }
+    return executeDuScan(normalizedRoot, reportProgress, signal, oneFileSystem);
+  }
+  return executeNativeScan(normalizedRoot, reportProgress, signal, { excludeRules, oneFileSystem });
+}
+
+module.exports = {
+  SCAN_BACKENDS,
+  normalizePath,
+  isPathWithin,
+  getAllocatedSize,
+  scanDirectory
+};
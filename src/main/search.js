@@ -0,0 +1,113 @@
+const path = require('path');
+const { isPathWithin } = require('./scanner');
+const { globToRegExp } = require('./exclude-rules');
+
+// スキャン結果の中から名前・パスで検索する（ディスクへのアクセスは不要）
+// mode は substring（名前の部分一致）/ glob / regex（相対パスに対する検索）。大文字と小文字は区別しない。
+// "/" を含まないグロブは名前に、含むグロブは検索範囲からの相対パスに一致させる。
+// エントリ数が多いとメインプロセスが止まるため、一定件数ごとにイベントループへ処理を返し、signal で中断できるようにする。
+
+const DEFAULT_LIMIT = 1000; // 一覧として返す件数（大きい順）
+const MAX_HIGHLIGHT_PATHS = 10000; // ツリーマップの強調表示用に返すパスの上限
+const CHUNK_SIZE = 20000; // 続けて調べるエントリ数（この件数ごとに他の処理を挟む）
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw Object.assign(new Error('検索を中止しました'), { name: 'AbortError' });
+  }
+}
+
+// 検索語から判定関数を作る（正規表現が不正な場合は例外）
+function createPredicate(query, mode) {
+  if (mode === 'regex') {
+    const regex = new RegExp(query, 'i');
+    return (name, relativePath) => regex.test(relativePath);
+  }
+  if (mode === 'glob') {
+    const pattern = query.replace(/^\/+/, '');
+    const regex = new RegExp(`^${globToRegExp(pattern)}$`, 'i');
+    return pattern.includes('/')
+      ? (name, relativePath) => regex.test(relativePath)
+      : (name) => regex.test(name);
+  }
+  const needle = query.toLowerCase();
+  return (name) => name.toLowerCase().includes(needle);
+}
+
+// 一致したパスのうち、一致した別のディレクトリの中にあるもの以外の合計（重複して数えない）
+async function getTotalSize(matches, dirPath, signal) {
+  const matchedPaths = new Set(matches.map(match => match.path));
+  let total = 0;
+  for (const [index, match] of matches.entries()) {
+    if (index > 0 && index % CHUNK_SIZE === 0) {
+      await yieldToEventLoop();
+      throwIfAborted(signal);
+    }
+    let current = path.dirname(match.path);
+    let nested = false;
+    while (current !== dirPath && isPathWithin(current, dirPath)) {
+      if (matchedPaths.has(current)) {
+        nested = true;
+        break;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) break;
+      current = parent;
+    }
+    if (!nested) {
+      total += match.size;
+    }
+  }
+  return total;
+}
+
+// 正規表現が不正なら例外、signal で中断したら AbortError
+async function searchScan(scan, dirPath, options = {}) {
+  const { query = '', mode = 'substring', sizeMap = scan.sizeMap, limit = DEFAULT_LIMIT, signal = null } = options;
+  const matches = (query ? await searchEntries(scan, dirPath, createPredicate(query, mode), sizeMap, signal) : [])
+    .sort((a, b) => b.size - a.size);
+
+  return {
+    path: dirPath,
+    query,
+    mode,
+    matchedCount: matches.length,
+    totalSize: await getTotalSize(matches, dirPath, signal),
+    matches: matches.slice(0, limit),
+    highlightPaths: matches.slice(0, MAX_HIGHLIGHT_PATHS).map(match => match.path)
+  };
+}
+
+async function searchEntries(scan, dirPath, predicate, sizeMap, signal) {
+  const matches = [];
+  const prefixLength = dirPath.endsWith(path.sep) ? dirPath.length : dirPath.length + 1;
+  let processed = 0;
+  for (const [entryPath, size] of sizeMap) {
+    if (++processed % CHUNK_SIZE === 0) {
+      await yieldToEventLoop();
+      throwIfAborted(signal);
+    }
+    if (entryPath === dirPath || !isPathWithin(entryPath, dirPath)) {
+      continue;
+    }
+    const name = path.basename(entryPath);
+    const relativePath = entryPath.slice(prefixLength).split(path.sep).join('/');
+    if (predicate(name, relativePath)) {
+      matches.push({
+        name,
+        path: entryPath,
+        size,
+        type: scan.directories.has(entryPath) ? 'directory' : 'file'
+      });
+    }
+  }
+  return matches;
+}
+
+module.exports = {
+  searchScan
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const { isPathWithin } = require('./scanner');
+
+// 2つのスキャン結果（スナップショット）の差分計算
+// どちらも getAllDirectorySizes が作るのと同じ sizeMap / directories を持つ
+
+// 比較用の状態を作成（親パス → 子パスの索引を両方のスナップショットから作る）
+function createComparison(base, target) {
+  const children = new Map();
+  const addChild = (entryPath) => {
+    const parent = path.dirname(entryPath);
+    if (parent === entryPath) {
+      return;
+    }
+    if (!children.has(parent)) {
+      children.set(parent, new Set());
+    }
+    children.get(parent).add(entryPath);
+  };
+
+  for (const entryPath of base.sizeMap.keys()) {
+    addChild(entryPath);
+  }
+  for (const entryPath of target.sizeMap.keys()) {
+    addChild(entryPath);
+  }
+
+  return { base, target, children };
+}
+
+function getEntryStatus(inBase, inTarget, delta) {
+  if (!inBase) return 'added';
+  if (!inTarget) return 'removed';
+  return delta === 0 ? 'unchanged' : 'changed';
+}
+
+// 1エントリ分の差分情報
+function describeEntry(comparison, entryPath) {
+  const { base, target } = comparison;
+  const inBase = base.sizeMap.has(entryPath);
+  const inTarget = target.sizeMap.has(entryPath);
+  const before = base.sizeMap.get(entryPath) || 0;
+  const after = target.sizeMap.get(entryPath) || 0;
+  const delta = after - before;
+  const isDirectory = base.directories.has(entryPath) || target.directories.has(entryPath);
+
+  return {
+    name: path.basename(entryPath) || entryPath,
+    path: entryPath,
+    // 削除されたエントリは比較元のサイズで表示する
+    size: inTarget ? after : before,
+    before,
+    after,
+    delta,
+    type: isDirectory ? 'directory' : 'file',
+    status: getEntryStatus(inBase, inTarget, delta)
+  };
+}
+
+// 指定ディレクトリ直下の差分（ツリーマップとファイル一覧用）
+function getComparisonContents(comparison, dirPath) {
+  const childPaths = comparison.children.get(dirPath) || new Set();
+  const current = describeEntry(comparison, dirPath);
+
+  return {
+    ...current,
+    type: 'directory',
+    children: [...childPaths].map(childPath => describeEntry(comparison, childPath))
+  };
+}
+
+// 増減の大きいパスの一覧（rootPath自身は除く）
+function getTopChanges(comparison, options = {}) {
+  const { rootPath = null, limit = 500 } = options;
+  const paths = new Set([...comparison.base.sizeMap.keys(), ...comparison.target.sizeMap.keys()]);
+  const changes = [];
+
+  for (const entryPath of paths) {
+    if (rootPath && (entryPath === rootPath || !isPathWithin(entryPath, rootPath))) {
+      continue;
+    }
+
+    const entry = describeEntry(comparison, entryPath);
+    if (entry.delta !== 0 || entry.status === 'added' || entry.status === 'removed') {
+      changes.push(entry);
+    }
+  }
+
+  changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return changes.slice(0, limit);
+}
+
+module.exports = {
+  createComparison,
+  getComparisonContents,
+  getTopChanges
+};
@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { isPathWithin } = require('./scanner');
+const { parsePatterns } = require('./exclude-rules');
+const { getChildIndex } = require('./nested-tree');
+
+// よく知られた「消しても作り直せる・不要になりやすい」ディレクトリやファイルを、
+// スキャン結果（キャッシュ）から探して整理の候補にする。
+// パターンは除外ルールと同じ gitignore 形式で、"~/" で始まるものはホームディレクトリからの位置に固定する。
+// 候補に一致したディレクトリの中はそれ以上調べない（入れ子の node_modules などを二重に数えない）。
+
+// 組み込みのルール
+//   requires: 親ディレクトリにこのどれかがあるときだけ候補にする（target/ が Cargo のものか、など）
+//   fileOnly: ファイルだけに一致させる（"core" という名前のディレクトリは対象外）
+//   command: ゴミ箱には移動せず、このコマンドで削除するよう案内する
+const BUILTIN_RULES = [
+  {
+    id: 'node-modules',
+    label: 'node_modules',
+    rationale: 'npm / yarn / pnpm でインストールした依存パッケージ。package.json から再インストールできます',
+    patterns: ['node_modules/'],
+    requires: ['package.json']
+  },
+  {
+    id: 'cargo-target',
+    label: 'target/（Rust）',
+    rationale: 'Cargo のビルド成果物。cargo build で作り直せます',
+    patterns: ['target/'],
+    requires: ['Cargo.toml']
+  },
+  {
+    id: 'python-cache',
+    label: '__pycache__ など（Python）',
+    rationale: 'Python のバイトコードとテストツールのキャッシュ。実行時に自動で作り直されます',
+    patterns: ['__pycache__/', '.pytest_cache/', '.mypy_cache/', '.ruff_cache/']
+  },
+  {
+    id: 'user-cache',
+    label: '~/.cache',
+    rationale: 'アプリケーションのキャッシュ。消しても必要になったときに作り直されます（しばらく動作が遅くなることがあります）',
+    patterns: ['~/.cache/', '~/Library/Caches/']
+  },
+  {
+    id: 'package-cache',
+    label: 'パッケージマネージャーのキャッシュ',
+    rationale: 'ダウンロード済みのパッケージ。次にインストールするときに必要な分だけ取得し直されます',
+    patterns: [
+      '~/.npm/_cacache/',
+      '~/.yarn/berry/cache/',
+      '~/.pnpm-store/',
+      '~/.local/share/pnpm/store/',
+      '~/.cargo/registry/cache/',
+      '~/.gradle/caches/',
+      '~/go/pkg/mod/cache/',
+      '~/.composer/cache/',
+      '~/.nuget/packages/'
+    ]
+  },
+  {
+    id: 'docker-volumes',
+    label: 'Docker のボリューム',
+    rationale: 'どのコンテナからも使われていないボリュームはコマンドで削除できます（直接削除すると Docker の管理情報と食い違います）',
+    patterns: ['/var/lib/docker/volumes/*/'],
+    command: 'docker volume prune'
+  },
+  {
+    id: 'core-dumps',
+    label: 'コアダンプ',
+    rationale: 'クラッシュしたプログラムのメモリの内容。原因を調べ終えたら不要です',
+    // "core" だけの名前はソースコードにもよくあるため、プロセスIDの付いた core.<pid> とダンプの保存先に限る
+    patterns: ['core.[0-9]*', '!core.*.*', '/var/lib/systemd/coredump/*', '/cores/core.*'],
+    fileOnly: true
+  },
+  {
+    id: 'rotated-logs',
+    label: 'ローテーション済みのログ',
+    rationale: '切り替え済みの古いログ。現在書き込まれているログは対象外です',
+    patterns: [
+      '*.log.[0-9]*',
+      '*.log.gz',
+      '*.log.old',
+      '/var/log/**/*.[0-9]',
+      '/var/log/**/*.gz',
+      '/var/log/**/*.xz',
+      '/var/log/**/*-[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9]'
+    ],
+    fileOnly: true
+  },
+  {
+    id: 'journal',
+    label: 'systemd のジャーナル',
+    rationale: 'システムのログ。古い分は期間や容量を指定して削除できます',
+    patterns: ['/var/log/journal/'],
+    command: 'sudo journalctl --vacuum-time=2weeks'
+  }
+];
+
+// ユーザーのルール: { rules: [{ pattern, rationale }] }（1パターンが1つのルール）
+async function loadUserRules(filePath) {
+  try {
+    const settings = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return normalizeUserRules(settings.rules);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read suggestion rules: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+async function saveUserRules(filePath, rules) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({ rules }, null, 2));
+}
+
+function normalizeUserRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim())
+    .map(rule => ({
+      pattern: rule.pattern.trim(),
+      rationale: typeof rule.rationale === 'string' ? rule.rationale.trim() : ''
+    }));
+}
+
+function toRule(userRule, index) {
+  return {
+    id: `user-${index}`,
+    label: userRule.pattern,
+    rationale: userRule.rationale || 'ユーザー定義のルール',
+    patterns: [userRule.pattern],
+    custom: true
+  };
+}
+
+// "~/" で始まるパターンはホームディレクトリ、それ以外はファイルシステムのルートを基準にする
+function compileRule(rule) {
+  const rootPatterns = [];
+  const homePatterns = [];
+  for (const pattern of rule.patterns) {
+    const negate = pattern.startsWith('!');
+    const body = negate ? pattern.slice(1) : pattern;
+    if (body.startsWith('~/')) {
+      homePatterns.push(`${negate ? '!' : ''}${body.slice(1)}`);
+    } else {
+      rootPatterns.push(pattern);
+    }
+  }
+  return {
+    ...rule,
+    rootRules: parsePatterns(rootPatterns),
+    homeRules: parsePatterns(homePatterns)
+  };
+}
+
+// 基準ディレクトリからの相対パス（"/" 区切り）
+function toRelative(base, entryPath) {
+  const relative = base === path.parse(entryPath).root ? entryPath.slice(base.length) : entryPath.slice(base.length + 1);
+  return path.sep === '/' ? relative : relative.split(path.sep).join('/');
+}
+
+// entry: { path, isDirectory, rootRelative, homeRelative（ホームの外ならnull） }
+function matchesRule(compiled, entry, scan) {
+  if (compiled.fileOnly && entry.isDirectory) {
+    return false;
+  }
+
+  // 後に書いたパターンほど優先し、"!" は一致を取り消す（除外ルールと同じ）
+  let matched = false;
+  const apply = (rules, relative) => {
+    for (const rule of rules) {
+      if (rule.directoryOnly && !entry.isDirectory) continue;
+      if (rule.regex.test(relative)) {
+        matched = !rule.negate;
+      }
+    }
+  };
+  apply(compiled.rootRules, entry.rootRelative);
+  if (entry.homeRelative !== null) {
+    apply(compiled.homeRules, entry.homeRelative);
+  }
+  if (!matched || !compiled.requires) {
+    return matched;
+  }
+  const parent = path.dirname(entry.path);
+  return compiled.requires.some(name => scan.sizeMap.has(path.join(parent, name)));
+}
+
+// dirPath 以下の候補をルールごとにまとめる（サイズの大きい順）
+function findSuggestions(scan, dirPath, options = {}) {
+  const { sizeMap = scan.sizeMap, userRules = [], homeDir = os.homedir() } = options;
+  const rules = [...BUILTIN_RULES, ...userRules.map(toRule)].map(compileRule);
+  const groups = new Map(rules.map(rule => [rule.id, { rule, items: [], totalSize: 0 }]));
+  const index = getChildIndex(scan);
+
+  const stack = [...(index.get(dirPath) || [])];
+  while (stack.length > 0) {
+    const entryPath = stack.pop();
+    const isDirectory = scan.directories.has(entryPath);
+    const entry = {
+      path: entryPath,
+      isDirectory,
+      rootRelative: toRelative(path.parse(entryPath).root, entryPath),
+      homeRelative: entryPath !== homeDir && isPathWithin(entryPath, homeDir) ? toRelative(homeDir, entryPath) : null
+    };
+    const rule = rules.find(candidate => matchesRule(candidate, entry, scan));
+    if (rule) {
+      const size = sizeMap.get(entryPath) || 0;
+      const group = groups.get(rule.id);
+      group.items.push({
+        name: path.basename(entryPath),
+        path: entryPath,
+        size,
+        type: isDirectory ? 'directory' : 'file',
+        modifiedAt: scan.mtimeMap ? scan.mtimeMap.get(entryPath) : undefined
+      });
+      group.totalSize += size;
+    } else if (isDirectory) {
+      stack.push(...(index.get(entryPath) || []));
+    }
+  }
+
+  const result = [...groups.values()]
+    .filter(group => group.items.length > 0)
+    .map(({ rule, items, totalSize }) => ({
+      id: rule.id,
+      label: rule.label,
+      rationale: rule.rationale,
+      command: rule.command || null,
+      custom: !!rule.custom,
+      totalSize,
+      items: items.sort((a, b) => b.size - a.size)
+    }))
+    .sort((a, b) => b.totalSize - a.totalSize);
+
+  return {
+    path: dirPath,
+    groups: result,
+    // コマンドで削除するものも含めた、整理で空けられる容量の目安
+    reclaimableSize: result.reduce((sum, group) => sum + group.totalSize, 0)
+  };
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  loadUserRules,
+  saveUserRules,
+  normalizeUserRules,
+  findSuggestions
+};
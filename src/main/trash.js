@@ -0,0 +1,152 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { isPathWithin } = require('./scanner');
+const { getMountPoints } = require('./mounts');
+
+// ゴミ箱に移動した項目の場所を探し、元に戻す
+// ゴミ箱への移動自体は Electron の shell.trashItem で行い、ここではその結果を探す。
+// Linux は freedesktop.org の Trash 仕様（files/ と info/*.trashinfo）、macOS は ~/.Trash を調べる。
+// その他のプラットフォームでは場所が分からないため元に戻せない（locateTrashedItem が null を返す）。
+
+const TRASHINFO_EXTENSION = '.trashinfo';
+
+// "2024-05-01T12:34:56"（タイムゾーン無しのローカル時刻）
+function parseDeletionDate(value) {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function parseTrashInfo(content, topDir) {
+  const fields = {};
+  for (const line of content.split('\n')) {
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  if (!fields.Path) {
+    return null;
+  }
+  // 家のゴミ箱以外では、Path はそのファイルシステムのトップディレクトリからの相対パスのことがある
+  const decoded = decodeURIComponent(fields.Path);
+  return {
+    originalPath: path.isAbsolute(decoded) ? decoded : path.join(topDir, decoded),
+    deletedAt: parseDeletionDate(fields.DeletionDate)
+  };
+}
+
+// filePath を含むファイルシステムのトップディレクトリ（最も長く一致するマウントポイント）
+async function getTopDirectory(filePath) {
+  let topDir = path.parse(filePath).root;
+  for (const mountPoint of (await getMountPoints()).keys()) {
+    if (isPathWithin(filePath, mountPoint) && mountPoint.length > topDir.length) {
+      topDir = mountPoint;
+    }
+  }
+  return topDir;
+}
+
+// filePath が移動された可能性のあるゴミ箱ディレクトリ（[{ trashDir, topDir }]）
+async function getFreedesktopTrashDirs(filePath) {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  const topDir = await getTopDirectory(filePath);
+  const uid = typeof process.getuid === 'function' ? process.getuid() : 0;
+  return [
+    { trashDir: path.join(dataHome, 'Trash'), topDir: '/' },
+    { trashDir: path.join(topDir, '.Trash', String(uid)), topDir },
+    { trashDir: path.join(topDir, `.Trash-${uid}`), topDir }
+  ];
+}
+
+async function locateFreedesktopItem(filePath, deletedAfter) {
+  let best = null;
+  for (const { trashDir, topDir } of await getFreedesktopTrashDirs(filePath)) {
+    const infoDir = path.join(trashDir, 'info');
+    let names;
+    try {
+      names = await fs.readdir(infoDir);
+    } catch (error) {
+      continue;
+    }
+
+    for (const name of names) {
+      if (!name.endsWith(TRASHINFO_EXTENSION)) continue;
+      const infoPath = path.join(infoDir, name);
+      try {
+        const info = parseTrashInfo(await fs.readFile(infoPath, 'utf8'), topDir);
+        // DeletionDate は秒単位なので、移動を始めた時刻の1秒前までを対象にする
+        if (!info || info.originalPath !== filePath || info.deletedAt < deletedAfter - 1000) continue;
+        if (!best || info.deletedAt >= best.deletedAt) {
+          best = {
+            originalPath: filePath,
+            trashedPath: path.join(trashDir, 'files', name.slice(0, -TRASHINFO_EXTENSION.length)),
+            infoPath,
+            deletedAt: info.deletedAt
+          };
+        }
+      } catch (error) {
+        // 読めない trashinfo は無視
+      }
+    }
+  }
+  return best;
+}
+
+// macOS のゴミ箱では、同じ名前があると "名前 12.34.56" のように名前が変わる
+async function locateMacItem(filePath, deletedAfter) {
+  const trashDir = path.join(os.homedir(), '.Trash');
+  const baseName = path.basename(filePath, path.extname(filePath));
+  let best = null;
+  let names;
+  try {
+    names = await fs.readdir(trashDir);
+  } catch (error) {
+    return null;
+  }
+
+  for (const name of names) {
+    if (!name.startsWith(baseName)) continue;
+    const trashedPath = path.join(trashDir, name);
+    try {
+      const stats = await fs.lstat(trashedPath);
+      // ゴミ箱への移動（rename）で ctime が更新される
+      if (stats.ctimeMs < deletedAfter - 1000) continue;
+      if (!best || stats.ctimeMs >= best.deletedAt) {
+        best = { originalPath: filePath, trashedPath, infoPath: null, deletedAt: stats.ctimeMs };
+      }
+    } catch (error) {
+      // 消えた項目は無視
+    }
+  }
+  return best;
+}
+
+// deletedAfter（ms）以降にゴミ箱へ移動された filePath の場所（見つからなければnull）
+async function locateTrashedItem(filePath, deletedAfter) {
+  if (process.platform === 'linux') {
+    return locateFreedesktopItem(filePath, deletedAfter);
+  }
+  if (process.platform === 'darwin') {
+    return locateMacItem(filePath, deletedAfter);
+  }
+  return null;
+}
+
+// ゴミ箱の項目を元の場所に戻す
+async function restoreTrashedItem(item) {
+  const exists = await fs.lstat(item.originalPath).then(() => true).catch(() => false);
+  if (exists) {
+    throw new Error('元の場所に同じ名前の項目があります');
+  }
+  await fs.mkdir(path.dirname(item.originalPath), { recursive: true });
+  await fs.rename(item.trashedPath, item.originalPath);
+  if (item.infoPath) {
+    await fs.unlink(item.infoPath).catch(() => {});
+  }
+}
+
+module.exports = {
+  locateTrashedItem,
+  restoreTrashedItem
+};
@@ -0,0 +1,19 @@
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+
+// 変更監視のワーカー
+// Linuxの再帰監視は開始時に全ディレクトリを同期的に走査してinotifyに登録するため、
+// 大きなツリーでもメインプロセスが止まらないよう、ここで fs.watch を実行する
+
+const { rootPath } = workerData;
+
+const watcher = fs.watch(rootPath, { recursive: true }, (eventType, filename) => {
+  // ファイル名が取れない場合は監視ルート全体を確認対象にする
+  parentPort.postMessage({ type: 'change', path: filename ? path.join(rootPath, filename.toString()) : rootPath });
+});
+
+watcher.on('error', (error) => {
+  watcher.close();
+  parentPort.postMessage({ type: 'error', message: error.message });
+});
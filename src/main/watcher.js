@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { isPathWithin } = require('./scanner');
+
+// スキャン済みルートの変更監視
+// 通常は fs.watch の再帰監視（Linuxではinotify）をワーカースレッドで使い、使えない場合や
+// inotifyの上限に達した場合はディレクトリのmtimeを定期的に確認するポーリングに切り替える。
+// ポーリングで検出できるのはエントリの追加・削除のみで、既存ファイルの書き込みは検出できない。
+
+const DEBOUNCE_DELAY = 500; // 変更通知をまとめる間隔（ms）
+const MAX_DEBOUNCE_WAIT = 5000; // 変更が続いていても、最初の変更からこの時間が経ったら反映する（ms）
+const POLL_INTERVAL = 15000; // ポーリング間隔（ms）
+const POLL_CONCURRENCY = 16; // ポーリング時に同時に実行するstatの上限
+
+// rootPath以下を監視し、変更のあったパスをまとめて onChanges に渡す
+// getDirectories はポーリング時に確認するディレクトリの一覧を返す関数
+function watchTree(rootPath, onChanges, options = {}) {
+  const { getDirectories = () => [], ignore = [] } = options;
+
+  let pending = new Set();
+  let debounceTimer = null;
+  let nativeWorker = null;
+  let pollTimer = null;
+  let closed = false;
+  const handle = { mode: null, close };
+
+  const isIgnored = (changedPath) => ignore.some(ignored => isPathWithin(changedPath, ignored));
+
+  let firstPendingAt = 0;
+
+  const flush = () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    const paths = [...pending];
+    pending = new Set();
+    onChanges(paths);
+  };
+
+  const queueChange = (changedPath) => {
+    if (closed || isIgnored(changedPath)) {
+      return;
+    }
+    if (pending.size === 0) {
+      firstPendingAt = Date.now();
+    }
+    pending.add(changedPath);
+    clearTimeout(debounceTimer);
+    // ビルドやダウンロードのように変更が続くフォルダでも、反映が無期限に先送りされないようにする
+    const delay = Math.min(DEBOUNCE_DELAY, Math.max(0, firstPendingAt + MAX_DEBOUNCE_WAIT - Date.now()));
+    debounceTimer = setTimeout(flush, delay);
+  };
+
+  function startNative() {
+    nativeWorker = new Worker(path.join(__dirname, 'watch-worker.js'), { workerData: { rootPath } });
+    // 監視中でもプロセスの終了を妨げない（fs.watch の persistent: false と同じ）
+    nativeWorker.unref();
+
+    // 再帰監視に対応していないプラットフォームや、inotifyの上限に達した場合
+    const fallBack = (message) => {
+      if (!nativeWorker) {
+        return;
+      }
+      console.warn(`Watcher error for ${rootPath}: ${message}, falling back to polling`);
+      nativeWorker.terminate();
+      nativeWorker = null;
+      startPolling();
+    };
+    nativeWorker.on('message', (message) => {
+      if (message.type === 'change') {
+        queueChange(message.path);
+      } else if (message.type === 'error') {
+        fallBack(message.message);
+      }
+    });
+    nativeWorker.on('error', (error) => fallBack(error.message));
+    handle.mode = 'native';
+  }
+
+  function startPolling() {
+    if (closed || pollTimer) {
+      return;
+    }
+
+    const knownMtimes = new Map();
+    let polling = false;
+
+    const poll = async () => {
+      // 前回のポーリングが終わっていなければスキップ
+      if (polling) {
+        return;
+      }
+      polling = true;
+
+      const directories = [...getDirectories()].filter(dirPath => !isIgnored(dirPath));
+      for (let i = 0; i < directories.length && !closed; i += POLL_CONCURRENCY) {
+        await Promise.all(directories.slice(i, i + POLL_CONCURRENCY).map(async (dirPath) => {
+          try {
+            const stats = await fs.promises.lstat(dirPath);
+            const previous = knownMtimes.get(dirPath);
+            knownMtimes.set(dirPath, stats.mtimeMs);
+            if (previous !== undefined && previous !== stats.mtimeMs) {
+              queueChange(dirPath);
+            }
+          } catch (error) {
+            if (knownMtimes.has(dirPath)) {
+              knownMtimes.delete(dirPath);
+              queueChange(dirPath);
+            }
+          }
+        }));
+      }
+
+      polling = false;
+    };
+
+    poll();
+    pollTimer = setInterval(poll, POLL_INTERVAL);
+    pollTimer.unref();
+    handle.mode = 'polling';
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(debounceTimer);
+    if (nativeWorker) {
+      nativeWorker.terminate();
+      nativeWorker = null;
+    }
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  try {
+    startNative();
+  } catch (error) {
+    // ワーカーを起動できない場合
+    console.warn(`Recursive watch unavailable for ${rootPath}: ${error.message}, using polling`);
+    startPolling();
+  }
+
+  return handle;
+}
+
+module.exports = {
+  watchTree
+};
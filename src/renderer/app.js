@@ -6,13 +6,65 @@ class DiskUtilityApp {
         this.cache = new Map(); // ディレクトリデータのキャッシュ
         this.cacheExpiry = 3600000; // キャッシュの有効期限（1時間 = 60分 × 60秒 × 1000ms）
         this.progressStartTime = null; // 進捗開始時刻
+        this.isLoading = false; // スキャン中かどうか
+        this.loadSequence = 0; // 古い読み込み結果を破棄するための連番
+        this.reloadTimer = null; // 差分更新後の再描画タイマー
+        this.comparison = null; // 比較中のスナップショット
+        this.snapshotRoots = new Map(); // スナップショットID → スキャンしたフォルダ
+        this.activeTab = 'fileList'; // 右パネルで表示中のタブ
+        this.changesSort = { key: 'delta', ascending: false }; // 増減ランキングの並び順
+        this.sizeMode = 'disk'; // 表示するサイズ（disk: ディスク使用量 / apparent: 見かけのサイズ）
+        this.showHidden = false; // 隠しファイル（.で始まる名前）を個別に表示するか
+        this.oneFileSystem = false; // スキャンをルートと同じファイルシステムに限定するか
+        this.duplicates = null; // 重複ファイルの検出結果
+        this.duplicatesMinSize = 1024 * 1024; // 重複ファイル検出の対象とする最小サイズ
+        this.duplicatesRunning = false; // 重複ファイルを検出中か
+        this.categoryFilter = null; // ツリーマップを絞り込む分類（{ id, label }）
+        this.typeBreakdown = null; // 種類別の集計結果
+        this.typeBreakdownMode = 'category'; // 種類別の集計単位（category: 分類 / extension: 拡張子）
+        this.typeSort = { key: 'size', ascending: false }; // 種類別の表の並び順
+        this.largestFiles = null; // 大きいファイルの一覧
+        this.largestLimit = 100; // 大きいファイルの表示件数
+        this.largestMinSize = 0; // 大きいファイルの一覧に含める最小サイズ
+        this.search = null; // 検索結果
+        this.searchHighlight = null; // 検索に一致したパスと、それを含むディレクトリ（強調表示用）
+        this.chartView = 'treemap'; // ディスク使用量の表示方法（treemap / sunburst / icicle）
+        this.selection = new Map(); // 選択中の項目（パス → 項目、グラフとファイル一覧で共有）
+        this.selectionAnchor = null; // Shift+クリックで範囲選択するときの起点のパス
+        this.fileListItems = []; // ファイル一覧に表示中の項目（表示順、範囲選択に使う）
+        this.treemapDepth = 2; // ツリーマップに表示する階層数
+        this.treemapPadding = 2; // ツリーマップの矩形の間隔（px）
+        this.treemapZoomDuration = 500; // ズームのアニメーション時間（ms）
+        this.treemapAnimation = null; // 実行中のズームのアニメーション（終了で解決するPromise）
+        this.treemapZoomFrom = null; // 上の階層へ戻る前に表示していたパス（縮小のアニメーションに使う）
+        this.colorMode = 'type'; // ツリーマップの色分け（type: 種類 / mtime: 更新日時 / atime: アクセス日時）
+        this.ageReport = null; // 経過時間の分析結果
+        this.ageTimeField = 'mtime'; // 経過時間の基準（mtime: 更新日時 / atime: アクセス日時）
+        this.ageMinDays = 365; // この日数より長く触られていないものを未使用として一覧にする
+        this.moveTargets = null; // 移動ダイアログの対象 { items, destination }
+        this.moving = false; // 移動の実行中
+        this.compressTarget = null; // 圧縮ダイアログの対象
+        this.compressing = false; // 圧縮の実行中
+        this.toastDuration = 10000; // 画面下のメッセージを表示しておく時間（ms）
+        this.alertState = null; // 容量アラートの設定と最後のチェック結果
+        this.suggestions = null; // 整理の候補
+        this.suggestionsSkipped = new Set(); // ゴミ箱に移動しない候補のグループ（ルールID）
+        this.suggestionsShown = 100; // 候補のグループごとに一覧に表示する件数
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
         this.setupProgressListener();
-        this.showFolderSelection();
+        await this.loadScanOptions();
+        // 通知のクリックで開いたウィンドウでは、フォルダ選択を挟まずにそのパスを表示する
+        const requestedPath = await window.electronAPI.takePendingOpenPath();
+        if (requestedPath) {
+            this.openRequestedPath(requestedPath);
+        } else {
+            this.showFolderSelection();
+        }
+        this.renderStoredScans();
     }
     
     setupProgressListener() {
@@ -20,10 +72,46 @@ class DiskUtilityApp {
         window.electronAPI.onDuProgress((progress) => {
             this.updateProgressDisplay(progress);
         });
+        
+        // 重複ファイル検出の進捗
+        window.electronAPI.onDuplicatesProgress((progress) => {
+            this.updateDuplicatesProgress(progress);
+        });
+        
+        // 圧縮の進捗
+        window.electronAPI.onCompressProgress((progress) => {
+            this.updateCompressProgress(progress);
+        });
+        
+        // 移動（別のファイルシステムへのコピー）の進捗
+        window.electronAPI.onMoveProgress((progress) => {
+            this.updateMoveProgress(progress);
+        });
+        
+        // 容量アラートのチェック結果（ダイアログを開いていれば表示を更新）
+        window.electronAPI.onAlertStatuses((state) => {
+            this.alertState = state;
+            if (!document.getElementById('alertsOverlay').classList.contains('hidden')) {
+                this.renderAlertSettings();
+            }
+        });
+        
+        // 容量アラートの通知がクリックされた
+        window.electronAPI.onOpenPath((targetPath) => {
+            this.openRequestedPath(targetPath);
+        });
+        
+        // ファイルシステムの変更がキャッシュに反映されたら表示を更新
+        window.electronAPI.onScanUpdated((update) => {
+            if (this.isPathWithin(this.currentPath, update.root)) {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reloadCurrentDirectory(), 300);
+            }
+        });
     }
     
     updateProgressDisplay(progress) {
-        const { processedFiles, currentPath, isComplete } = progress;
+        const { processedFiles, processedBytes, totalBytes, totalEntries, currentPath, errorCount, isComplete } = progress;
         
         if (isComplete) {
             // 完了時は通常のローディング表示に戻す
@@ -31,43 +119,57 @@ class DiskUtilityApp {
             return;
         }
         
-        // 進捗率を推定（複数の要因を組み合わせ）
-        let estimatedProgress = 0;
+        const elapsedSeconds = this.progressStartTime ? (Date.now() - this.progressStartTime) / 1000 : 0;
         
-        // 1. ファイル数ベースの進捗（対数スケール）
-        const fileBasedProgress = Math.min(70, Math.log10(Math.max(1, processedFiles)) * 15);
+        // ファイルシステムの使用量（マウントポイントのスキャン時のみ分かる）を分母にする
+        let done = null;
+        let total = null;
+        let isByteBased = false;
+        if (totalBytes && processedBytes !== undefined) {
+            done = processedBytes;
+            total = totalBytes;
+            isByteBased = true;
+        } else if (totalEntries) {
+            done = processedFiles;
+            total = totalEntries;
+        }
         
-        // 2. 時間ベースの進捗
-        let timeBasedProgress = 0;
-        if (this.progressStartTime) {
-            const elapsed = (Date.now() - this.progressStartTime) / 1000; // 秒
-            // 最初の30秒で50%、その後は緩やかに上昇
-            if (elapsed <= 30) {
-                timeBasedProgress = (elapsed / 30) * 50;
-            } else {
-                timeBasedProgress = 50 + Math.min(40, (elapsed - 30) / 60 * 40);
+        let progressPercent;
+        let rateDisplay = '';
+        let etaDisplay = '';
+        if (total) {
+            // 他のファイルシステムをまたぐと分母を超えることがあるため99%で止める
+            progressPercent = Math.min(99, (done / total) * 100);
+            if (elapsedSeconds >= 1 && done > 0) {
+                const rate = done / elapsedSeconds;
+                rateDisplay = isByteBased ? `${this.formatBytes(rate)}/秒` : `${Math.round(rate).toLocaleString()} ファイル/秒`;
+                etaDisplay = `残り約 ${this.formatDuration(Math.max(0, (total - done) / rate))}`;
             }
+        } else {
+            // 分母が分からない場合は推定値
+            progressPercent = this.estimateProgress(processedFiles);
         }
         
-        // 3. 両方の要因を組み合わせ（より高い値を採用、但し95%でキャップ）
-        estimatedProgress = Math.min(95, Math.max(fileBasedProgress, timeBasedProgress));
-        
         // 経過時間の表示
-        const elapsed = this.progressStartTime ? Math.floor((Date.now() - this.progressStartTime) / 1000) : 0;
+        const elapsed = Math.floor(elapsedSeconds);
         const elapsedDisplay = elapsed > 0 ? `${elapsed}秒経過` : '';
+        const bytesDisplay = processedBytes !== undefined ? ` (${this.formatBytes(processedBytes)}${isByteBased ? ` / ${this.formatBytes(totalBytes)}` : ''})` : '';
         
         // 進捗表示を更新
         const progressHTML = `
             <div class="loading">
                 <div>読み込み中... ${elapsedDisplay}</div>
                 <div class="progress-info">
-                    <div>処理済み: ${processedFiles.toLocaleString()} ファイル</div>
+                    <div>処理済み: ${processedFiles.toLocaleString()} ファイル${bytesDisplay}</div>
+                    ${rateDisplay ? `<div>${rateDisplay} ・ ${etaDisplay}</div>` : ''}
+                    ${errorCount ? `<div class="progress-errors">アクセスできないパス: ${errorCount.toLocaleString()} 件</div>` : ''}
                     <div class="current-path">現在: ${this.truncatePath(currentPath)}</div>
                 </div>
                 <div class="progress-bar">
-                    <div class="progress-bar-fill" style="width: ${estimatedProgress}%"></div>
+                    <div class="progress-bar-fill" style="width: ${progressPercent}%"></div>
                 </div>
-                <div class="progress-percentage">${Math.round(estimatedProgress)}%</div>
+                <div class="progress-percentage">${Math.round(progressPercent)}%${total ? '' : '（推定）'}</div>
+                <button class="stop-scan-button">中止</button>
             </div>
         `;
         
@@ -75,6 +177,27 @@ class DiskUtilityApp {
         document.getElementById('fileList').innerHTML = progressHTML;
     }
     
+    // 分母が分からない場合の進捗率の推定（ファイル数と経過時間の組み合わせ）
+    estimateProgress(processedFiles) {
+        // 1. ファイル数ベースの進捗（対数スケール）
+        const fileBasedProgress = Math.min(70, Math.log10(Math.max(1, processedFiles)) * 15);
+        
+        // 2. 時間ベースの進捗
+        let timeBasedProgress = 0;
+        if (this.progressStartTime) {
+            const elapsed = (Date.now() - this.progressStartTime) / 1000; // 秒
+            // 最初の30秒で50%、その後は緩やかに上昇
+            if (elapsed <= 30) {
+                timeBasedProgress = (elapsed / 30) * 50;
+            } else {
+                timeBasedProgress = 50 + Math.min(40, (elapsed - 30) / 60 * 40);
+            }
+        }
+        
+        // 3. 両方の要因を組み合わせ（より高い値を採用、但し95%でキャップ）
+        return Math.min(95, Math.max(fileBasedProgress, timeBasedProgress));
+    }
+    
     truncatePath(fullPath, maxLength = 60) {
         if (fullPath.length <= maxLength) {
             return fullPath;
@@ -126,6 +249,105 @@ class DiskUtilityApp {
             this.loadDirectory(homeDir);
         });
 
+        // 表示するサイズの切り替え（バックエンドのキャッシュから再描画するだけで再スキャンはしない）
+        document.getElementById('sizeModeSelect').addEventListener('change', (e) => {
+            this.sizeMode = e.target.value;
+            this.applyViewOptions();
+        });
+
+        // 検索
+        document.getElementById('searchInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.runSearch();
+            } else if (e.key === 'Escape') {
+                this.clearSearch();
+            }
+        });
+        document.getElementById('searchBtn').addEventListener('click', () => {
+            this.runSearch();
+        });
+        document.getElementById('clearSearchBtn').addEventListener('click', () => {
+            this.clearSearch();
+        });
+
+        // グラフの表示方法の切り替え
+        document.getElementById('chartViewSelect').addEventListener('change', (e) => {
+            this.chartView = e.target.value;
+            if (this.data) {
+                this.renderChart(this.data);
+            }
+        });
+
+        // 階層数はバックエンドから入れ子の中身を取り直す
+        document.getElementById('treemapDepthSelect').addEventListener('change', (e) => {
+            this.treemapDepth = Number(e.target.value);
+            this.applyViewOptions();
+        });
+
+        document.getElementById('treemapPaddingSelect').addEventListener('change', (e) => {
+            this.treemapPadding = Number(e.target.value);
+            if (this.data) {
+                this.renderChart(this.data);
+            }
+        });
+
+        // 色分けは表示だけの変更なので再描画のみ
+        document.getElementById('colorModeSelect').addEventListener('change', (e) => {
+            this.colorMode = e.target.value;
+            this.renderAgeLegend();
+            if (this.data) {
+                this.renderChart(this.data);
+            }
+        });
+
+        document.getElementById('showHiddenToggle').addEventListener('change', (e) => {
+            this.setShowHidden(e.target.checked);
+        });
+
+        // スキャン範囲が変わるため、こちらは再スキャンする
+        document.getElementById('oneFileSystemToggle').addEventListener('change', async (e) => {
+            const options = await window.electronAPI.setScanOptions({ oneFileSystem: e.target.checked });
+            this.oneFileSystem = options.oneFileSystem;
+            if (this.data && this.data.path && !this.comparison) {
+                this.refreshCurrentDirectory();
+            }
+        });
+
+        // 右パネルのタブ
+        document.querySelectorAll('.panel-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.switchTab(tab.dataset.tab);
+            });
+        });
+
+        // スナップショット
+        this.setupSnapshotDialog();
+
+        // 除外ルール
+        this.setupExcludeDialog();
+
+        // 圧縮
+        this.setupCompressDialog();
+
+        // 移動
+        this.setupMoveDialog();
+
+        // レポートの書き出し
+        this.setupExportDialog();
+
+        // 容量アラート
+        this.setupAlertsDialog();
+
+        // 整理の候補のルール
+        this.setupSuggestionRulesDialog();
+
+        // 進捗表示の中止ボタン（進捗表示は毎回描き直されるため委譲で受ける）
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.stop-scan-button')) {
+                this.cancelScan();
+            }
+        });
+
         // コンテキストメニューのイベントリスナー
         this.setupContextMenu();
         
@@ -144,33 +366,56 @@ class DiskUtilityApp {
         });
     }
 
-    async loadDirectory(path, forceReload = false) {
+    // loadOptions.newRoot: キャッシュ済みの親ルートを使わず、pathを独立したスキャンとして読み込む
+    // loadOptions.zoom: ツリーマップのズーム中なので、ツリーマップを読み込み中の表示に置き換えない
+    async loadDirectory(path, forceReload = false, loadOptions = {}) {
         this.currentPath = path;
         document.getElementById('currentPath').textContent = path;
+        const loadId = ++this.loadSequence;
+        
+        // スナップショット比較中は差分データを表示
+        if (this.comparison) {
+            this.isLoading = false;
+            await this.loadComparisonDirectory(path);
+            return;
+        }
         
         // キャッシュチェック
         if (!forceReload && this.isCacheValid(path)) {
             console.log('Using cached data for:', path);
-            const cachedData = this.cache.get(path).data;
-            this.data = cachedData;
-            this.renderTreemap(cachedData);
-            this.renderFileList(cachedData.children || []);
+            // 読み込み中のスキャンはこのナビゲーションで不要になる
+            if (this.isLoading) {
+                this.isLoading = false;
+                this.cancelScan();
+            }
+            this.renderDirectoryData(this.cache.get(path).data);
             this.updateButtonStates(false);
             return;
         }
         
         // ボタンの状態を更新
+        this.isLoading = true;
         this.updateButtonStates(true); // ローディング中
         
         // 進捗開始時刻を記録
         this.progressStartTime = Date.now();
         
-        document.getElementById('treemap').innerHTML = '<div class="loading">読み込み中...<br><small>大きなディレクトリの場合、数分かかることがあります</small></div>';
-        document.getElementById('fileList').innerHTML = '<div class="loading">読み込み中...<br><small>大きなディレクトリの場合、数分かかることがあります</small></div>';
+        this.renderScanStatus(null);
+        const loadingHTML = '<div class="loading">読み込み中...<br><small>大きなディレクトリの場合、数分かかることがあります</small><button class="stop-scan-button">中止</button></div>';
+        if (!loadOptions.zoom) {
+            document.getElementById('treemap').innerHTML = loadingHTML;
+        }
+        document.getElementById('fileList').innerHTML = loadingHTML;
 
         try {
             console.log('Fetching fresh data for:', path);
-            const diskData = await window.electronAPI.getDiskUsage(path);
+            const diskData = await window.electronAPI.getDiskUsage(path, { ...this.getViewOptions(), rescan: forceReload, newRoot: !!loadOptions.newRoot });
+            
+            // 読み込み中に別のディレクトリへ移動した場合は結果を捨てる
+            if (loadId !== this.loadSequence) {
+                console.log('Discarding superseded result for:', path);
+                return;
+            }
 
             // データをキャッシュに保存
             this.cache.set(path, {
@@ -178,16 +423,164 @@ class DiskUtilityApp {
                 timestamp: Date.now()
             });
 
-            this.data = diskData;
-            this.renderTreemap(diskData);
-            this.renderFileList(diskData.children || []);
+            this.renderDirectoryData(diskData);
         } catch (error) {
             console.error('Error loading directory:', error);
-            document.getElementById('treemap').innerHTML = '<div class="loading">エラーが発生しました</div>';
-            document.getElementById('fileList').innerHTML = '<div class="loading">エラーが発生しました</div>';
+            if (loadId === this.loadSequence) {
+                document.getElementById('treemap').innerHTML = '<div class="loading">エラーが発生しました</div>';
+                document.getElementById('fileList').innerHTML = '<div class="loading">エラーが発生しました</div>';
+            }
         } finally {
-            // ローディング完了後にボタンの状態を復元
-            this.updateButtonStates(false);
+            // ローディング完了後にボタンの状態を復元（後から始まった読み込みが無い場合のみ）
+            if (loadId === this.loadSequence) {
+                this.isLoading = false;
+                this.updateButtonStates(false);
+            }
+        }
+    }
+
+    // 読み込んだディレクトリの内容で各表示を更新
+    renderDirectoryData(data) {
+        this.data = data;
+        this.renderScanStatus(data);
+        this.renderChart(data);
+        this.renderFileList(data.children || []);
+        if (this.activeTab === 'typesPanel') {
+            this.renderTypesPanel();
+        } else if (this.activeTab === 'agePanel') {
+            this.renderAgePanel();
+        } else if (this.activeTab === 'largestPanel') {
+            this.renderLargestPanel();
+        } else if (this.activeTab === 'suggestionsPanel') {
+            this.renderSuggestionsPanel();
+        }
+    }
+
+    async loadScanOptions() {
+        const options = await window.electronAPI.getScanOptions();
+        this.oneFileSystem = options.oneFileSystem;
+        document.getElementById('oneFileSystemToggle').checked = options.oneFileSystem;
+    }
+
+    // マウントポイントは別のファイルシステムとして独立してスキャンするか確認する
+    openMountPoint(item) {
+        const mount = item.mount || {};
+        const description = mount.fsType ? `（${mount.fsType}${mount.source ? `: ${mount.source}` : ''}）` : '';
+        if (confirm(`${item.path} は別のファイルシステムのマウントポイントです${description}。\n独立したスキャンとして開始しますか？`)) {
+            this.cache.delete(item.path);
+            this.loadDirectory(item.path, false, { newRoot: true });
+        } else if (!item.external) {
+            // 親のスキャン結果に含まれているので、そのまま中を表示できる
+            this.loadDirectory(item.path);
+        }
+    }
+
+    // ディレクトリ・マウントポイントを開く
+    openDirectoryItem(item) {
+        if (item.type === 'mount') {
+            this.openMountPoint(item);
+        } else {
+            this.loadDirectory(item.path);
+        }
+    }
+
+    // 表示オプション（バックエンドに渡す）
+    getViewOptions() {
+        return {
+            sizeMode: this.sizeMode,
+            showHidden: this.showHidden,
+            category: this.categoryFilter ? this.categoryFilter.id : null,
+            depth: this.treemapDepth
+        };
+    }
+
+    // 表示オプションの変更を反映（バックエンドのキャッシュから再描画するだけで再スキャンはしない）
+    applyViewOptions() {
+        this.clearCache();
+        if (this.currentPath && !this.comparison) {
+            this.loadDirectory(this.currentPath);
+        }
+    }
+
+    // ツリーマップを指定した分類のファイルだけに絞り込む（nullで解除）
+    setCategoryFilter(category) {
+        this.categoryFilter = category;
+        this.renderCategoryFilterStatus();
+        this.applyViewOptions();
+    }
+
+    renderCategoryFilterStatus() {
+        const container = document.getElementById('categoryFilterStatus');
+        container.innerHTML = '';
+        if (!this.categoryFilter) {
+            return;
+        }
+
+        const banner = document.createElement('span');
+        banner.className = 'category-filter-banner';
+        banner.style.borderColor = this.getCategoryColor(this.categoryFilter.id);
+        banner.textContent = `絞り込み: ${this.categoryFilter.label}`;
+        container.appendChild(banner);
+
+        const clearButton = document.createElement('button');
+        clearButton.className = 'rescan-button';
+        clearButton.textContent = '解除';
+        clearButton.addEventListener('click', () => {
+            this.setCategoryFilter(null);
+        });
+        container.appendChild(clearButton);
+    }
+
+    setShowHidden(showHidden) {
+        this.showHidden = showHidden;
+        document.getElementById('showHiddenToggle').checked = showHidden;
+        this.applyViewOptions();
+    }
+
+    // 非表示にした隠しファイルをまとめた項目（ツリーマップとファイル一覧の合計を親と一致させる）
+    createHiddenBucket(summary) {
+        return {
+            name: `隠しアイテム（${summary.count.toLocaleString()} 件）`,
+            path: null,
+            size: summary.size,
+            type: 'hidden',
+            count: summary.count
+        };
+    }
+
+    // 実行中のスキャンを中止（途中までの結果は未完了として表示される）
+    async cancelScan() {
+        try {
+            const result = await window.electronAPI.cancelScan();
+            console.log('Scan cancel requested:', result.success);
+        } catch (error) {
+            console.warn('Failed to cancel scan:', error);
+        }
+    }
+
+    // ローディング表示を出さずに、バックエンドのキャッシュから現在のディレクトリを再描画
+    async reloadCurrentDirectory() {
+        if (this.isLoading || this.comparison || !this.currentPath) {
+            return;
+        }
+        
+        // 祖先ディレクトリのサイズも変わるため、フロントエンドキャッシュは全て破棄
+        this.clearCache();
+        
+        try {
+            const path = this.currentPath;
+            const diskData = await window.electronAPI.getDiskUsage(path, this.getViewOptions());
+            if (path !== this.currentPath || this.isLoading) {
+                return;
+            }
+            
+            this.cache.set(path, {
+                data: diskData,
+                timestamp: Date.now()
+            });
+            this.renderDirectoryData(diskData);
+        } catch (error) {
+            console.warn('Failed to reload current directory:', error);
         }
     }
 
@@ -226,242 +619,2957 @@ class DiskUtilityApp {
         }
     }
 
-    renderTreemap(data) {
+    // スキャン日時とエラー件数を表示（クリックで詳細）
+    renderScanStatus(data) {
+        const container = document.getElementById('scanStatus');
+        container.innerHTML = '';
+
+        const scanInfo = data && data.scanInfo;
+        if (scanInfo) {
+            const age = document.createElement('span');
+            age.className = 'scan-age';
+            age.textContent = `${this.formatAge(scanInfo.scannedAt)}にスキャン`;
+            age.title = `スキャンルート: ${scanInfo.root}\n${new Date(scanInfo.scannedAt).toLocaleString()}`;
+            container.appendChild(age);
+
+            if (scanInfo.incomplete) {
+                const incomplete = document.createElement('span');
+                incomplete.className = 'scan-incomplete';
+                incomplete.textContent = '（中断されたため未完了）';
+                incomplete.title = 'スキャンが途中で中止されたため、サイズは実際より小さい可能性があります';
+                container.appendChild(incomplete);
+            }
+
+            if (this.sizeMode === 'apparent' && !scanInfo.apparentAvailable) {
+                const unavailable = document.createElement('span');
+                unavailable.className = 'scan-incomplete';
+                unavailable.textContent = '（見かけのサイズなし）';
+                unavailable.title = 'このスキャン結果には見かけのサイズが含まれていないため、ディレクトリはディスク使用量で表示しています。再スキャンすると取得できます';
+                container.appendChild(unavailable);
+            }
+
+            const rescanButton = document.createElement('button');
+            rescanButton.className = 'rescan-button';
+            rescanButton.textContent = '再スキャン';
+            rescanButton.addEventListener('click', () => {
+                this.refreshCurrentDirectory();
+            });
+            container.appendChild(rescanButton);
+        }
+
+        const scanExclusions = data && data.scanExclusions;
+        if (scanExclusions && scanExclusions.count > 0) {
+            const exclusions = document.createElement('span');
+            exclusions.className = 'scan-excluded';
+            exclusions.textContent = `${scanExclusions.count.toLocaleString()} 件を除外`;
+            exclusions.title = 'クリックで除外したパスを表示';
+            exclusions.addEventListener('click', () => {
+                const details = scanExclusions.excluded
+                    .map(entry => `${entry.path}${entry.type === 'directory' ? '/' : ''}`)
+                    .join('\n');
+                const more = scanExclusions.count > scanExclusions.excluded.length
+                    ? `\n... 他 ${(scanExclusions.count - scanExclusions.excluded.length).toLocaleString()} 件`
+                    : '';
+                alert(`除外ルールによりスキャンしなかったパス:\n\n${details}${more}`);
+            });
+            container.appendChild(exclusions);
+        }
+
+        const scanErrors = data && data.scanErrors;
+        if (!scanErrors || scanErrors.count === 0) {
+            return;
+        }
+
+        const warning = document.createElement('span');
+        warning.className = 'scan-warning';
+        warning.textContent = `⚠️ ${scanErrors.count.toLocaleString()} 件のパスを読み取れませんでした`;
+        warning.title = 'クリックで詳細を表示';
+        warning.addEventListener('click', () => {
+            const details = scanErrors.errors
+                .map(error => `${error.path || ''} ${error.code ? `(${error.code})` : ''} ${error.message}`.trim())
+                .join('\n');
+            const more = scanErrors.count > scanErrors.errors.length
+                ? `\n... 他 ${(scanErrors.count - scanErrors.errors.length).toLocaleString()} 件`
+                : '';
+            alert(`読み取れなかったパス:\n\n${details}${more}`);
+        });
+        container.appendChild(warning);
+    }
+
+    // 「ディスク使用量」パネルのグラフを、選択中の表示方法で描画
+    renderChart(data) {
+        // ズームのアニメーション中に届いたデータは、アニメーションが終わってから描画する
+        if (this.treemapAnimation) {
+            this.treemapAnimation.then(() => {
+                if (this.data === data) {
+                    this.renderChart(data);
+                }
+            });
+            return;
+        }
+
         const container = document.getElementById('treemap');
         container.innerHTML = '';
 
+        // 上のディレクトリへ戻った場合は、元のディレクトリの位置から縮小するアニメーションにする（ツリーマップのみ）
+        const zoomFrom = this.treemapZoomFrom;
+        this.treemapZoomFrom = null;
+
         if (!data || !data.children || data.children.length === 0) {
             container.innerHTML = '<div class="loading">データがありません</div>';
             return;
         }
 
+        // 比較中は増減に応じた色を使う
+        this.deltaScale = this.comparison ? this.createDeltaScale(data.children) : null;
+
+        if (this.chartView === 'sunburst') {
+            this.renderSunburst(data);
+        } else if (this.chartView === 'icicle') {
+            this.renderIcicle(data);
+        } else {
+            this.renderTreemap(data, zoomFrom);
+        }
+        this.updateSelectionHighlight();
+        this.updateSearchHighlight();
+    }
+
+    // 現在のディレクトリの直下の要素（多階層表示ではその中身も）からD3階層構造を作成
+    // 中身を持つディレクトリのサイズは子の合計
+    createHierarchy(data) {
+        const flatData = data.children.map(child => this.toTreemapNode(child));
+        if (data.hiddenSummary && !this.comparison) {
+            flatData.push(this.createHiddenBucket(data.hiddenSummary));
+        }
+        return d3.hierarchy({ name: data.name, path: data.path, size: data.size, type: 'root', children: flatData }, d => d.children)
+            .sum(d => (d.children && d.children.length > 0 ? 0 : d.size))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    // グラフのノードをクリックしたときの動作（ディレクトリは移動、ファイルは選択）
+    // Ctrl/Cmd/Shift を押しながらのクリックはディレクトリも含めて複数選択
+    handleChartNodeClick(node, event) {
+        const item = node.data;
+        if (event && this.isMultiSelectEvent(event) && this.isSelectableItem(item)) {
+            this.selectItem(item, event);
+        } else if (item.type === 'hidden') {
+            this.setShowHidden(true);
+        } else if (item.type === 'root') {
+            this.goUpDirectory();
+        } else if (item.type === 'mount') {
+            this.openMountPoint(item);
+        } else if (item.type === 'directory') {
+            this.loadDirectory(item.path, false, { zoom: true });
+        } else if (item.type === 'other') {
+            if (item.parentPath) {
+                this.loadDirectory(item.parentPath, false, { zoom: true });
+            }
+        } else {
+            this.selectItem(item);
+        }
+    }
+
+    handleChartNodeContextMenu(event, node) {
+        event.preventDefault();
+        if (node.data.type !== 'hidden' && node.data.type !== 'other' && node.data.type !== 'root') {
+            this.showContextMenu(event, node.data);
+        }
+    }
+
+    // サンバースト図（中心が現在のディレクトリ、外側ほど深い階層）
+    renderSunburst(data) {
+        const container = document.getElementById('treemap');
         const width = container.clientWidth;
         const height = container.clientHeight || 400;
+        const radius = Math.min(width, height) / 2 - 4;
+
+        const root = this.createHierarchy(data);
+        d3.partition().size([2 * Math.PI, radius])(root);
+
+        // 中心の円は半径を詰めて、外側の輪を太くする
+        const ringWidth = radius / (root.height + 1);
+        const arc = d3.arc()
+            .startAngle(d => d.x0)
+            .endAngle(d => d.x1)
+            .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.004))
+            .padRadius(radius / 2)
+            .innerRadius(d => d.depth * ringWidth)
+            .outerRadius(d => (d.depth + 1) * ringWidth - 1);
 
         const svg = d3.select('#treemap')
             .append('svg')
             .attr('width', width)
             .attr('height', height);
+        const chart = svg.append('g')
+            .attr('transform', `translate(${width / 2},${height / 2})`);
 
-        // 現在のディレクトリの直下の要素のみを表示するため、data.childrenを使用
-        const flatData = data.children.map(child => ({
-            name: child.name,
-            path: child.path,
-            size: child.size,
-            type: child.type
-        }));
+        // 小さすぎて見えない弧は省く
+        const nodes = root.descendants().filter(d => d.depth > 0 && (d.x1 - d.x0) * (d.depth * ringWidth) >= 1);
 
-        // D3階層構造を作成
-        const root = d3.hierarchy({children: flatData})
-            .sum(d => d.size)
-            .sort((a, b) => b.value - a.value);
+        chart.selectAll('path')
+            .data(nodes)
+            .enter().append('path')
+            .attr('class', 'chart-node')
+            .attr('data-path', d => d.data.path)
+            .attr('d', arc)
+            .attr('fill', d => this.getNodeColor(d.data))
+            .attr('fill-opacity', d => 1 - (d.depth - 1) * 0.12)
+            .attr('stroke', '#fff')
+            .style('cursor', d => (d.data.type === 'file' ? 'default' : 'pointer'))
+            .on('click', (event, d) => this.handleChartNodeClick(d, event))
+            .on('contextmenu', (event, d) => this.handleChartNodeContextMenu(event, d))
+            .append('title')
+            .text(d => this.getNodeTooltip(d.data));
+
+        // 弧に沿って収まる名前だけ表示
+        chart.selectAll('text')
+            .data(nodes.filter(d => (d.x1 - d.x0) * (d.depth + 0.5) * ringWidth > 40 && ringWidth > 30))
+            .enter().append('text')
+            .attr('class', 'chart-label')
+            .attr('transform', d => {
+                const angle = (d.x0 + d.x1) / 2 * 180 / Math.PI;
+                const distance = (d.depth + 0.5) * ringWidth;
+                return `rotate(${angle - 90}) translate(${distance},0) rotate(${angle < 180 ? 0 : 180})`;
+            })
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '10px')
+            .text(d => this.fitLabel(this.getNodeLabel(d.data), ringWidth - 4, 20));
+
+        // 中心（クリックで上のディレクトリへ）
+        const center = chart.append('g')
+            .attr('class', 'sunburst-center')
+            .style('cursor', this.currentPath === '/' ? 'default' : 'pointer')
+            .on('click', () => this.handleChartNodeClick(root));
+        center.append('circle')
+            .attr('r', ringWidth - 1)
+            .attr('fill', '#ecf0f1');
+        center.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '-0.2em')
+            .attr('font-size', '12px')
+            .style('font-weight', 'bold')
+            .text(this.fitLabel(data.name, ringWidth * 2 - 8, 20));
+        center.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '1.1em')
+            .attr('font-size', '11px')
+            .text(this.formatBytes(root.value));
+        center.append('title')
+            .text(`${data.path}\n${this.formatBytes(root.value)}${this.currentPath === '/' ? '' : '\nクリックで上のディレクトリへ'}`);
+    }
+
+    // アイシクル図（左端が現在のディレクトリ、右へ行くほど深い階層）
+    renderIcicle(data) {
+        const container = document.getElementById('treemap');
+        const width = container.clientWidth;
+        const height = container.clientHeight || 400;
+
+        const root = this.createHierarchy(data);
+        d3.partition().size([height, width]).padding(1)(root);
+
+        const svg = d3.select('#treemap')
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        // partition の x は縦方向、y は横方向（階層）
+        const nodes = root.descendants().filter(d => d.x1 - d.x0 >= 1);
+
+        const cell = svg.selectAll('g')
+            .data(nodes)
+            .enter().append('g')
+            .attr('transform', d => `translate(${d.y0},${d.x0})`);
+
+        cell.append('rect')
+            .attr('class', 'chart-node')
+            .attr('data-path', d => d.data.path)
+            .attr('width', d => Math.max(0, d.y1 - d.y0 - 1))
+            .attr('height', d => Math.max(0, d.x1 - d.x0))
+            .attr('fill', d => (d.depth === 0 ? '#2c3e50' : this.getNodeColor(d.data)))
+            .style('cursor', d => (d.data.type === 'file' || (d.depth === 0 && this.currentPath === '/') ? 'default' : 'pointer'))
+            .on('click', (event, d) => this.handleChartNodeClick(d, event))
+            .on('contextmenu', (event, d) => this.handleChartNodeContextMenu(event, d))
+            .append('title')
+            .text(d => (d.depth === 0
+                ? `${data.path}\n${this.formatBytes(d.value)}${this.currentPath === '/' ? '' : '\nクリックで上のディレクトリへ'}`
+                : this.getNodeTooltip(d.data)));
 
+        cell.append('text')
+            .attr('class', 'chart-label')
+            .attr('x', 4)
+            .attr('y', 13)
+            .attr('font-size', '11px')
+            .style('fill', '#fff')
+            .style('pointer-events', 'none')
+            .style('text-shadow', '1px 1px 1px rgba(0,0,0,0.7)')
+            .text(d => this.fitLabel(`${this.getNodeLabel(d.data)}  ${this.formatBytes(d.value)}`, d.y1 - d.y0 - 4, d.x1 - d.x0));
+    }
+
+    // ツリーマップを描画（treemapDepth が2以上なら、ディレクトリの中を入れ子で表示）
+    renderTreemap(data, zoomFrom = null) {
+        const container = document.getElementById('treemap');
+        const width = container.clientWidth;
+        const height = container.clientHeight || 400;
+
+        const svg = d3.select('#treemap')
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        const root = this.createHierarchy(data);
+
+        const padding = this.treemapPadding;
+        const headerHeight = 16; // 入れ子のディレクトリ名を表示する帯の高さ
         const treemap = d3.treemap()
             .size([width, height])
-            .padding(2)
+            .paddingInner(padding)
+            .paddingOuter(padding)
+            .paddingTop(d => (d.depth > 0 ? headerHeight : padding))
             .round(true);
 
         treemap(root);
 
-        // カラースケール
-        const colorScale = d3.scaleOrdinal()
-            .domain(['file', 'directory'])
-            .range(['#3498db', '#e74c3c']);
+        // ズームで表示範囲を変えるためのスケール
+        const x = d3.scaleLinear().domain([0, width]).range([0, width]);
+        const y = d3.scaleLinear().domain([0, height]).range([0, height]);
+        const nodeWidth = d => Math.max(0, x(d.x1) - x(d.x0));
+        const nodeHeight = d => Math.max(0, y(d.y1) - y(d.y0));
 
-        // 葉ノードのみを取得
-        const leaves = root.leaves();
+        // 親から順に描画する（子が親の上に重なる）。小さすぎて見えないノードは省く
+        const nodes = root.descendants().filter(d => d.depth > 0 && d.x1 - d.x0 >= 1 && d.y1 - d.y0 >= 1);
 
         const cell = svg.selectAll('g')
-            .data(leaves)
+            .data(nodes)
             .enter().append('g')
-            .attr('transform', d => `translate(${d.x0},${d.y0})`);
+            .attr('transform', d => `translate(${x(d.x0)},${y(d.y0)})`);
 
         // 矩形を描画
         cell.append('rect')
-            .attr('width', d => Math.max(0, d.x1 - d.x0))
-            .attr('height', d => Math.max(0, d.y1 - d.y0))
-            .attr('fill', d => colorScale(d.data.type))
+            .attr('class', 'chart-node')
+            .attr('data-path', d => d.data.path)
+            .attr('width', nodeWidth)
+            .attr('height', nodeHeight)
+            .attr('fill', d => this.getNodeColor(d.data))
             .attr('stroke', '#fff')
             .attr('stroke-width', 1)
-            .style('cursor', d => d.data.type === 'directory' ? 'pointer' : 'default')
+            .style('cursor', d => (this.getZoomTarget(d) || d.data.type === 'hidden' ? 'pointer' : 'default'))
             .on('click', (event, d) => {
-                if (d.data.type === 'directory') {
-                    this.loadDirectory(d.data.path);
+                if (this.isMultiSelectEvent(event) && this.isSelectableItem(d.data)) {
+                    this.selectItem(d.data, event);
+                    return;
                 }
+                if (d.data.type === 'hidden') {
+                    this.setShowHidden(true);
+                    return;
+                }
+                const target = this.getZoomTarget(d);
+                if (!target) {
+                    // 直下のファイルは選択
+                    if (d.data.type === 'file') {
+                        this.selectItem(d.data);
+                    }
+                    return;
+                }
+                if (target.data.type === 'mount') {
+                    this.openMountPoint(target.data);
+                    return;
+                }
+                this.zoomTreemap(zoomTo(target), target.data.path);
             })
-            .on('contextmenu', (event, d) => {
-                event.preventDefault();
-                this.showContextMenu(event, d.data);
-            })
+            .on('contextmenu', (event, d) => this.handleChartNodeContextMenu(event, d))
             .append('title')
-            .text(d => `${d.data.name}\n${this.formatBytes(d.data.size)}\n${d.data.path}`);
+            .text(d => this.getNodeTooltip(d.data));
 
-        // ラベルを追加
-        cell.append('text')
-            .attr('class', 'rect-label')
+        const labelStyle = selection => selection
+            .attr('class', 'treemap-label')
+            .style('fill', '#fff')
+            .style('pointer-events', 'none')
+            .style('text-shadow', '1px 1px 1px rgba(0,0,0,0.7)');
+
+        // 中身を表示しているディレクトリは上端の帯に名前とサイズ
+        cell.filter(d => d.children)
+            .append('text')
+            .call(labelStyle)
+            .attr('x', 4)
+            .attr('y', 12)
+            .attr('font-size', '11px')
+            .style('font-weight', 'bold')
+            .text(d => this.fitLabel(`${this.getNodeLabel(d.data)}  ${this.formatBytes(d.value)}`, nodeWidth(d), headerHeight));
+
+        // 葉ノードには名前とサイズ
+        const leaves = cell.filter(d => !d.children);
+        leaves.append('text')
+            .call(labelStyle)
             .attr('x', 4)
             .attr('y', 14)
-            .attr('font-size', d => {
-                const width = d.x1 - d.x0;
-                return Math.min(12, width / 8) + 'px';
-            })
-            .text(d => {
-                const width = d.x1 - d.x0;
-                const height = d.y1 - d.y0;
-                const name = d.data.name;
-                
-                if (width < 30 || height < 20) return '';
-                
-                const maxChars = Math.floor(width / 6);
-                if (name.length > maxChars) {
-                    return name.substring(0, maxChars - 3) + '...';
-                }
-                return name;
-            })
-            .style('fill', '#fff')
+            .attr('font-size', d => Math.min(12, nodeWidth(d) / 8) + 'px')
             .style('font-weight', 'bold')
-            .style('text-shadow', '1px 1px 1px rgba(0,0,0,0.7)');
+            .text(d => (nodeHeight(d) < 20 ? '' : this.fitLabel(this.getNodeLabel(d.data), nodeWidth(d), nodeHeight(d))));
+
+        leaves.append('text')
+            .call(labelStyle)
+            .attr('x', 4)
+            .attr('y', 28)
+            .attr('font-size', '10px')
+            .text(d => (nodeWidth(d) < 60 || nodeHeight(d) < 40 ? '' : this.formatBytes(d.data.size)));
+
+        // target の範囲が全体に広がるように拡大（アニメーション終了で解決するPromiseを返す）
+        const zoomTo = (target, reverse = false) => {
+            const transition = svg.transition().duration(this.treemapZoomDuration);
+            const apply = () => {
+                cell.transition(transition)
+                    .attr('transform', d => `translate(${x(d.x0)},${y(d.y0)})`);
+                cell.select('rect').transition(transition)
+                    .attr('width', nodeWidth)
+                    .attr('height', nodeHeight);
+            };
+
+            if (reverse) {
+                // target を拡大した状態から全体表示に戻す
+                x.domain([target.x0, target.x1]);
+                y.domain([target.y0, target.y1]);
+                cell.attr('transform', d => `translate(${x(d.x0)},${y(d.y0)})`);
+                cell.select('rect').attr('width', nodeWidth).attr('height', nodeHeight);
+                svg.selectAll('.treemap-label').style('opacity', 0)
+                    .transition(transition).style('opacity', 1);
+                x.domain([0, width]);
+                y.domain([0, height]);
+            } else {
+                x.domain([target.x0, target.x1]);
+                y.domain([target.y0, target.y1]);
+                svg.selectAll('.treemap-label').transition(transition).style('opacity', 0);
+            }
+            apply();
+            return transition.end().catch(() => {});
+        };
+
+        if (zoomFrom) {
+            const origin = root.children && root.children.find(d => d.data.path === zoomFrom);
+            if (origin) {
+                this.zoomTreemap(zoomTo(origin, true), null);
+            }
+        }
+    }
+
+    // クリックしたノードで拡大する先（ディレクトリ自身、ファイルや「その他」なら親のディレクトリ）
+    getZoomTarget(node) {
+        const type = node.data.type;
+        if (type === 'directory' || type === 'mount') {
+            return node;
+        }
+        if ((type === 'file' || type === 'other') && node.depth > 1) {
+            return node.parent;
+        }
+        return null;
+    }
+
+    // ズームのアニメーション中は次の描画を待たせ、拡大先があればそのディレクトリを読み込む
+    zoomTreemap(animation, path) {
+        this.treemapAnimation = animation.then(() => {
+            this.treemapAnimation = null;
+        });
+        if (path) {
+            this.loadDirectory(path, false, { zoom: true });
+        }
+    }
+
+    isMultiSelectEvent(event) {
+        return !!(event && (event.ctrlKey || event.metaKey || event.shiftKey));
+    }
+
+    // 選択・一括操作の対象にできる項目（まとめ表示や移動用の行、マウントポイントは除く）
+    isSelectableItem(item) {
+        return !!item && !!item.path && (item.type === 'file' || item.type === 'directory');
+    }
+
+    // 項目を選択し、グラフとファイル一覧の両方で強調表示
+    // Ctrl/Cmd+クリックで追加・解除、Shift+クリックでファイル一覧の並び順に範囲選択
+    selectItem(item, event = null) {
+        const additive = !!event && (event.ctrlKey || event.metaKey);
+        const range = event && event.shiftKey && this.selectionAnchor
+            ? this.getFileListRange(this.selectionAnchor, item.path)
+            : null;
+
+        if (range) {
+            if (!additive) {
+                this.selection.clear();
+            }
+            range.forEach(rangeItem => this.selection.set(rangeItem.path, rangeItem));
+        } else if (additive || (event && event.shiftKey)) {
+            if (this.selection.has(item.path)) {
+                this.selection.delete(item.path);
+            } else {
+                this.selection.set(item.path, item);
+            }
+            this.selectionAnchor = item.path;
+        } else {
+            this.selection.clear();
+            this.selection.set(item.path, item);
+            this.selectionAnchor = item.path;
+        }
+        this.updateSelectionHighlight();
+    }
+
+    // ファイル一覧の from から to までの項目（どちらかが一覧に無ければnull）
+    getFileListRange(fromPath, toPath) {
+        const fromIndex = this.fileListItems.findIndex(item => item.path === fromPath);
+        const toIndex = this.fileListItems.findIndex(item => item.path === toPath);
+        if (fromIndex < 0 || toIndex < 0) {
+            return null;
+        }
+        return this.fileListItems.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1);
+    }
+
+    // ファイル一覧の項目を全て選択する（全て選択済みなら解除）
+    toggleSelectAll() {
+        const allSelected = this.fileListItems.length > 0 && this.fileListItems.every(item => this.selection.has(item.path));
+        this.fileListItems.forEach(item => {
+            if (allSelected) {
+                this.selection.delete(item.path);
+            } else {
+                this.selection.set(item.path, item);
+            }
+        });
+        this.updateSelectionHighlight();
+    }
+
+    clearSelection() {
+        this.selection.clear();
+        this.selectionAnchor = null;
+        this.updateSelectionHighlight();
+    }
+
+    // 削除・移動した項目（とその中身）を選択から外す
+    removeFromSelection(removedPaths) {
+        for (const selectedPath of [...this.selection.keys()]) {
+            if (removedPaths.some(removedPath => this.isPathWithin(selectedPath, removedPath))) {
+                this.selection.delete(selectedPath);
+            }
+        }
+        this.updateSelectionHighlight();
+    }
+
+    // 選択中の項目（他の選択項目の中にあるものは、親と重複して数えないよう除く）
+    getSelectedItems() {
+        return this.removeNestedItems([...this.selection.values()]);
+    }
+
+    // マウントポイントは削除・移動の対象から外す（マウント先のファイルシステムを丸ごと消してしまうため）
+    removeMountItems(items) {
+        const mounts = items.filter(item => item.type === 'mount');
+        if (mounts.length > 0) {
+            alert(`マウントポイントは削除・移動できないため除外します:\n${mounts.map(item => item.path).join('\n')}`);
+        }
+        return items.filter(item => item.type !== 'mount');
+    }
+
+    // 親フォルダと一緒に選ばれた項目は親に含まれるので除く（件数と合計サイズを二重に数えない）
+    removeNestedItems(items) {
+        return items.filter((item, index) => !items.some((other, otherIndex) =>
+            otherIndex !== index && this.isPathWithin(item.path, other.path) && (other.path !== item.path || otherIndex < index)));
+    }
+
+    updateSelectionHighlight() {
+        const selection = this.selection;
+        document.querySelectorAll('#treemap .chart-node').forEach(element => {
+            element.classList.toggle('selected', selection.has(element.dataset.path));
+        });
+        document.querySelectorAll('#fileList tr[data-path]').forEach(row => {
+            const selected = selection.has(row.dataset.path);
+            row.classList.toggle('selected', selected);
+            const checkbox = row.querySelector('.select-checkbox');
+            if (checkbox) {
+                checkbox.checked = selected;
+            }
+            if (selected && row.dataset.path === this.selectionAnchor) {
+                row.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        const selectAll = document.querySelector('#fileList .select-all-checkbox');
+        if (selectAll) {
+            const selectedCount = this.fileListItems.filter(item => selection.has(item.path)).length;
+            selectAll.checked = selectedCount > 0 && selectedCount === this.fileListItems.length;
+            selectAll.indeterminate = selectedCount > 0 && selectedCount < this.fileListItems.length;
+        }
+        this.renderSelectionBar();
+    }
+
+    // 選択中の件数・合計サイズと一括操作のボタン
+    renderSelectionBar() {
+        const bar = document.getElementById('selectionBar');
+        const items = this.getSelectedItems();
+        bar.classList.toggle('hidden', items.length === 0);
+        if (items.length === 0) {
+            return;
+        }
+        const totalSize = items.reduce((sum, item) => sum + (item.size || 0), 0);
+        document.getElementById('selectionSummary').textContent = `${items.length} 件を選択中（合計 ${this.formatBytes(totalSize)}）`;
+    }
+
+    // 検索中は一致した項目（とそれを含むディレクトリ）以外を薄く表示
+    updateSearchHighlight() {
+        const container = document.getElementById('treemap');
+        const highlight = this.searchHighlight;
+        container.classList.toggle('searching', !!highlight);
+        container.querySelectorAll('.chart-node').forEach(element => {
+            const nodePath = element.dataset.path;
+            element.classList.toggle('search-match', !!highlight && highlight.matches.has(nodePath));
+            element.classList.toggle('search-contains', !!highlight && highlight.ancestors.has(nodePath));
+        });
+    }
+
+    // 描画用にノードを複製（入れ子の子要素も）
+    toTreemapNode(child) {
+        const node = {
+            name: child.name,
+            path: child.path,
+            size: child.size,
+            type: child.type,
+            delta: child.delta,
+            status: child.status,
+            mount: child.mount,
+            external: child.external,
+            category: child.category,
+            modifiedAt: child.modifiedAt,
+            accessedAt: child.accessedAt,
+            parentPath: child.parentPath
+        };
+        if (child.children && child.children.length > 0) {
+            node.children = child.children.map(grandchild => this.toTreemapNode(grandchild));
+        }
+        return node;
+    }
+
+    getNodeLabel(item) {
+        // マウントポイントはバッジ代わりのアイコンを付ける
+        return item.type === 'mount' ? `💽 ${item.name}` : item.name;
+    }
+
+    // 矩形に収まるようにラベルを切り詰める（収まらなければ空）
+    fitLabel(label, width, height) {
+        if (width < 30 || height < 14) return '';
+
+        const maxChars = Math.floor(width / 6);
+        if (label.length > maxChars) {
+            return label.substring(0, maxChars - 3) + '...';
+        }
+        return label;
+    }
+
+    // ノードの塗り色（通常は種類別、比較中は増減別）
+    getNodeColor(item) {
+        if (this.deltaScale) {
+            return this.deltaScale(item.delta || 0);
+        }
+        // 日時で色分けする場合は経過時間ごとの色
+        const time = this.getItemTime(item, this.colorMode);
+        if (time !== null) {
+            return this.getAgeColor(time);
+        }
+        // ファイルは分類ごとの色で塗る
+        if (item.type === 'file' && item.category) {
+            return this.getCategoryColor(item.category);
+        }
+        const typeColors = {
+            file: '#3498db',
+            directory: '#e74c3c',
+            mount: '#9b59b6',
+            hidden: '#7f8c8d',
+            other: '#bdc3c7'
+        };
+        return typeColors[item.type] || '#95a5a6';
+    }
+
+    // 色分けの基準に応じた日時（種類で色分けする場合や日時が無い項目はnull）
+    getItemTime(item, colorMode) {
+        if (colorMode === 'mtime' && item.modifiedAt) return item.modifiedAt;
+        if (colorMode === 'atime' && item.accessedAt) return item.accessedAt;
+        return null;
+    }
+
+    // 経過時間の区分（メインプロセスの分析と同じ区切り）。新しいものは緑、古いものほど濃い赤
+    getAgeBuckets() {
+        return [
+            { label: '1週間以内', maxDays: 7, color: '#27ae60' },
+            { label: '1ヶ月以内', maxDays: 30, color: '#7dcea0' },
+            { label: '3ヶ月以内', maxDays: 90, color: '#f4d03f' },
+            { label: '6ヶ月以内', maxDays: 180, color: '#f5b041' },
+            { label: '1年以内', maxDays: 365, color: '#eb984e' },
+            { label: '2年以内', maxDays: 730, color: '#dc7633' },
+            { label: '5年以内', maxDays: 1825, color: '#cb4335' },
+            { label: '5年以上前', maxDays: Infinity, color: '#78281f' }
+        ];
+    }
+
+    getAgeColor(time) {
+        const ageDays = (Date.now() - time) / 86400000;
+        const buckets = this.getAgeBuckets();
+        return (buckets.find(bucket => ageDays <= bucket.maxDays) || buckets[buckets.length - 1]).color;
+    }
+
+    // 日時で色分けしている間だけ凡例を表示
+    renderAgeLegend() {
+        const container = document.getElementById('ageLegend');
+        container.innerHTML = '';
+        if (this.colorMode === 'type') {
+            return;
+        }
+        this.getAgeBuckets().forEach(bucket => {
+            const item = document.createElement('span');
+            item.className = 'age-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'category-swatch';
+            swatch.style.background = bucket.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(bucket.label));
+            container.appendChild(item);
+        });
+    }
+
+    getCategoryColor(categoryId) {
+        const categoryColors = {
+            video: '#e67e22',
+            audio: '#f1c40f',
+            image: '#1abc9c',
+            archive: '#8e44ad',
+            diskImage: '#d35400',
+            log: '#7f8c8d',
+            code: '#2ecc71',
+            build: '#34495e',
+            document: '#2980b9',
+            database: '#c0392b',
+            font: '#16a085',
+            other: '#3498db'
+        };
+        return categoryColors[categoryId] || categoryColors.other;
+    }
+
+    getNodeTooltip(item) {
+        if (item.type === 'hidden') {
+            return [item.name, this.formatBytes(item.size), 'クリックで隠しファイルを個別に表示'].join('\n');
+        }
+        if (item.type === 'other') {
+            return [item.name, this.formatBytes(item.size), '個別に表示しきれない小さい項目や隠しファイルなど'].join('\n');
+        }
+        const lines = [item.name, this.formatBytes(item.size), item.path];
+        const time = this.getItemTime(item, this.colorMode);
+        if (time !== null) {
+            const label = this.colorMode === 'atime' ? 'アクセス日時' : '更新日時';
+            lines.push(`${label}: ${new Date(time).toLocaleString()}（${this.formatAge(time)}）`);
+        }
+        if (item.type === 'mount') {
+            lines.push(this.getMountDescription(item));
+        }
+        if (this.comparison && item.delta !== undefined) {
+            lines.splice(2, 0, `増減: ${this.formatDelta(item.delta)}${this.getStatusLabel(item.status) ? ` (${this.getStatusLabel(item.status)})` : ''}`);
+        }
+        return lines.join('\n');
+    }
+
+    getMountDescription(item) {
+        const mount = item.mount || {};
+        const fsInfo = mount.fsType ? `${mount.fsType}${mount.source ? ` (${mount.source})` : ''}` : '別のファイルシステム';
+        return `マウントポイント: ${fsInfo}${item.external ? '\n未スキャン（ファイルシステム全体の使用量を表示）' : ''}`;
+    }
+
+    // 増量は赤、減量は緑の発散スケール
+    createDeltaScale(items) {
+        const maxDelta = d3.max(items, item => Math.abs(item.delta || 0)) || 1;
+        return d3.scaleDiverging()
+            .domain([-maxDelta, 0, maxDelta])
+            .interpolator(t => d3.interpolateRdYlGn(1 - t));
+    }
+
+    renderFileList(files) {
+        const container = document.getElementById('fileList');
+        
+        if (!files || files.length === 0) {
+            this.fileListItems = [];
+            container.innerHTML = '<p>ファイルがありません</p>';
+            this.renderSelectionBar();
+            return;
+        }
+
+        // サイズ順でソート（大きい順）
+        const items = [...files];
+        if (this.data && this.data.hiddenSummary && !this.comparison) {
+            items.push(this.createHiddenBucket(this.data.hiddenSummary));
+        }
+        const sortedFiles = items.sort((a, b) => (b.size || 0) - (a.size || 0));
+
+        const table = document.createElement('table');
+        table.className = 'file-table';
+
+        this.fileListItems = sortedFiles.filter(file => this.isSelectableItem(file));
+
+        const header = table.createTHead();
+        const headerRow = header.insertRow();
+        const selectAllCell = document.createElement('th');
+        selectAllCell.className = 'select-cell';
+        const selectAll = document.createElement('input');
+        selectAll.type = 'checkbox';
+        selectAll.className = 'select-all-checkbox';
+        selectAll.title = '全て選択';
+        selectAll.addEventListener('click', () => this.toggleSelectAll());
+        selectAllCell.appendChild(selectAll);
+        headerRow.appendChild(selectAllCell);
+        const columns = this.comparison ? ['ファイル名', 'サイズ', '増減', 'タイプ'] : ['ファイル名', 'サイズ', 'タイプ'];
+        columns.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        
+        // 親ディレクトリ（..）を追加（ルートディレクトリ以外）
+        if (this.currentPath !== '/') {
+            this.addDirectoryNavigationRow(tbody, '..', null, 'parent-directory');
+        }
+        
+        // 現在のディレクトリ（.）を追加
+        this.addDirectoryNavigationRow(tbody, '.', this.data.size, 'current-directory');
+        sortedFiles.forEach(file => {
+            if (file.type === 'hidden') {
+                this.addHiddenBucketRow(tbody, file);
+                return;
+            }
+            
+            const row = tbody.insertRow();
+            row.dataset.path = file.path;
+            // 行のクリックで選択（グラフ側でも強調表示される）
+            row.addEventListener('click', (e) => {
+                this.selectItem(file, e);
+            });
+            
+            // 選択用のチェックボックス（クリックで選択に追加・解除、Shiftで範囲選択）
+            const selectCell = row.insertCell();
+            selectCell.className = 'select-cell';
+            if (this.isSelectableItem(file)) {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'select-checkbox';
+                checkbox.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.selectItem(file, { ctrlKey: true, shiftKey: e.shiftKey });
+                });
+                selectCell.appendChild(checkbox);
+            }
+            
+            // ファイル名セル
+            const nameCell = row.insertCell();
+            nameCell.textContent = file.name;
+            nameCell.className = file.type === 'directory' ? 'directory-name' : 'file-name';
+            if (file.type === 'directory') {
+                nameCell.style.cursor = 'pointer';
+                nameCell.addEventListener('click', (e) => {
+                    // Ctrl/Shift+クリックは選択だけ（行のクリックで処理）
+                    if (!this.isMultiSelectEvent(e)) {
+                        this.loadDirectory(file.path);
+                    }
+                });
+            } else if (file.type === 'mount') {
+                nameCell.className = 'mount-name';
+                nameCell.title = this.getMountDescription(file);
+                const badge = document.createElement('span');
+                badge.className = 'mount-badge';
+                badge.textContent = (file.mount && file.mount.fsType) || 'マウント';
+                nameCell.appendChild(badge);
+                nameCell.addEventListener('click', () => {
+                    this.openMountPoint(file);
+                });
+            }
+            
+            // 右クリックイベントを追加
+            row.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showContextMenu(e, file);
+            });
+            
+            // サイズセル
+            const sizeCell = row.insertCell();
+            sizeCell.textContent = this.formatBytes(file.size || 0);
+            sizeCell.className = 'size-cell';
+            if (file.external) {
+                sizeCell.classList.add('external-size');
+                sizeCell.title = '未スキャンのファイルシステム全体の使用量（合計には含まれません）';
+            }
+            
+            // 増減セル（比較中のみ）
+            if (this.comparison) {
+                this.addDeltaCell(row, file);
+            }
+            
+            // タイプセル
+            const typeCell = row.insertCell();
+            typeCell.textContent = file.type === 'mount' ? 'マウント' : (file.type === 'directory' ? 'フォルダ' : 'ファイル');
+            typeCell.className = file.type === 'mount' ? 'type-mount' : (file.type === 'directory' ? 'type-directory' : 'type-file');
+        });
+
+        container.innerHTML = '';
+        container.appendChild(table);
+        this.updateSelectionHighlight();
+    }
+
+    // 隠しアイテムの行（クリックで隠しファイルを個別に表示）
+    addHiddenBucketRow(tbody, bucket) {
+        const row = tbody.insertRow();
+        row.className = 'hidden-bucket';
+        row.insertCell().className = 'select-cell';
+        
+        const nameCell = row.insertCell();
+        nameCell.textContent = bucket.name;
+        nameCell.className = 'hidden-bucket-name';
+        nameCell.title = 'クリックで隠しファイルを個別に表示';
+        nameCell.addEventListener('click', () => {
+            this.setShowHidden(true);
+        });
+        
+        const sizeCell = row.insertCell();
+        sizeCell.textContent = this.formatBytes(bucket.size);
+        sizeCell.className = 'size-cell';
+        
+        const typeCell = row.insertCell();
+        typeCell.textContent = '隠し';
+        typeCell.className = 'type-hidden';
+    }
+
+    addDirectoryNavigationRow(tbody, name, size, className) {
+        const row = tbody.insertRow();
+        row.className = className;
+        row.insertCell().className = 'select-cell';
+        
+        // ファイル名セル
+        const nameCell = row.insertCell();
+        nameCell.textContent = name;
+        nameCell.className = 'navigation-directory';
+        nameCell.style.cursor = 'pointer';
+        
+        // クリックイベント
+        nameCell.addEventListener('click', () => {
+            if (name === '.') {
+                // 現在のディレクトリを再読み込み
+                this.refreshCurrentDirectory();
+            } else if (name === '..') {
+                // 親ディレクトリに移動
+                this.goUpDirectory();
+            }
+        });
+        
+        // 右クリックイベント（コンテキストメニュー用）
+        row.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const targetPath = name === '..' ? this.getParentPath() : this.currentPath;
+            const fileData = {
+                name: name,
+                path: targetPath,
+                size: size || 0,
+                type: 'directory'
+            };
+            this.showContextMenu(e, fileData);
+        });
+        
+        // サイズセル
+        const sizeCell = row.insertCell();
+        if (size !== null) {
+            sizeCell.textContent = this.formatBytes(size);
+        } else {
+            sizeCell.textContent = '-';
+        }
+        sizeCell.className = 'size-cell';
+        
+        if (this.comparison) {
+            const deltaCell = row.insertCell();
+            deltaCell.className = 'size-cell';
+            if (name === '.' && this.data.delta !== undefined) {
+                deltaCell.textContent = this.formatDelta(this.data.delta);
+                deltaCell.classList.add(this.data.delta >= 0 ? 'delta-positive' : 'delta-negative');
+            }
+        }
+        
+        // タイプセル
+        const typeCell = row.insertCell();
+        if (name === '.') {
+            typeCell.textContent = '現在のフォルダ';
+        } else if (name === '..') {
+            typeCell.textContent = '親フォルダ';
+        }
+        typeCell.className = 'type-navigation';
+    }
+
+    addDeltaCell(row, item) {
+        const deltaCell = row.insertCell();
+        deltaCell.className = 'size-cell';
+        deltaCell.textContent = this.formatDelta(item.delta || 0);
+        if (item.delta > 0) {
+            deltaCell.classList.add('delta-positive');
+        } else if (item.delta < 0) {
+            deltaCell.classList.add('delta-negative');
+        }
+
+        const statusLabel = this.getStatusLabel(item.status);
+        if (statusLabel) {
+            const badge = document.createElement('span');
+            badge.className = `status-badge status-${item.status}`;
+            badge.textContent = statusLabel;
+            deltaCell.appendChild(badge);
+        }
+    }
+
+    getStatusLabel(status) {
+        if (status === 'added') return '新規';
+        if (status === 'removed') return '削除';
+        return '';
+    }
+
+    switchTab(tabName) {
+        this.activeTab = tabName;
+        document.querySelectorAll('.panel-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === tabName);
+        });
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.toggle('hidden', content.id !== tabName);
+        });
+
+        if (tabName === 'changesPanel') {
+            this.renderChangesPanel();
+        } else if (tabName === 'duplicatesPanel') {
+            this.renderDuplicatesPanel();
+        } else if (tabName === 'typesPanel') {
+            this.renderTypesPanel();
+        } else if (tabName === 'agePanel') {
+            this.renderAgePanel();
+        } else if (tabName === 'largestPanel') {
+            this.renderLargestPanel();
+        } else if (tabName === 'searchPanel') {
+            this.renderSearchPanel();
+        } else if (tabName === 'suggestionsPanel') {
+            this.renderSuggestionsPanel();
+        }
+    }
+
+    // スナップショット比較中のディレクトリ表示
+    async loadComparisonDirectory(path) {
+        try {
+            const diffData = await window.electronAPI.getComparisonContents(path);
+            if (!diffData) {
+                // メイン側で比較が終了している（スナップショット削除など）
+                this.comparison = null;
+                this.renderComparisonStatus();
+                this.loadDirectory(path);
+                return;
+            }
+
+            this.data = diffData;
+            this.renderScanStatus(null);
+            this.renderComparisonStatus();
+            this.renderChart(diffData);
+            this.renderFileList(diffData.children || []);
+            if (this.activeTab === 'changesPanel') {
+                this.renderChangesPanel();
+            }
+        } catch (error) {
+            console.error('Error loading comparison:', error);
+            document.getElementById('treemap').innerHTML = '<div class="loading">エラーが発生しました</div>';
+        } finally {
+            this.updateButtonStates(false);
+        }
+    }
+
+    renderComparisonStatus() {
+        const container = document.getElementById('comparisonStatus');
+        container.innerHTML = '';
+        if (!this.comparison) {
+            return;
+        }
+
+        const banner = document.createElement('span');
+        banner.className = 'comparison-banner';
+        banner.textContent = `比較中: ${this.comparison.base.name} → ${this.comparison.target.name}`;
+        container.appendChild(banner);
+
+        const endButton = document.createElement('button');
+        endButton.className = 'rescan-button';
+        endButton.textContent = '比較を終了';
+        endButton.addEventListener('click', () => {
+            this.endComparison();
+        });
+        container.appendChild(endButton);
+    }
+
+    async endComparison() {
+        await window.electronAPI.endComparison();
+        this.comparison = null;
+        this.changes = null;
+        this.renderComparisonStatus();
+        this.clearCache();
+        this.loadDirectory(this.currentPath);
+    }
+
+    // 増減ランキング（現在のディレクトリ以下）
+    async renderChangesPanel() {
+        const container = document.getElementById('changesPanel');
+
+        if (!this.comparison) {
+            container.innerHTML = '<p>スナップショットを比較すると、増減の大きいパスが表示されます。</p>';
+            return;
+        }
+
+        if (!this.changes || this.changesPath !== this.currentPath) {
+            container.innerHTML = '<div class="loading">集計中...</div>';
+            this.changes = await window.electronAPI.getComparisonChanges(this.currentPath, 500);
+            this.changesPath = this.currentPath;
+        }
+
+        const filter = this.changesFilter || 'all';
+        const { key, ascending } = this.changesSort;
+        const rows = this.changes
+            .filter(change => filter === 'all' || change.type === filter)
+            .sort((a, b) => {
+                const valueA = key === 'path' ? a.path : a[key];
+                const valueB = key === 'path' ? b.path : b[key];
+                if (valueA < valueB) return ascending ? -1 : 1;
+                if (valueA > valueB) return ascending ? 1 : -1;
+                return 0;
+            });
+
+        container.innerHTML = '';
+
+        // 種類フィルター
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        toolbar.innerHTML = `
+            <label>表示:
+                <select>
+                    <option value="all">すべて</option>
+                    <option value="directory">フォルダのみ</option>
+                    <option value="file">ファイルのみ</option>
+                </select>
+            </label>
+        `;
+        const select = toolbar.querySelector('select');
+        select.value = filter;
+        select.addEventListener('change', () => {
+            this.changesFilter = select.value;
+            this.renderChangesPanel();
+        });
+        container.appendChild(toolbar);
+
+        if (rows.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p>変化のあるパスはありません</p>');
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'file-table';
+        const headerRow = table.createTHead().insertRow();
+        [
+            { key: 'path', label: 'パス' },
+            { key: 'before', label: '比較元' },
+            { key: 'after', label: '比較先' },
+            { key: 'delta', label: '増減' }
+        ].forEach(column => {
+            const th = document.createElement('th');
+            const arrow = key === column.key ? (ascending ? ' ▲' : ' ▼') : '';
+            th.textContent = column.label + arrow;
+            th.className = 'sortable-header';
+            th.addEventListener('click', () => {
+                this.changesSort = {
+                    key: column.key,
+                    ascending: key === column.key ? !ascending : column.key === 'path'
+                };
+                this.renderChangesPanel();
+            });
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        rows.forEach(change => {
+            const row = tbody.insertRow();
+
+            const nameCell = row.insertCell();
+            nameCell.textContent = this.getRelativePath(change.path);
+            nameCell.title = change.path;
+            nameCell.className = change.type === 'directory' ? 'directory-name' : 'file-name';
+            if (change.type === 'directory') {
+                nameCell.addEventListener('click', () => {
+                    this.loadDirectory(change.path);
+                });
+            }
+
+            row.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showContextMenu(e, change);
+            });
+
+            const beforeCell = row.insertCell();
+            beforeCell.textContent = this.formatBytes(change.before);
+            beforeCell.className = 'size-cell';
+
+            const afterCell = row.insertCell();
+            afterCell.textContent = this.formatBytes(change.after);
+            afterCell.className = 'size-cell';
+
+            this.addDeltaCell(row, change);
+        });
+
+        container.appendChild(table);
+    }
+
+    // 現在のディレクトリ（basePath指定時はそのディレクトリ）からの相対パス
+    getRelativePath(fullPath, basePath = this.currentPath) {
+        const base = basePath.endsWith('/') ? basePath : basePath + '/';
+        return fullPath.startsWith(base) ? fullPath.substring(base.length) : fullPath;
+    }
+
+    // 重複ファイル（現在のディレクトリ以下を検索し、削減できる容量の大きい順に表示）
+    renderDuplicatesPanel() {
+        const container = document.getElementById('duplicatesPanel');
+        container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        toolbar.innerHTML = `
+            <label>最小サイズ:
+                <select>
+                    <option value="1024">1 KB</option>
+                    <option value="1048576">1 MB</option>
+                    <option value="10485760">10 MB</option>
+                    <option value="104857600">100 MB</option>
+                </select>
+            </label>
+            <button class="panel-button duplicates-start-button">現在のフォルダで検索</button>
+        `;
+        const select = toolbar.querySelector('select');
+        select.value = String(this.duplicatesMinSize);
+        select.addEventListener('change', () => {
+            this.duplicatesMinSize = Number(select.value);
+        });
+        const startButton = toolbar.querySelector('.duplicates-start-button');
+        startButton.disabled = this.duplicatesRunning || !this.data || !this.data.path;
+        startButton.addEventListener('click', () => {
+            this.findDuplicates();
+        });
+        container.appendChild(toolbar);
+
+        if (this.duplicatesRunning) {
+            container.insertAdjacentHTML('beforeend',
+                '<div class="loading"><span class="duplicates-progress">重複ファイルを検索中...</span><button class="stop-duplicates-button">中止</button></div>');
+            container.querySelector('.stop-duplicates-button').addEventListener('click', () => {
+                window.electronAPI.cancelDuplicates();
+            });
+            return;
+        }
+
+        if (!this.duplicates) {
+            container.insertAdjacentHTML('beforeend', '<p>スキャン済みのフォルダから、内容が同じファイルを探します。</p>');
+            return;
+        }
+
+        const result = this.duplicates;
+        const summary = document.createElement('div');
+        summary.className = 'duplicates-summary';
+        summary.textContent = result.cancelled
+            ? '検索を中止しました'
+            : `${result.groups.length.toLocaleString()} グループ ・ 削減可能 ${this.formatBytes(result.totalReclaimable)}（${result.path} 以下）`;
+        if (result.errorCount > 0) {
+            summary.textContent += ` ・ 読み取れなかったファイル ${result.errorCount.toLocaleString()} 件`;
+        }
+        container.appendChild(summary);
+
+        const maxGroups = 200;
+        result.groups.slice(0, maxGroups).forEach(group => {
+            const groupElement = document.createElement('div');
+            groupElement.className = 'duplicate-group';
+
+            const header = document.createElement('div');
+            header.className = 'duplicate-group-header';
+            header.textContent = `${this.formatBytes(group.size)} × ${group.files.length} ・ 削減可能 ${this.formatBytes(group.reclaimable)}`;
+            groupElement.appendChild(header);
+
+            const table = document.createElement('table');
+            table.className = 'file-table';
+            const tbody = table.createTBody();
+            group.files.forEach(file => {
+                const row = tbody.insertRow();
+
+                const nameCell = row.insertCell();
+                nameCell.textContent = this.getRelativePath(file.path, result.path);
+                nameCell.title = file.linkCount > 1
+                    ? `${file.path}\n他にもハードリンクがあるため、削除しても容量は空きません`
+                    : file.path;
+                nameCell.className = 'file-name';
+                if (file.linkCount > 1) {
+                    nameCell.textContent += ` （ハードリンク ${file.linkCount}）`;
+                }
+
+                const dateCell = row.insertCell();
+                dateCell.textContent = new Date(file.mtimeMs).toLocaleString();
+                dateCell.className = 'size-cell';
+
+                row.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.showContextMenu(e, file);
+                });
+            });
+            groupElement.appendChild(table);
+            container.appendChild(groupElement);
+        });
+
+        if (result.groups.length > maxGroups) {
+            container.insertAdjacentHTML('beforeend',
+                `<p>... 他 ${(result.groups.length - maxGroups).toLocaleString()} グループ</p>`);
+        }
+    }
+
+    async findDuplicates() {
+        if (!this.data || !this.data.path) {
+            return;
+        }
+
+        this.duplicatesRunning = true;
+        this.renderDuplicatesPanel();
+        try {
+            const result = await window.electronAPI.findDuplicates(this.currentPath, { minSize: this.duplicatesMinSize });
+            if (result.success) {
+                this.duplicates = result;
+            } else {
+                alert(`重複ファイルの検索に失敗しました: ${result.error}`);
+            }
+        } finally {
+            this.duplicatesRunning = false;
+            if (this.activeTab === 'duplicatesPanel') {
+                this.renderDuplicatesPanel();
+            }
+        }
+    }
+
+    updateDuplicatesProgress(progress) {
+        const element = document.querySelector('#duplicatesPanel .duplicates-progress');
+        if (!element) {
+            return;
+        }
+        const phaseLabels = {
+            stat: 'サイズを確認中',
+            partial: '先頭部分を比較中',
+            full: '内容を比較中'
+        };
+        const percent = progress.totalBytes > 0 ? ` (${Math.floor(progress.processedBytes / progress.totalBytes * 100)}%)` : '';
+        element.textContent = `${phaseLabels[progress.phase] || '検索中'}: ${progress.processedFiles.toLocaleString()} / ${progress.totalFiles.toLocaleString()} ファイル${percent}`;
+    }
+
+    // 削除したパスを重複ファイルの検出結果から取り除く
+    removeFromDuplicates(removedPath) {
+        if (!this.duplicates) {
+            return;
+        }
+        const groups = this.duplicates.groups
+            .map(group => {
+                const files = group.files.filter(file => !this.isPathWithin(file.path, removedPath));
+                return { ...group, files, reclaimable: group.size * (files.length - 1) };
+            })
+            .filter(group => group.files.length > 1)
+            .sort((a, b) => b.reclaimable - a.reclaimable);
+        this.duplicates = {
+            ...this.duplicates,
+            groups,
+            totalReclaimable: groups.reduce((sum, group) => sum + group.reclaimable, 0)
+        };
+        if (this.activeTab === 'duplicatesPanel') {
+            this.renderDuplicatesPanel();
+        }
+    }
+
+    // 種類別（現在のディレクトリ以下を拡張子・分類ごとに集計）
+    async renderTypesPanel() {
+        const container = document.getElementById('typesPanel');
+
+        if (this.comparison) {
+            container.innerHTML = '<p>スナップショットの比較中は種類別の集計を表示できません。</p>';
+            return;
+        }
+        if (!this.data || !this.data.path) {
+            container.innerHTML = '<p>フォルダを選択してください</p>';
+            return;
+        }
+
+        // 差分更新・再スキャンでスキャン結果が変わったら集計し直す
+        const scanInfo = this.data.scanInfo || {};
+        const breakdownKey = `${this.currentPath}|${this.sizeMode}|${scanInfo.updatedAt}`;
+        if (!this.typeBreakdown || this.typeBreakdown.key !== breakdownKey) {
+            container.innerHTML = '<div class="loading">集計中...</div>';
+            const requestedPath = this.currentPath;
+            const requestedSizeMode = this.sizeMode;
+            const result = await window.electronAPI.getTypeBreakdown(requestedPath, { sizeMode: requestedSizeMode });
+            // 集計中に別のディレクトリへ移動した場合は、移動先の描画に任せる
+            if (requestedPath !== this.currentPath || requestedSizeMode !== this.sizeMode) {
+                return;
+            }
+            if (!result.success) {
+                this.showPanelMessage(container, `集計できませんでした: ${result.error}`);
+                return;
+            }
+            this.typeBreakdown = { key: breakdownKey, result };
+        }
+
+        const breakdown = this.typeBreakdown.result;
+        const byCategory = this.typeBreakdownMode === 'category';
+        const { key, ascending } = this.typeSort;
+        const rows = (byCategory ? breakdown.categories : breakdown.extensions)
+            .map(entry => ({
+                ...entry,
+                name: byCategory ? entry.label : (entry.extension ? `.${entry.extension}` : '（拡張子なし）')
+            }))
+            .sort((a, b) => {
+                const valueA = a[key];
+                const valueB = b[key];
+                if (valueA < valueB) return ascending ? -1 : 1;
+                if (valueA > valueB) return ascending ? 1 : -1;
+                return 0;
+            });
+
+        container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        toolbar.innerHTML = `
+            <label>集計単位:
+                <select>
+                    <option value="category">分類</option>
+                    <option value="extension">拡張子</option>
+                </select>
+            </label>
+        `;
+        const select = toolbar.querySelector('select');
+        select.value = this.typeBreakdownMode;
+        select.addEventListener('change', () => {
+            this.typeBreakdownMode = select.value;
+            this.renderTypesPanel();
+        });
+        container.appendChild(toolbar);
+
+        if (rows.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p>ファイルがありません</p>');
+            return;
+        }
+
+        const summary = document.createElement('div');
+        summary.className = 'types-summary';
+        summary.textContent = `${this.formatBytes(breakdown.totalSize)}（${breakdown.path} 以下） ・ クリックでツリーマップをその分類に絞り込み`;
+        container.appendChild(summary);
+
+        // グラフは並び順に関係なくサイズの大きい順
+        this.renderTypesChart(container, [...rows].sort((a, b) => b.size - a.size).slice(0, 15), breakdown.totalSize);
+
+        const table = document.createElement('table');
+        table.className = 'file-table';
+        const headerRow = table.createTHead().insertRow();
+        [
+            { key: 'name', label: byCategory ? '分類' : '拡張子' },
+            { key: 'size', label: 'サイズ' },
+            { key: 'size', label: '割合', sortable: false },
+            { key: 'count', label: 'ファイル数' }
+        ].forEach(column => {
+            const th = document.createElement('th');
+            if (column.sortable === false) {
+                th.textContent = column.label;
+                headerRow.appendChild(th);
+                return;
+            }
+            const arrow = key === column.key ? (ascending ? ' ▲' : ' ▼') : '';
+            th.textContent = column.label + arrow;
+            th.className = 'sortable-header';
+            th.addEventListener('click', () => {
+                this.typeSort = {
+                    key: column.key,
+                    ascending: key === column.key ? !ascending : column.key === 'name'
+                };
+                this.renderTypesPanel();
+            });
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        rows.forEach(entry => {
+            const row = tbody.insertRow();
+            row.className = 'type-row';
+            if (this.categoryFilter && this.categoryFilter.id === entry.category) {
+                row.classList.add('active');
+            }
+
+            const nameCell = row.insertCell();
+            const swatch = document.createElement('span');
+            swatch.className = 'category-swatch';
+            swatch.style.background = this.getCategoryColor(entry.category);
+            nameCell.appendChild(swatch);
+            nameCell.appendChild(document.createTextNode(entry.name));
+            if (!byCategory) {
+                nameCell.title = this.getCategoryLabel(entry.category, breakdown);
+            }
+
+            const sizeCell = row.insertCell();
+            sizeCell.textContent = this.formatBytes(entry.size);
+            sizeCell.className = 'size-cell';
+
+            const percentCell = row.insertCell();
+            percentCell.textContent = this.formatPercent(entry.size, breakdown.totalSize);
+            percentCell.className = 'size-cell';
+
+            const countCell = row.insertCell();
+            countCell.textContent = entry.count.toLocaleString();
+            countCell.className = 'size-cell';
+
+            row.addEventListener('click', () => {
+                this.toggleCategoryFilter(entry.category, breakdown);
+            });
+        });
+
+        container.appendChild(table);
+    }
+
+    // 横棒グラフ（棒のクリックで分類に絞り込み）
+    renderTypesChart(container, rows, totalSize) {
+        const chart = document.createElement('div');
+        chart.className = 'types-chart';
+        container.appendChild(chart);
+
+        const barHeight = 20;
+        const labelWidth = 110;
+        const width = Math.max(200, container.clientWidth - 20);
+        const height = rows.length * (barHeight + 4);
+        const x = d3.scaleLinear()
+            .domain([0, d3.max(rows, row => row.size) || 1])
+            .range([0, width - labelWidth - 70]);
+
+        const svg = d3.select(chart)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        const bar = svg.selectAll('g')
+            .data(rows)
+            .enter().append('g')
+            .attr('transform', (d, i) => `translate(0,${i * (barHeight + 4)})`)
+            .style('cursor', 'pointer')
+            .on('click', (event, d) => {
+                this.toggleCategoryFilter(d.category, this.typeBreakdown.result);
+            });
+
+        bar.append('text')
+            .attr('x', labelWidth - 6)
+            .attr('y', barHeight / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'end')
+            .attr('font-size', '12px')
+            .text(d => d.name);
+
+        bar.append('rect')
+            .attr('x', labelWidth)
+            .attr('width', d => Math.max(1, x(d.size)))
+            .attr('height', barHeight)
+            .attr('fill', d => this.getCategoryColor(d.category))
+            .attr('opacity', d => !this.categoryFilter || this.categoryFilter.id === d.category ? 1 : 0.4);
+
+        bar.append('text')
+            .attr('x', d => labelWidth + Math.max(1, x(d.size)) + 4)
+            .attr('y', barHeight / 2)
+            .attr('dy', '0.35em')
+            .attr('font-size', '11px')
+            .text(d => this.formatPercent(d.size, totalSize));
+
+        bar.append('title')
+            .text(d => `${d.name}\n${this.formatBytes(d.size)} ・ ${d.count.toLocaleString()} ファイル`);
+    }
+
+    // 同じ分類をもう一度選ぶと絞り込みを解除
+    toggleCategoryFilter(categoryId, breakdown) {
+        if (this.categoryFilter && this.categoryFilter.id === categoryId) {
+            this.setCategoryFilter(null);
+        } else {
+            this.setCategoryFilter({ id: categoryId, label: this.getCategoryLabel(categoryId, breakdown) });
+        }
+    }
+
+    getCategoryLabel(categoryId, breakdown) {
+        const category = breakdown.categories.find(entry => entry.category === categoryId);
+        return category ? category.label : categoryId;
+    }
+
+    // パネルにメッセージだけを表示する（エラーにはファイル名などが含まれるため、HTMLとしては解釈しない）
+    showPanelMessage(container, message) {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = message;
+        container.replaceChildren(paragraph);
+    }
+
+    formatPercent(size, totalSize) {
+        return totalSize > 0 ? `${(size / totalSize * 100).toFixed(1)}%` : '-';
+    }
+
+    // 現在のディレクトリ以下をスキャン結果から検索
+    async runSearch() {
+        const query = document.getElementById('searchInput').value.trim();
+        if (!query) {
+            this.clearSearch();
+            return;
+        }
+        if (this.comparison || !this.data || !this.data.path) {
+            alert('スキャン済みのフォルダを表示してから検索してください');
+            return;
+        }
+
+        const mode = document.getElementById('searchModeSelect').value;
+        const result = await window.electronAPI.searchScan(this.currentPath, { query, mode, sizeMode: this.sizeMode });
+        // 続けて検索した場合、前の検索は中断されている
+        if (result.cancelled) {
+            return;
+        }
+        if (!result.success) {
+            alert(`検索できませんでした: ${result.error}`);
+            return;
+        }
+
+        this.search = result;
+        this.setSearchHighlight(result.highlightPaths);
+        this.switchTab('searchPanel');
+    }
+
+    clearSearch() {
+        document.getElementById('searchInput').value = '';
+        this.search = null;
+        this.setSearchHighlight(null);
+        if (this.activeTab === 'searchPanel') {
+            this.renderSearchPanel();
+        }
+    }
+
+    // 一致したパスと、その祖先ディレクトリ（ツリーマップで中に一致があることを示す）
+    setSearchHighlight(paths) {
+        if (!paths) {
+            this.searchHighlight = null;
+        } else {
+            const ancestors = new Set();
+            paths.forEach(matchedPath => {
+                let current = matchedPath;
+                while (current !== '/') {
+                    current = this.getParentPath(current);
+                    if (ancestors.has(current)) break;
+                    ancestors.add(current);
+                }
+            });
+            this.searchHighlight = { matches: new Set(paths), ancestors };
+        }
+        this.updateSearchHighlight();
+    }
+
+    renderSearchPanel() {
+        const container = document.getElementById('searchPanel');
+        container.innerHTML = '';
+
+        const result = this.search;
+        if (!result) {
+            container.innerHTML = '<p>上の検索欄に名前やパターンを入力すると、現在のフォルダ以下から検索します（例: node_modules、*.iso）。</p>';
+            return;
+        }
+
+        const modeLabels = { substring: '部分一致', glob: 'グロブ', regex: '正規表現' };
+        const summary = document.createElement('div');
+        summary.className = 'types-summary';
+        summary.textContent = `「${result.query}」（${modeLabels[result.mode] || result.mode}）: ${result.matchedCount.toLocaleString()} 件・合計 ${this.formatBytes(result.totalSize)}（${result.path} 以下）`;
+        summary.title = '一致したフォルダの中で一致したものは、合計に重ねて数えません';
+        container.appendChild(summary);
+
+        if (result.matches.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p>一致する項目はありません</p>');
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'file-table';
+        const headerRow = table.createTHead().insertRow();
+        ['パス', 'サイズ', 'タイプ'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        result.matches.forEach(match => {
+            const row = tbody.insertRow();
+
+            const nameCell = row.insertCell();
+            nameCell.textContent = this.getRelativePath(match.path, result.path);
+            nameCell.title = match.path;
+            nameCell.className = match.type === 'directory' ? 'directory-name' : 'file-name';
+            // フォルダはその中へ、ファイルは置かれているフォルダへ移動して選択
+            nameCell.addEventListener('click', () => {
+                if (match.type === 'directory') {
+                    this.loadDirectory(match.path);
+                } else {
+                    this.selectItem(match);
+                    this.loadDirectory(this.getParentPath(match.path));
+                }
+            });
+
+            const sizeCell = row.insertCell();
+            sizeCell.textContent = this.formatBytes(match.size);
+            sizeCell.className = 'size-cell';
+
+            const typeCell = row.insertCell();
+            typeCell.textContent = match.type === 'directory' ? 'フォルダ' : 'ファイル';
+            typeCell.className = match.type === 'directory' ? 'type-directory' : 'type-file';
+
+            row.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showContextMenu(e, match);
+            });
+        });
+        container.appendChild(table);
+
+        if (result.matchedCount > result.matches.length) {
+            container.insertAdjacentHTML('beforeend',
+                `<p>... 他 ${(result.matchedCount - result.matches.length).toLocaleString()} 件（大きい順に ${result.matches.length.toLocaleString()} 件を表示）</p>`);
+        }
+    }
+
+    // 削除したパスを検索結果から取り除く
+    removeFromSearch(removedPath) {
+        if (!this.search) {
+            return;
+        }
+        const matches = this.search.matches.filter(match => !this.isPathWithin(match.path, removedPath));
+        const removed = this.search.matches.filter(match => match.path === removedPath);
+        this.search = {
+            ...this.search,
+            matches,
+            matchedCount: this.search.matchedCount - (this.search.matches.length - matches.length),
+            totalSize: this.search.totalSize - removed.reduce((sum, match) => sum + match.size, 0),
+            highlightPaths: this.search.highlightPaths.filter(matchedPath => !this.isPathWithin(matchedPath, removedPath))
+        };
+        this.setSearchHighlight(this.search.highlightPaths);
+        if (this.activeTab === 'searchPanel') {
+            this.renderSearchPanel();
+        }
+    }
+
+    // 大きいファイル（現在のディレクトリ以下のすべてのファイルから上位N件）
+    async renderLargestPanel() {
+        const container = document.getElementById('largestPanel');
+
+        if (this.comparison) {
+            container.innerHTML = '<p>スナップショットの比較中は大きいファイルの一覧を表示できません。</p>';
+            return;
+        }
+        if (!this.data || !this.data.path) {
+            container.innerHTML = '<p>フォルダを選択してください</p>';
+            return;
+        }
+
+        // 差分更新・再スキャンでスキャン結果が変わったら探し直す
+        const scanInfo = this.data.scanInfo || {};
+        const resultKey = [this.currentPath, this.sizeMode, this.largestLimit, this.largestMinSize, scanInfo.updatedAt].join('|');
+        if (!this.largestFiles || this.largestFiles.key !== resultKey) {
+            container.innerHTML = '<div class="loading">検索中...</div>';
+            const requestedPath = this.currentPath;
+            const result = await window.electronAPI.getLargestFiles(requestedPath, {
+                sizeMode: this.sizeMode,
+                limit: this.largestLimit,
+                minSize: this.largestMinSize
+            });
+            // 検索中に別のディレクトリへ移動した場合は、移動先の描画に任せる
+            if (requestedPath !== this.currentPath) {
+                return;
+            }
+            if (!result.success) {
+                this.showPanelMessage(container, `検索できませんでした: ${result.error}`);
+                return;
+            }
+            this.largestFiles = { key: resultKey, result };
+        }
+
+        const result = this.largestFiles.result;
+        container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        toolbar.innerHTML = `
+            <label>表示件数:
+                <select class="largest-limit">
+                    <option value="50">50</option>
+                    <option value="100">100</option>
+                    <option value="500">500</option>
+                    <option value="1000">1000</option>
+                </select>
+            </label>
+            <label>最小サイズ:
+                <select class="largest-min-size">
+                    <option value="0">指定なし</option>
+                    <option value="1048576">1 MB</option>
+                    <option value="10485760">10 MB</option>
+                    <option value="104857600">100 MB</option>
+                    <option value="1073741824">1 GB</option>
+                </select>
+            </label>
+        `;
+        const limitSelect = toolbar.querySelector('.largest-limit');
+        limitSelect.value = String(this.largestLimit);
+        limitSelect.addEventListener('change', () => {
+            this.largestLimit = Number(limitSelect.value);
+            this.renderLargestPanel();
+        });
+        const minSizeSelect = toolbar.querySelector('.largest-min-size');
+        minSizeSelect.value = String(this.largestMinSize);
+        minSizeSelect.addEventListener('change', () => {
+            this.largestMinSize = Number(minSizeSelect.value);
+            this.renderLargestPanel();
+        });
+        container.appendChild(toolbar);
+
+        if (result.files.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p>該当するファイルはありません</p>');
+            return;
+        }
+
+        const shownSize = result.files.reduce((sum, file) => sum + file.size, 0);
+        const summary = document.createElement('div');
+        summary.className = 'types-summary';
+        summary.textContent = `上位 ${result.files.length.toLocaleString()} 件で ${this.formatBytes(shownSize)}（${result.path} 以下の該当ファイル ${result.matchedCount.toLocaleString()} 件・${this.formatBytes(result.matchedSize)}）`;
+        container.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'file-table';
+        const headerRow = table.createTHead().insertRow();
+        ['#', 'パス', 'サイズ'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        result.files.forEach((file, index) => {
+            const row = tbody.insertRow();
+
+            const rankCell = row.insertCell();
+            rankCell.textContent = index + 1;
+            rankCell.className = 'rank-cell';
+
+            const nameCell = row.insertCell();
+            nameCell.textContent = this.getRelativePath(file.path, result.path);
+            nameCell.title = file.modifiedAt
+                ? `${file.path}\n更新日時: ${new Date(file.modifiedAt).toLocaleString()}`
+                : file.path;
+            nameCell.className = 'file-name';
+
+            const sizeCell = row.insertCell();
+            sizeCell.textContent = this.formatBytes(file.size);
+            sizeCell.className = 'size-cell';
+
+            row.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showContextMenu(e, file);
+            });
+        });
+
+        container.appendChild(table);
+    }
+
+    // 整理の候補（現在のディレクトリ以下の、消しても作り直せる・不要になりやすいもの）
+    async renderSuggestionsPanel() {
+        const container = document.getElementById('suggestionsPanel');
+
+        if (this.comparison) {
+            container.innerHTML = '<p>スナップショットの比較中は整理の候補を表示できません。</p>';
+            return;
+        }
+        if (!this.data || !this.data.path) {
+            container.innerHTML = '<p>フォルダを選択してください</p>';
+            return;
+        }
+
+        // 差分更新・再スキャン・ゴミ箱への移動でスキャン結果が変わったら探し直す
+        const scanInfo = this.data.scanInfo || {};
+        const resultKey = [this.currentPath, this.sizeMode, scanInfo.updatedAt].join('|');
+        if (!this.suggestions || this.suggestions.key !== resultKey) {
+            container.innerHTML = '<div class="loading">検索中...</div>';
+            const requestedPath = this.currentPath;
+            const result = await window.electronAPI.getSuggestions(requestedPath, { sizeMode: this.sizeMode });
+            // 検索中に別のディレクトリへ移動した場合は、移動先の描画に任せる
+            if (requestedPath !== this.currentPath) {
+                return;
+            }
+            if (!result.success) {
+                this.showPanelMessage(container, `整理の候補を取得できませんでした: ${result.error}`);
+                return;
+            }
+            this.suggestions = { key: resultKey, result };
+        }
+
+        const result = this.suggestions.result;
+        container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        toolbar.innerHTML = `
+            <button class="panel-button suggestions-trash-button">チェックした候補をゴミ箱に移動…</button>
+            <button class="panel-button suggestions-rules-button">ルールを編集…</button>
+        `;
+        const trashButton = toolbar.querySelector('.suggestions-trash-button');
+        trashButton.disabled = !result.groups.some(group => !group.command);
+        trashButton.addEventListener('click', () => {
+            this.trashSuggestions();
+        });
+        toolbar.querySelector('.suggestions-rules-button').addEventListener('click', () => {
+            this.showSuggestionRulesDialog();
+        });
+        container.appendChild(toolbar);
+
+        if (result.groups.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p>整理の候補は見つかりませんでした</p>');
+            return;
+        }
+
+        const itemCount = result.groups.reduce((sum, group) => sum + group.items.length, 0);
+        const summary = document.createElement('div');
+        summary.className = 'types-summary';
+        summary.textContent = `整理できる容量の目安: ${this.formatBytes(result.reclaimableSize)}（${itemCount.toLocaleString()} 件、${this.formatPercent(result.reclaimableSize, this.data.size)}）`;
+        container.appendChild(summary);
+
+        result.groups.forEach(group => {
+            const groupElement = document.createElement('details');
+            groupElement.className = 'suggestion-group';
+
+            const header = document.createElement('summary');
+            if (!group.command) {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !this.suggestionsSkipped.has(group.id);
+                checkbox.title = 'ゴミ箱に移動する対象に含める';
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) {
+                        this.suggestionsSkipped.delete(group.id);
+                    } else {
+                        this.suggestionsSkipped.add(group.id);
+                    }
+                });
+                header.appendChild(checkbox);
+            }
+            const label = document.createElement('span');
+            label.className = 'suggestion-group-label';
+            label.textContent = group.label;
+            header.appendChild(label);
+            const size = document.createElement('span');
+            size.textContent = `${group.items.length.toLocaleString()} 件 ・ ${this.formatBytes(group.totalSize)}`;
+            header.appendChild(size);
+            groupElement.appendChild(header);
+
+            const rationale = document.createElement('p');
+            rationale.className = 'suggestion-rationale';
+            rationale.textContent = group.rationale;
+            if (group.command) {
+                rationale.append('。削除するには ');
+                const command = document.createElement('code');
+                command.textContent = group.command;
+                rationale.append(command, ' を実行してください');
+            }
+            groupElement.appendChild(rationale);
+
+            const table = document.createElement('table');
+            table.className = 'file-table';
+            const tbody = table.createTBody();
+            group.items.slice(0, this.suggestionsShown).forEach(item => {
+                const row = tbody.insertRow();
+
+                const nameCell = row.insertCell();
+                nameCell.textContent = this.getRelativePath(item.path, result.path);
+                nameCell.title = item.modifiedAt
+                    ? `${item.path}\n更新日時: ${new Date(item.modifiedAt).toLocaleString()}`
+                    : item.path;
+                nameCell.className = 'file-name';
+
+                const sizeCell = row.insertCell();
+                sizeCell.textContent = this.formatBytes(item.size);
+                sizeCell.className = 'size-cell';
+
+                row.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.showContextMenu(e, item);
+                });
+            });
+            groupElement.appendChild(table);
+            if (group.items.length > this.suggestionsShown) {
+                const more = document.createElement('p');
+                more.className = 'suggestion-rationale';
+                more.textContent = `ほか ${(group.items.length - this.suggestionsShown).toLocaleString()} 件`;
+                groupElement.appendChild(more);
+            }
+            container.appendChild(groupElement);
+        });
+    }
+
+    // チェックしたグループの候補をまとめてゴミ箱に移動する（件数と容量を確認してから）
+    async trashSuggestions() {
+        const groups = this.suggestions.result.groups
+            .filter(group => !group.command && !this.suggestionsSkipped.has(group.id));
+        if (groups.length === 0) {
+            alert('ゴミ箱に移動する候補をチェックしてください');
+            return;
+        }
+
+        const items = groups.flatMap(group => group.items);
+        const totalSize = groups.reduce((sum, group) => sum + group.totalSize, 0);
+        const lines = groups.map(group =>
+            `・${group.label}: ${group.items.length.toLocaleString()} 件（${this.formatBytes(group.totalSize)}）`);
+        const message = `次の ${items.length.toLocaleString()} 件（${this.formatBytes(totalSize)}）をゴミ箱に移動しますか？\n\n` +
+            `${lines.join('\n')}\n\nゴミ箱から元に戻せます。`;
+        if (!confirm(message)) {
+            return;
+        }
+        await this.deleteItems(items);
+    }
+
+    setupSuggestionRulesDialog() {
+        document.getElementById('closeSuggestionRulesBtn').addEventListener('click', () => {
+            document.getElementById('suggestionRulesOverlay').classList.add('hidden');
+        });
+
+        document.getElementById('saveSuggestionRulesBtn').addEventListener('click', () => {
+            this.saveSuggestionRules();
+        });
+    }
+
+    async showSuggestionRulesDialog() {
+        const rules = await window.electronAPI.getSuggestionRules();
+        document.getElementById('suggestionRulesInput').value = rules.user
+            .map(rule => (rule.rationale ? `${rule.pattern} # ${rule.rationale}` : rule.pattern))
+            .join('\n');
+
+        const builtin = document.getElementById('builtinSuggestionRules');
+        builtin.innerHTML = '';
+        rules.builtin.forEach(rule => {
+            const line = document.createElement('div');
+            const label = document.createElement('strong');
+            label.textContent = rule.label;
+            line.append(label, ': ');
+            rule.patterns.forEach((pattern, index) => {
+                const code = document.createElement('code');
+                code.textContent = pattern;
+                line.append(...(index > 0 ? [' ', code] : [code]));
+            });
+            builtin.appendChild(line);
+        });
+        document.getElementById('suggestionRulesOverlay').classList.remove('hidden');
+    }
+
+    async saveSuggestionRules() {
+        // "パターン # 説明" の形式（"#" で始まる行はコメント）
+        const rules = document.getElementById('suggestionRulesInput').value.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const [pattern, ...rationale] = line.split(' # ');
+                return { pattern: pattern.trim(), rationale: rationale.join(' # ').trim() };
+            });
+        const result = await window.electronAPI.setSuggestionRules(rules);
+        if (!result.success) {
+            alert(`ルールの保存に失敗しました: ${result.error}`);
+            return;
+        }
+
+        document.getElementById('suggestionRulesOverlay').classList.add('hidden');
+        // 新しいルールで探し直す
+        this.suggestions = null;
+        if (this.activeTab === 'suggestionsPanel') {
+            this.renderSuggestionsPanel();
+        }
+    }
+
+    // 経過時間（現在のディレクトリ以下を更新日時・アクセス日時で分析）
+    async renderAgePanel() {
+        const container = document.getElementById('agePanel');
+
+        if (this.comparison) {
+            container.innerHTML = '<p>スナップショットの比較中は経過時間の分析を表示できません。</p>';
+            return;
+        }
+        if (!this.data || !this.data.path) {
+            container.innerHTML = '<p>フォルダを選択してください</p>';
+            return;
+        }
+
+        // 差分更新・再スキャンでスキャン結果が変わったら分析し直す
+        const scanInfo = this.data.scanInfo || {};
+        const reportKey = [this.currentPath, this.sizeMode, this.ageTimeField, this.ageMinDays, scanInfo.updatedAt].join('|');
+        if (!this.ageReport || this.ageReport.key !== reportKey) {
+            container.innerHTML = '<div class="loading">分析中...</div>';
+            const requestedPath = this.currentPath;
+            const result = await window.electronAPI.getAgeReport(requestedPath, {
+                sizeMode: this.sizeMode,
+                timeField: this.ageTimeField,
+                minAgeDays: this.ageMinDays
+            });
+            // 分析中に別のディレクトリへ移動した場合は、移動先の描画に任せる
+            if (requestedPath !== this.currentPath) {
+                return;
+            }
+            if (!result.success) {
+                this.showPanelMessage(container, `分析できませんでした: ${result.error}`);
+                return;
+            }
+            this.ageReport = { key: reportKey, result };
+        }
+
+        const report = this.ageReport.result;
+        container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        toolbar.innerHTML = `
+            <label>基準:
+                <select class="age-time-field">
+                    <option value="mtime">更新日時</option>
+                    <option value="atime">アクセス日時</option>
+                </select>
+            </label>
+            <label>未使用とみなす期間:
+                <select class="age-min-days">
+                    <option value="90">3ヶ月</option>
+                    <option value="180">6ヶ月</option>
+                    <option value="365">1年</option>
+                    <option value="730">2年</option>
+                    <option value="1825">5年</option>
+                </select>
+            </label>
+        `;
+        const timeFieldSelect = toolbar.querySelector('.age-time-field');
+        timeFieldSelect.value = this.ageTimeField;
+        timeFieldSelect.addEventListener('change', () => {
+            this.ageTimeField = timeFieldSelect.value;
+            this.renderAgePanel();
+        });
+        const minDaysSelect = toolbar.querySelector('.age-min-days');
+        minDaysSelect.value = String(this.ageMinDays);
+        minDaysSelect.addEventListener('change', () => {
+            this.ageMinDays = Number(minDaysSelect.value);
+            this.renderAgePanel();
+        });
+        container.appendChild(toolbar);
+
+        if (report.totalSize === 0) {
+            container.insertAdjacentHTML('beforeend', '<p>ファイルがありません</p>');
+            return;
+        }
+
+        const timeLabel = report.timeField === 'atime' ? 'アクセス日時' : '更新日時';
+        const summary = document.createElement('div');
+        summary.className = 'types-summary';
+        summary.textContent = `${timeLabel}ごとのファイルの合計（${report.path} 以下）`;
+        container.appendChild(summary);
+
+        this.renderAgeHistogram(container, report);
+
+        const periodBucket = this.getAgeBuckets().find(bucket => bucket.maxDays === report.minAgeDays);
+        const period = periodBucket ? periodBucket.label.replace('以内', '') : `${report.minAgeDays}日`;
+        this.renderUntouchedList(container, `${period}以上触られていないフォルダ`, report.directories, report.path, timeLabel);
+        this.renderUntouchedList(container, `${period}以上触られていないファイル`, report.files, report.path, timeLabel);
+    }
+
+    // 経過時間ごとの合計サイズの棒グラフ
+    renderAgeHistogram(container, report) {
+        const chart = document.createElement('div');
+        chart.className = 'types-chart';
+        container.appendChild(chart);
+
+        const colors = this.getAgeBuckets().map(bucket => bucket.color);
+        const width = Math.max(240, container.clientWidth - 20);
+        const height = 160;
+        const margin = { top: 16, bottom: 36 };
+        const x = d3.scaleBand()
+            .domain(report.buckets.map(bucket => bucket.id))
+            .range([0, width])
+            .padding(0.15);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(report.buckets, bucket => bucket.size) || 1])
+            .range([height - margin.bottom, margin.top]);
+
+        const svg = d3.select(chart)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        const bar = svg.selectAll('g')
+            .data(report.buckets)
+            .enter().append('g')
+            .attr('transform', d => `translate(${x(d.id)},0)`);
+
+        bar.append('rect')
+            .attr('y', d => y(d.size))
+            .attr('width', x.bandwidth())
+            .attr('height', d => Math.max(0, y(0) - y(d.size)))
+            .attr('fill', (d, i) => colors[i] || '#95a5a6')
+            .append('title')
+            .text(d => `${d.label}\n${this.formatBytes(d.size)} ・ ${d.count.toLocaleString()} ファイル`);
+
+        bar.append('text')
+            .attr('x', x.bandwidth() / 2)
+            .attr('y', d => y(d.size) - 3)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '10px')
+            .text(d => d.size > 0 ? this.formatPercent(d.size, report.totalSize) : '');
+
+        bar.append('text')
+            .attr('x', x.bandwidth() / 2)
+            .attr('y', height - margin.bottom + 14)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '10px')
+            .text(d => d.label);
+    }
+
+    renderUntouchedList(container, title, items, basePath, timeLabel) {
+        const header = document.createElement('div');
+        header.className = 'duplicate-group-header';
+        header.textContent = `${title}（大きい順）`;
+        container.appendChild(header);
+
+        if (items.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p>該当なし</p>');
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'file-table untouched-table';
+        const headerRow = table.createTHead().insertRow();
+        ['パス', 'サイズ', timeLabel].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        items.forEach(item => {
+            const row = tbody.insertRow();
+
+            const nameCell = row.insertCell();
+            nameCell.textContent = this.getRelativePath(item.path, basePath);
+            nameCell.title = item.path;
+            nameCell.className = item.type === 'directory' ? 'directory-name' : 'file-name';
+            if (item.type === 'directory') {
+                nameCell.addEventListener('click', () => {
+                    this.loadDirectory(item.path);
+                });
+            }
+
+            const sizeCell = row.insertCell();
+            sizeCell.textContent = this.formatBytes(item.size);
+            sizeCell.className = 'size-cell';
+
+            const timeCell = row.insertCell();
+            timeCell.textContent = this.formatAge(item.time);
+            timeCell.title = new Date(item.time).toLocaleString();
+            timeCell.className = 'size-cell';
+
+            row.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showContextMenu(e, item);
+            });
+        });
+        container.appendChild(table);
+    }
+
+    setupSnapshotDialog() {
+        document.getElementById('snapshotBtn').addEventListener('click', () => {
+            this.showSnapshotDialog();
+        });
+
+        document.getElementById('closeSnapshotBtn').addEventListener('click', () => {
+            document.getElementById('snapshotOverlay').classList.add('hidden');
+        });
+
+        document.getElementById('saveSnapshotBtn').addEventListener('click', () => {
+            this.saveSnapshot();
+        });
+
+        document.getElementById('compareSnapshotsBtn').addEventListener('click', () => {
+            this.compareSnapshots();
+        });
+
+        document.getElementById('snapshotBaseSelect').addEventListener('change', () => {
+            this.updateSnapshotTargetOptions();
+        });
+    }
+
+    setupExcludeDialog() {
+        document.getElementById('excludeBtn').addEventListener('click', () => {
+            this.showExcludeDialog();
+        });
+
+        document.getElementById('closeExcludeBtn').addEventListener('click', () => {
+            document.getElementById('excludeOverlay').classList.add('hidden');
+        });
+
+        document.getElementById('saveExcludeBtn').addEventListener('click', () => {
+            this.saveExcludeRules();
+        });
+    }
+
+    setupExportDialog() {
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.showExportDialog();
+        });
+
+        document.getElementById('closeExportBtn').addEventListener('click', () => {
+            document.getElementById('exportOverlay').classList.add('hidden');
+        });
+
+        document.getElementById('exportFormatSelect').addEventListener('change', () => {
+            this.updateExportOptions();
+        });
+
+        document.getElementById('startExportBtn').addEventListener('click', () => {
+            this.exportReport();
+        });
+    }
+
+    showExportDialog() {
+        if (!this.data || !this.data.scanInfo || this.comparison) {
+            alert('スキャン済みのフォルダを表示してから書き出してください');
+            return;
+        }
+        const scanRoot = this.data.scanInfo.root;
+        const targetSelect = document.getElementById('exportTargetSelect');
+        targetSelect.innerHTML = '';
+        [[this.currentPath, `表示中のフォルダ（${this.currentPath}）`], [scanRoot, `スキャンのルート（${scanRoot}）`]]
+            .filter(([value], index) => index === 0 || value !== this.currentPath)
+            .forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                targetSelect.appendChild(option);
+            });
+        document.getElementById('exportResult').textContent = '';
+        this.updateExportOptions();
+        document.getElementById('exportOverlay').classList.remove('hidden');
+    }
+
+    // 形式に合わせて、深さの意味と対象の選択を切り替える
+    updateExportOptions() {
+        const format = document.getElementById('exportFormatSelect').value;
+        const isImage = format === 'svg' || format === 'png';
+        const depthInput = document.getElementById('exportDepthInput');
+        document.getElementById('exportTargetSelect').disabled = isImage;
+        depthInput.disabled = isImage;
+        if (format === 'html') {
+            depthInput.min = 1;
+            depthInput.max = 5;
+            depthInput.value = Math.min(Math.max(Number(depthInput.value) || 4, 1), 5);
+            document.getElementById('exportDepthHelp').textContent = 'ツリーマップに含める階層数（1〜5）';
+        } else if (isImage) {
+            document.getElementById('exportDepthHelp').textContent = '画面に表示中のグラフをそのまま保存します';
+        } else {
+            depthInput.min = 0;
+            depthInput.removeAttribute('max');
+            document.getElementById('exportDepthHelp').textContent = '一覧に含める深さ（0で無制限）';
+        }
+    }
+
+    async exportReport() {
+        const format = document.getElementById('exportFormatSelect').value;
+        const resultElement = document.getElementById('exportResult');
+        resultElement.textContent = '書き出し中...';
+
+        let result;
+        try {
+            if (format === 'svg' || format === 'png') {
+                result = await window.electronAPI.exportImage(this.currentPath, format, await this.getChartImage(format));
+            } else {
+                const depth = Math.max(0, Number(document.getElementById('exportDepthInput').value) || 0);
+                result = await window.electronAPI.exportReport(document.getElementById('exportTargetSelect').value, {
+                    format,
+                    maxDepth: depth,
+                    depth,
+                    sizeMode: this.sizeMode
+                });
+            }
+        } catch (error) {
+            console.error('Error exporting:', error);
+            result = { success: false, error: error.message };
+        }
+
+        if (result.success) {
+            const count = result.entryCount !== null && result.entryCount !== undefined ? `（${result.entryCount.toLocaleString()} 件）` : '';
+            resultElement.textContent = `${result.path} に書き出しました${count}`;
+        } else {
+            resultElement.textContent = result.canceled ? '' : `書き出せませんでした: ${result.error}`;
+        }
+    }
+
+    // 表示中のグラフを SVG 文字列、または PNG（base64）にする
+    async getChartImage(format) {
+        const source = document.querySelector('#treemap svg');
+        if (!source) {
+            throw new Error('表示中のグラフがありません');
+        }
+        const svg = source.cloneNode(true);
+        const width = Number(source.getAttribute('width'));
+        const height = Number(source.getAttribute('height'));
+        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        svg.setAttribute('font-family', getComputedStyle(document.body).fontFamily);
+        svg.setAttribute('font-size', '12');
+        // 背景を白にする（PNG で透明にならないように）
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', '#fff');
+        svg.insertBefore(background, svg.firstChild);
+        const markup = new XMLSerializer().serializeToString(svg);
+        if (format === 'svg') {
+            return markup;
+        }
+
+        const image = new Image();
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        try {
+            image.src = url;
+            await image.decode();
+            const scale = window.devicePixelRatio || 1;
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            return canvas.toDataURL('image/png').replace(/^data:image\/png;base64,/, '');
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    setupMoveDialog() {
+        document.getElementById('closeMoveBtn').addEventListener('click', () => {
+            if (this.moving) {
+                window.electronAPI.cancelMove();
+            } else {
+                document.getElementById('moveOverlay').classList.add('hidden');
+            }
+        });
+
+        document.getElementById('startMoveBtn').addEventListener('click', () => {
+            this.runMove();
+        });
+    }
+
+    showMoveDialog(targets, destination) {
+        const items = this.removeNestedItems(targets);
+        this.moveTargets = { items, destination };
+        const totalSize = items.reduce((sum, item) => sum + (item.size || 0), 0);
+        const summary = items.length === 1 ? items[0].path : `${items.length} 件`;
+        document.getElementById('moveTargetLabel').textContent = `${summary}（${this.formatBytes(totalSize)}）`;
+        document.getElementById('moveDestinationLabel').textContent = `移動先: ${destination}`;
+        document.getElementById('moveSymlinkCheckbox').checked = false;
+        document.getElementById('moveProgress').classList.add('hidden');
+        document.getElementById('moveResult').textContent = '';
+        this.setMoving(false);
+        document.getElementById('moveOverlay').classList.remove('hidden');
+    }
+
+    setMoving(moving) {
+        this.moving = moving;
+        document.getElementById('moveSymlinkCheckbox').disabled = moving;
+        document.getElementById('startMoveBtn').disabled = moving;
+        document.getElementById('closeMoveBtn').textContent = moving ? '中止' : '閉じる';
+    }
+
+    updateMoveProgress(progress) {
+        if (!this.moving) {
+            return;
+        }
+        const percent = progress.totalBytes > 0 ? progress.processedBytes / progress.totalBytes * 100 : 100;
+        const counter = progress.count > 1 ? `${progress.index + 1}/${progress.count}: ` : '';
+        const bytes = `${this.formatBytes(progress.processedBytes)} / ${this.formatBytes(progress.totalBytes)}`;
+        const phase = progress.verifying ? 'のコピーを確認中' : 'をコピー中';
+        document.getElementById('moveProgressFill').style.width = `${percent}%`;
+        document.getElementById('moveProgressText').textContent = `${counter}${progress.path.split('/').pop()} ${phase} ${bytes}`;
+    }
+
+    async runMove() {
+        const { items, destination } = this.moveTargets;
+        const leaveSymlink = document.getElementById('moveSymlinkCheckbox').checked;
+        const resultElement = document.getElementById('moveResult');
+
+        resultElement.textContent = '';
+        document.getElementById('moveProgress').classList.remove('hidden');
+        document.getElementById('moveProgressFill').style.width = '0%';
+        document.getElementById('moveProgressText').textContent = '移動中...';
+        this.setMoving(true);
+
+        let result;
+        try {
+            result = await window.electronAPI.moveFiles(items.map(item => item.path), destination, { leaveSymlink });
+        } catch (error) {
+            console.error('Error in move operation:', error);
+            result = { success: false, error: '移動中にエラーが発生しました' };
+        } finally {
+            this.setMoving(false);
+        }
+        document.getElementById('moveProgress').classList.add('hidden');
+
+        if (!result.results) {
+            resultElement.textContent = `移動できませんでした: ${result.error}`;
+            return;
+        }
+        const moved = result.results.filter(entry => entry.success);
+        const failures = result.results.filter(entry => !entry.success);
+        const lines = [];
+        if (moved.length > 0) {
+            // 同じ項目を続けて移動しないよう、完了後は閉じるだけにする
+            document.getElementById('startMoveBtn').disabled = true;
+            lines.push(`${moved.length} 件を ${destination} に移動しました` + (leaveSymlink ? '（元の場所にシンボリックリンクを残しました）' : ''));
+
+            // バックエンドのキャッシュは移動元・移動先とも差分更新済み
+            this.reloadCurrentDirectory();
+            const movedPaths = moved.map(entry => entry.path);
+            movedPaths.forEach(movedPath => {
+                this.removeFromDuplicates(movedPath);
+                this.removeFromSearch(movedPath);
+            });
+            this.removeFromSelection(movedPaths);
+        }
+        failures.forEach(entry => lines.push(`${entry.path}: ${entry.error}`));
+        resultElement.textContent = lines.join('\n');
+    }
+
+    setupCompressDialog() {
+        document.getElementById('closeCompressBtn').addEventListener('click', () => {
+            if (this.compressing) {
+                window.electronAPI.cancelCompress();
+            } else {
+                document.getElementById('compressOverlay').classList.add('hidden');
+            }
+        });
+
+        document.getElementById('startCompressBtn').addEventListener('click', () => {
+            this.compressItem();
+        });
+    }
+
+    showCompressDialog(item) {
+        this.compressTarget = item;
+        const typeLabel = item.type === 'directory' ? 'フォルダ' : 'ファイル';
+        document.getElementById('compressTargetLabel').textContent = `${typeLabel}: ${item.path}（${this.formatBytes(item.size || 0)}）`;
+        document.getElementById('compressRemoveSelect').value = '';
+        document.getElementById('compressProgress').classList.add('hidden');
+        document.getElementById('compressResult').textContent = '';
+        this.setCompressing(false);
+        document.getElementById('startCompressBtn').disabled = false;
+        document.getElementById('compressOverlay').classList.remove('hidden');
+    }
+
+    setCompressing(compressing) {
+        this.compressing = compressing;
+        document.getElementById('compressFormatSelect').disabled = compressing;
+        document.getElementById('compressRemoveSelect').disabled = compressing;
+        document.getElementById('startCompressBtn').disabled = compressing;
+        document.getElementById('closeCompressBtn').textContent = compressing ? '中止' : '閉じる';
+    }
+
+    updateCompressProgress(progress) {
+        if (!this.compressing || !this.compressTarget || progress.path !== this.compressTarget.path) {
+            return;
+        }
+        const percent = progress.totalBytes > 0 ? progress.processedBytes / progress.totalBytes * 100 : 0;
+        document.getElementById('compressProgressFill').style.width = `${percent}%`;
+        document.getElementById('compressProgressText').textContent =
+            `${this.formatBytes(progress.processedBytes)} / ${this.formatBytes(progress.totalBytes)}`;
+    }
+
+    async compressItem() {
+        const target = this.compressTarget;
+        const format = document.getElementById('compressFormatSelect').value;
+        const removeOriginal = document.getElementById('compressRemoveSelect').value || null;
+        const resultElement = document.getElementById('compressResult');
+
+        if (removeOriginal === 'permanent' &&
+            !confirm(`圧縮後に元の項目を完全に削除します。\n\n${target.path}\n\n⚠️ ゴミ箱を使わないため、この操作は取り消せません。`)) {
+            return;
+        }
+
+        resultElement.textContent = '';
+        document.getElementById('compressProgress').classList.remove('hidden');
+        document.getElementById('compressProgressFill').style.width = '0%';
+        document.getElementById('compressProgressText').textContent = '準備中...';
+        this.setCompressing(true);
+
+        let result;
+        try {
+            result = await window.electronAPI.compressItem(target.path, { format, removeOriginal });
+        } catch (error) {
+            console.error('Error compressing:', error);
+            result = { success: false, error: '圧縮中にエラーが発生しました' };
+        } finally {
+            this.setCompressing(false);
+        }
+
+        if (!result.success) {
+            document.getElementById('compressProgress').classList.add('hidden');
+            resultElement.textContent = result.cancelled ? '圧縮を中止しました' : `圧縮に失敗しました: ${result.error}`;
+            return;
+        }
+
+        // 同じ項目を続けて圧縮しないよう、完了後は閉じるだけにする
+        document.getElementById('startCompressBtn').disabled = true;
+        const lines = [
+            `${result.archivePath.split('/').pop()} を作成しました`,
+            `${this.formatBytes(result.originalSize)} → ${this.formatBytes(result.archiveSize)}` +
+                (result.ratio !== null ? `（圧縮率 ${this.formatPercent(result.archiveSize, result.originalSize)}）` : '')
+        ];
+        if (result.removed) {
+            lines.push(result.trashed ? '元の項目をゴミ箱に移動しました' : '元の項目を削除しました');
+        } else if (result.removeError) {
+            lines.push(`元の項目を削除できませんでした: ${result.removeError}`);
+        }
+        resultElement.textContent = lines.join('\n');
+
+        // バックエンドのキャッシュは圧縮後に差分更新済み
+        this.reloadCurrentDirectory();
+        if (result.removed) {
+            this.removeFromDuplicates(target.path);
+            this.removeFromSearch(target.path);
+            this.removeFromSelection([target.path]);
+            if (result.undoId) {
+                this.showToast(`${target.name} をゴミ箱に移動しました`, {
+                    actionLabel: '元に戻す',
+                    onAction: () => this.restoreTrashedItem(result.undoId, target.name)
+                });
+            }
+        }
+    }
+
+    setupAlertsDialog() {
+        document.getElementById('alertsBtn').addEventListener('click', () => {
+            this.showAlertsDialog();
+        });
+
+        document.getElementById('closeAlertsBtn').addEventListener('click', () => {
+            document.getElementById('alertsOverlay').classList.add('hidden');
+        });
+
+        document.getElementById('alertBrowseBtn').addEventListener('click', async () => {
+            const result = await window.electronAPI.selectFolder();
+            if (result.success && result.path) {
+                document.getElementById('alertPathInput').value = result.path;
+            }
+        });
+
+        document.getElementById('alertTypeSelect').addEventListener('change', (e) => {
+            document.getElementById('alertLimitUnit').textContent = e.target.value === 'free-percent' ? '%' : 'GB';
+        });
+
+        document.getElementById('addAlertBtn').addEventListener('click', () => {
+            this.addAlert();
+        });
+
+        // 間隔と常駐の設定は変更したらすぐに保存する
+        document.getElementById('alertIntervalInput').addEventListener('change', () => {
+            this.saveAlertSettings(this.alertState.watches);
+        });
+
+        document.getElementById('alertBackgroundCheckbox').addEventListener('change', () => {
+            this.saveAlertSettings(this.alertState.watches);
+        });
+
+        document.getElementById('checkAlertsBtn').addEventListener('click', () => {
+            this.checkAlerts();
+        });
+    }
+
+    async showAlertsDialog() {
+        this.alertState = await window.electronAPI.getAlertSettings();
+        document.getElementById('alertPathInput').value = this.data && this.data.path ? this.currentPath : '';
+        document.getElementById('alertIntervalInput').min = this.alertState.minIntervalMinutes;
+        this.renderAlertSettings();
+        document.getElementById('alertsOverlay').classList.remove('hidden');
+    }
+
+    formatAlertValue(watch, value) {
+        return watch.unit === 'percent' ? `${Number(value.toFixed(1))}%` : this.formatBytes(value);
+    }
+
+    describeAlert(watch) {
+        return watch.type === 'free'
+            ? `空き容量が ${this.formatAlertValue(watch, watch.limit)} を下回ったら通知`
+            : `${this.formatAlertValue(watch, watch.limit)} を超えたら通知`;
+    }
+
+    describeAlertStatus(watch) {
+        const status = watch.status;
+        if (!status) {
+            return '未チェック';
+        }
+        if (status.error) {
+            return `${this.formatAge(status.checkedAt)}のチェックに失敗: ${status.error}`;
+        }
+        const value = this.formatAlertValue(watch, status.value);
+        const current = watch.type === 'free' ? `空き ${value}` : value;
+        return `${status.exceeded ? '⚠️ ' : ''}${current}（${this.formatAge(status.checkedAt)}にチェック）`;
+    }
+
+    renderAlertSettings() {
+        const state = this.alertState;
+        document.getElementById('alertIntervalInput').value = state.intervalMinutes;
+        document.getElementById('alertBackgroundCheckbox').checked = state.runInBackground;
+        const checkButton = document.getElementById('checkAlertsBtn');
+        checkButton.disabled = state.checking || state.watches.length === 0;
+        checkButton.textContent = state.checking ? 'チェック中...' : '今すぐチェック';
+
+        const list = document.getElementById('alertList');
+        list.innerHTML = '';
+        if (state.watches.length === 0) {
+            list.innerHTML = '<p class="move-help">監視しているパスはありません</p>';
+            return;
+        }
+
+        state.watches.forEach(watch => {
+            const item = document.createElement('div');
+            item.className = 'snapshot-item alert-item';
+            item.classList.toggle('exceeded', !!(watch.status && watch.status.exceeded));
+            item.innerHTML = `
+                <div>
+                    <div class="snapshot-item-name"></div>
+                    <div class="snapshot-item-meta"></div>
+                </div>
+                <button class="snapshot-delete-button">削除</button>
+            `;
+            const name = item.querySelector('.snapshot-item-name');
+            name.textContent = watch.path;
+            name.title = 'クリックで開く';
+            name.addEventListener('click', () => {
+                this.openRequestedPath(watch.path);
+            });
+            item.querySelector('.snapshot-item-meta').textContent =
+                `${this.describeAlert(watch)} ・ ${this.describeAlertStatus(watch)}`;
+            item.querySelector('.snapshot-delete-button').addEventListener('click', () => {
+                this.saveAlertSettings(this.alertState.watches.filter(other => other.id !== watch.id));
+            });
+            list.appendChild(item);
+        });
+    }
+
+    async addAlert() {
+        const path = document.getElementById('alertPathInput').value.trim();
+        const type = document.getElementById('alertTypeSelect').value;
+        const value = Number(document.getElementById('alertLimitInput').value);
+        if (!path) {
+            alert('監視するパスを入力してください');
+            return;
+        }
+        if (!(value > 0) || (type === 'free-percent' && value >= 100)) {
+            alert('しきい値には正の数を入力してください（割合は100未満）');
+            return;
+        }
+
+        // サイズのしきい値は GB で入力し、バイトで保存する
+        const watch = type === 'free-percent'
+            ? { path, type: 'free', unit: 'percent', limit: value }
+            : { path, type: type === 'size' ? 'size' : 'free', unit: 'bytes', limit: Math.round(value * 1024 ** 3) };
+        if (await this.saveAlertSettings([...this.alertState.watches, watch])) {
+            document.getElementById('alertPathInput').value = '';
+        }
+    }
+
+    async saveAlertSettings(watches) {
+        const result = await window.electronAPI.setAlertSettings({
+            intervalMinutes: Number(document.getElementById('alertIntervalInput').value),
+            runInBackground: document.getElementById('alertBackgroundCheckbox').checked,
+            watches: watches.map(({ status, ...watch }) => watch)
+        });
+        if (!result.success) {
+            alert(`容量アラートの保存に失敗しました: ${result.error}`);
+            return false;
+        }
+        this.alertState = result;
+        this.renderAlertSettings();
+        return true;
+    }
+
+    async checkAlerts() {
+        this.alertState = { ...this.alertState, checking: true };
+        this.renderAlertSettings();
+        this.alertState = await window.electronAPI.checkAlerts();
+        this.renderAlertSettings();
+    }
+
+    // 通知やアラートの一覧から指定されたパスを開く
+    async openRequestedPath(path) {
+        this.hideFolderSelection();
+        document.getElementById('alertsOverlay').classList.add('hidden');
+        if (this.comparison) {
+            this.currentPath = path;
+            await this.endComparison();
+            return;
+        }
+        this.loadDirectory(path);
+    }
 
-        // サイズラベルを追加
-        cell.append('text')
-            .attr('class', 'rect-size-label')
-            .attr('x', 4)
-            .attr('y', 28)
-            .attr('font-size', '10px')
-            .text(d => {
-                const width = d.x1 - d.x0;
-                const height = d.y1 - d.y0;
-                if (width < 60 || height < 40) return '';
-                return this.formatBytes(d.data.size);
-            })
-            .style('fill', '#fff')
-            .style('text-shadow', '1px 1px 1px rgba(0,0,0,0.7)');
+    async showExcludeDialog() {
+        const rules = await window.electronAPI.getExcludeRules(this.data && this.data.path ? this.currentPath : null);
+        this.excludeRootPath = rules.rootPath;
+
+        document.getElementById('excludeGlobalInput').value = rules.global.join('\n');
+        const rootInput = document.getElementById('excludeRootInput');
+        rootInput.value = rules.root.join('\n');
+        rootInput.disabled = !rules.rootPath;
+        document.getElementById('excludeRootLabel').textContent = rules.rootPath
+            ? `このスキャンルートのみ（基準: ${rules.rootPath}）`
+            : 'このスキャンルートのみ（フォルダを読み込むと設定できます）';
+        document.getElementById('excludeOverlay').classList.remove('hidden');
     }
 
-    renderFileList(files) {
-        const container = document.getElementById('fileList');
-        
-        if (!files || files.length === 0) {
-            container.innerHTML = '<p>ファイルがありません</p>';
+    async saveExcludeRules() {
+        const toPatterns = (id) => document.getElementById(id).value.split('\n');
+        const result = await window.electronAPI.setExcludeRules(
+            this.excludeRootPath,
+            toPatterns('excludeGlobalInput'),
+            toPatterns('excludeRootInput')
+        );
+        if (!result.success) {
+            alert(`除外ルールの保存に失敗しました: ${result.error}`);
             return;
         }
 
-        // サイズ順でソート（大きい順）
-        const sortedFiles = [...files].sort((a, b) => (b.size || 0) - (a.size || 0));
+        document.getElementById('excludeOverlay').classList.add('hidden');
+        // 新しいルールでスキャンし直す
+        if (this.data && this.data.path && !this.comparison) {
+            this.refreshCurrentDirectory();
+        }
+    }
 
-        const table = document.createElement('table');
-        table.className = 'file-table';
+    async showSnapshotDialog() {
+        document.getElementById('snapshotOverlay').classList.remove('hidden');
+        document.getElementById('snapshotNameInput').value = '';
+        await this.renderSnapshotList();
+    }
 
-        const header = table.createTHead();
-        const headerRow = header.insertRow();
-        ['ファイル名', 'サイズ', 'タイプ'].forEach(text => {
-            const th = document.createElement('th');
-            th.textContent = text;
-            headerRow.appendChild(th);
-        });
+    async renderSnapshotList() {
+        const snapshots = await window.electronAPI.listSnapshots();
+        const list = document.getElementById('snapshotList');
+        const baseSelect = document.getElementById('snapshotBaseSelect');
+        const targetSelect = document.getElementById('snapshotTargetSelect');
 
-        const tbody = table.createTBody();
-        
-        // 親ディレクトリ（..）を追加（ルートディレクトリ以外）
-        if (this.currentPath !== '/') {
-            this.addDirectoryNavigationRow(tbody, '..', null, 'parent-directory');
+        list.innerHTML = '';
+        baseSelect.innerHTML = '';
+        targetSelect.innerHTML = '';
+        this.snapshotRoots = new Map(snapshots.map(snapshot => [snapshot.id, snapshot.root]));
+
+        if (snapshots.length === 0) {
+            list.innerHTML = '<p>保存済みのスナップショットはありません</p>';
+            return;
         }
-        
-        // 現在のディレクトリ（.）を追加
-        this.addDirectoryNavigationRow(tbody, '.', this.data.size, 'current-directory');
-        sortedFiles.forEach(file => {
-            const row = tbody.insertRow();
-            
-            // ファイル名セル
-            const nameCell = row.insertCell();
-            nameCell.textContent = file.name;
-            nameCell.className = file.type === 'directory' ? 'directory-name' : 'file-name';
-            if (file.type === 'directory') {
-                nameCell.style.cursor = 'pointer';
-                nameCell.addEventListener('click', () => {
-                    this.loadDirectory(file.path);
-                });
-            }
-            
-            // 右クリックイベントを追加
-            row.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                this.showContextMenu(e, file);
+
+        snapshots.forEach(snapshot => {
+            const label = `${snapshot.name} (${new Date(snapshot.timestamp).toLocaleString()})`;
+            baseSelect.add(new Option(label, snapshot.id));
+            targetSelect.add(new Option(label, snapshot.id));
+
+            const item = document.createElement('div');
+            item.className = 'snapshot-item';
+            item.innerHTML = `
+                <div>
+                    <div class="snapshot-item-name"></div>
+                    <div class="snapshot-item-meta"></div>
+                </div>
+                <button class="snapshot-delete-button">削除</button>
+            `;
+            item.querySelector('.snapshot-item-name').textContent = snapshot.name;
+            item.querySelector('.snapshot-item-meta').textContent =
+                `${snapshot.root} ・ ${this.formatBytes(snapshot.totalSize)} ・ ${this.formatAge(snapshot.timestamp)}にスキャン`;
+            item.querySelector('.snapshot-delete-button').addEventListener('click', async () => {
+                if (!confirm(`スナップショット「${snapshot.name}」を削除しますか？`)) {
+                    return;
+                }
+                await window.electronAPI.deleteSnapshot(snapshot.id);
+                this.renderSnapshotList();
             });
-            
-            // サイズセル
-            const sizeCell = row.insertCell();
-            sizeCell.textContent = this.formatBytes(file.size || 0);
-            sizeCell.className = 'size-cell';
-            
-            // タイプセル
-            const typeCell = row.insertCell();
-            typeCell.textContent = file.type === 'directory' ? 'フォルダ' : 'ファイル';
-            typeCell.className = file.type === 'directory' ? 'type-directory' : 'type-file';
+            list.appendChild(item);
         });
 
-        container.innerHTML = '';
-        container.appendChild(table);
+        // 既定では最新のスナップショットを比較先、同じフォルダの1つ前のものを比較元にする
+        const previous = snapshots.slice(1).find(snapshot => snapshot.root === snapshots[0].root);
+        if (previous) {
+            baseSelect.value = previous.id;
+            targetSelect.value = snapshots[0].id;
+        }
+        this.updateSnapshotTargetOptions();
     }
 
-    addDirectoryNavigationRow(tbody, name, size, className) {
-        const row = tbody.insertRow();
-        row.className = className;
-        
-        // ファイル名セル
-        const nameCell = row.insertCell();
-        nameCell.textContent = name;
-        nameCell.className = 'navigation-directory';
-        nameCell.style.cursor = 'pointer';
-        
-        // クリックイベント
-        nameCell.addEventListener('click', () => {
-            if (name === '.') {
-                // 現在のディレクトリを再読み込み
-                this.refreshCurrentDirectory();
-            } else if (name === '..') {
-                // 親ディレクトリに移動
-                this.goUpDirectory();
-            }
-        });
-        
-        // 右クリックイベント（コンテキストメニュー用）
-        row.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            const targetPath = name === '..' ? this.getParentPath() : this.currentPath;
-            const fileData = {
-                name: name,
-                path: targetPath,
-                size: size || 0,
-                type: 'directory'
-            };
-            this.showContextMenu(e, fileData);
-        });
-        
-        // サイズセル
-        const sizeCell = row.insertCell();
-        if (size !== null) {
-            sizeCell.textContent = this.formatBytes(size);
-        } else {
-            sizeCell.textContent = '-';
+    // 比較先には、比較元と同じフォルダのスナップショットだけを選べるようにする
+    updateSnapshotTargetOptions() {
+        const baseId = document.getElementById('snapshotBaseSelect').value;
+        const targetSelect = document.getElementById('snapshotTargetSelect');
+        const root = this.snapshotRoots.get(baseId);
+        for (const option of targetSelect.options) {
+            option.disabled = this.snapshotRoots.get(option.value) !== root;
         }
-        sizeCell.className = 'size-cell';
-        
-        // タイプセル
-        const typeCell = row.insertCell();
-        if (name === '.') {
-            typeCell.textContent = '現在のフォルダ';
-        } else if (name === '..') {
-            typeCell.textContent = '親フォルダ';
+        const selected = targetSelect.options[targetSelect.selectedIndex];
+        if (!selected || selected.disabled || selected.value === baseId) {
+            const candidate = [...targetSelect.options].find(option => !option.disabled && option.value !== baseId);
+            targetSelect.value = candidate ? candidate.value : baseId;
         }
-        typeCell.className = 'type-navigation';
     }
 
-    getParentPath() {
-        if (this.currentPath === '/') {
+    async saveSnapshot() {
+        if (!this.data || !this.data.path) {
+            alert('先にフォルダを読み込んでください');
+            return;
+        }
+
+        const name = document.getElementById('snapshotNameInput').value;
+        const result = await window.electronAPI.saveSnapshot(this.currentPath, name);
+        if (!result.success) {
+            alert(`スナップショットの保存に失敗しました: ${result.error}`);
+            return;
+        }
+
+        document.getElementById('snapshotNameInput').value = '';
+        await this.renderSnapshotList();
+    }
+
+    async compareSnapshots() {
+        const baseId = document.getElementById('snapshotBaseSelect').value;
+        const targetId = document.getElementById('snapshotTargetSelect').value;
+        if (!baseId || !targetId || baseId === targetId) {
+            alert('異なる2つのスナップショットを選択してください');
+            return;
+        }
+        if (this.snapshotRoots.get(baseId) !== this.snapshotRoots.get(targetId)) {
+            alert('同じフォルダのスナップショットを選択してください');
+            return;
+        }
+
+        const result = await window.electronAPI.compareSnapshots(baseId, targetId);
+        if (!result.success) {
+            alert(`比較に失敗しました: ${result.error}`);
+            return;
+        }
+
+        this.comparison = { root: result.root, base: result.base, target: result.target };
+        this.changes = null;
+        document.getElementById('snapshotOverlay').classList.add('hidden');
+        this.hideFolderSelection();
+        this.loadDirectory(result.root);
+    }
+
+    isPathWithin(childPath, parentPath) {
+        if (childPath === parentPath) return true;
+        const prefix = parentPath.endsWith('/') ? parentPath : parentPath + '/';
+        return childPath.startsWith(prefix);
+    }
+
+    getParentPath(targetPath = this.currentPath) {
+        if (targetPath === '/') {
             return '/';
         }
-        const normalizedPath = this.currentPath.replace(/\/+$/, '');
+        const normalizedPath = targetPath.replace(/\/+$/, '');
         return normalizedPath.substring(0, normalizedPath.lastIndexOf('/')) || '/';
     }
 
@@ -508,15 +3616,7 @@ class DiskUtilityApp {
             // フロントエンドキャッシュをクリア
             this.clearCache();
             
-            // バックエンドキャッシュもクリア
-            try {
-                await window.electronAPI.clearDuCache();
-                console.log('Backend DU cache cleared');
-            } catch (error) {
-                console.warn('Failed to clear backend cache:', error);
-            }
-            
-            // 強制リロード（キャッシュを無視）
+            // 強制リロード（バックエンドは保存済みのスキャンを破棄して再スキャン）
             this.loadDirectory(this.currentPath, true);
         }
     }
@@ -531,10 +3631,24 @@ class DiskUtilityApp {
         const normalizedPath = this.currentPath.replace(/\/+$/, ''); // 末尾のスラッシュを削除
         const parentPath = normalizedPath.substring(0, normalizedPath.lastIndexOf('/')) || '/';
         
-        this.loadDirectory(parentPath);
+        // スキャン済みの範囲内なら、元のディレクトリから縮小するアニメーションで戻る
+        const scanInfo = this.data && this.data.scanInfo;
+        if (scanInfo && this.isPathWithin(parentPath, scanInfo.root)) {
+            this.treemapZoomFrom = normalizedPath;
+            this.loadDirectory(parentPath, false, { zoom: true });
+        } else {
+            this.loadDirectory(parentPath);
+        }
     }
 
     setupContextMenu() {
+        // 無効になっている項目のクリックは、各項目のリスナーに届く前に止める
+        document.getElementById('contextMenu').addEventListener('click', (event) => {
+            if (event.target.closest('.context-menu-item.disabled')) {
+                event.stopPropagation();
+            }
+        }, true);
+        
         // コンテキストメニューアイテムのイベントリスナー
         document.getElementById('openItem').addEventListener('click', () => {
             this.handleOpenItem();
@@ -559,6 +3673,35 @@ class DiskUtilityApp {
         document.getElementById('deleteItem').addEventListener('click', () => {
             this.handleDelete();
         });
+        
+        document.getElementById('permanentDeleteItem').addEventListener('click', () => {
+            this.handleDelete({ permanent: true });
+        });
+        
+        document.getElementById('moveItem').addEventListener('click', () => {
+            this.handleMove();
+        });
+        
+        document.getElementById('compressItem').addEventListener('click', () => {
+            this.handleCompress();
+        });
+        
+        // 選択中の項目への一括操作
+        document.getElementById('selectionTrashBtn').addEventListener('click', () => {
+            this.confirmAndDeleteItems(this.getSelectedItems());
+        });
+        document.getElementById('selectionDeleteBtn').addEventListener('click', () => {
+            this.confirmAndDeleteItems(this.getSelectedItems(), { permanent: true });
+        });
+        document.getElementById('selectionMoveBtn').addEventListener('click', () => {
+            this.moveItems(this.getSelectedItems());
+        });
+        document.getElementById('selectionCopyPathsBtn').addEventListener('click', () => {
+            navigator.clipboard.writeText(this.getSelectedItems().map(item => item.path).join('\n'));
+        });
+        document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+            this.clearSelection();
+        });
     }
 
     showContextMenu(event, file) {
@@ -573,8 +3716,12 @@ class DiskUtilityApp {
         // メニューアイテムの有効/無効を設定
         const openItem = document.getElementById('openItem');
         const deleteItem = document.getElementById('deleteItem');
+        const permanentDeleteItem = document.getElementById('permanentDeleteItem');
+        const moveItem = document.getElementById('moveItem');
+        const compressItem = document.getElementById('compressItem');
+        const copyPathItem = document.getElementById('copyPathItem');
         
-        if (file.type === 'directory') {
+        if (file.type === 'directory' || file.type === 'mount') {
             openItem.textContent = 'フォルダを開く';
             openItem.classList.remove('disabled');
         } else {
@@ -582,13 +3729,26 @@ class DiskUtilityApp {
             openItem.classList.remove('disabled');
         }
         
-        // 削除メニューの制御（.と..は削除不可）
-        if (file.name === '.' || file.name === '..') {
+        // 削除メニューの制御（.と..、マウントポイントは削除不可）
+        // 選択中の項目を右クリックしたときは、選択全体が対象
+        const targetCount = this.getActionTargets(file).length;
+        const countLabel = targetCount > 1 ? `（${targetCount} 件）` : '';
+        copyPathItem.textContent = `パスをコピー${countLabel}`;
+        
+        if (file.name === '.' || file.name === '..' || file.type === 'mount') {
             deleteItem.classList.add('disabled');
-            deleteItem.textContent = '削除（不可）';
+            deleteItem.textContent = 'ゴミ箱に移動（不可）';
+            permanentDeleteItem.classList.add('disabled');
+            moveItem.classList.add('disabled');
+            compressItem.classList.add('disabled');
         } else {
             deleteItem.classList.remove('disabled');
-            deleteItem.textContent = '削除';
+            deleteItem.textContent = `ゴミ箱に移動${countLabel}`;
+            permanentDeleteItem.classList.remove('disabled');
+            permanentDeleteItem.textContent = `完全に削除${countLabel}…`;
+            moveItem.classList.remove('disabled');
+            moveItem.textContent = `移動${countLabel}…`;
+            compressItem.classList.remove('disabled');
         }
     }
 
@@ -604,8 +3764,8 @@ class DiskUtilityApp {
         const target = this.contextMenuTarget;
         this.hideContextMenu();
         
-        if (target.type === 'directory') {
-            this.loadDirectory(target.path);
+        if (target.type === 'directory' || target.type === 'mount') {
+            this.openDirectoryItem(target);
         } else {
             // ファイルを開く（外部アプリケーション）
             this.openFile(target.path);
@@ -620,10 +3780,40 @@ class DiskUtilityApp {
     }
 
     handleCopyPath() {
+        if (!this.contextMenuTarget) return;
+        const targets = this.getActionTargets(this.contextMenuTarget);
+        this.hideContextMenu();
+        navigator.clipboard.writeText(targets.map(target => target.path).join('\n'));
+    }
+
+    handleMove() {
+        if (!this.contextMenuTarget) return;
+        const target = this.contextMenuTarget;
+        if (target.name === '.' || target.name === '..' || target.type === 'mount') {
+            this.hideContextMenu();
+            return;
+        }
+        const targets = this.getActionTargets(target);
+        this.hideContextMenu();
+        this.moveItems(targets);
+    }
+
+    handleCompress() {
         if (!this.contextMenuTarget) return;
         const target = this.contextMenuTarget;
         this.hideContextMenu();
-        navigator.clipboard.writeText(target.path);
+        if (target.name === '.' || target.name === '..' || target.type === 'mount') {
+            return;
+        }
+        this.showCompressDialog(target);
+    }
+
+    // 右クリックした項目が複数選択の一部なら選択全体、そうでなければその項目だけ
+    getActionTargets(target) {
+        if (this.selection.has(target.path) && this.selection.size > 1) {
+            return this.getSelectedItems();
+        }
+        return [target];
     }
 
     handleCopyName() {
@@ -633,14 +3823,35 @@ class DiskUtilityApp {
         navigator.clipboard.writeText(target.name);
     }
 
-    handleProperties() {
+    async handleProperties() {
         if (!this.contextMenuTarget) return;
         const target = this.contextMenuTarget;
         this.hideContextMenu();
-        alert(`名前: ${target.name}\nパス: ${target.path}\nサイズ: ${this.formatBytes(target.size)}\nタイプ: ${target.type === 'directory' ? 'フォルダ' : 'ファイル'}`);
+        
+        const lines = [
+            `名前: ${target.name}`,
+            `パス: ${target.path}`,
+            `タイプ: ${target.type === 'directory' ? 'フォルダ' : 'ファイル'}`
+        ];
+        
+        // ディスク使用量と見かけのサイズは両方表示する（取得できなければ一覧の値）
+        const result = await window.electronAPI.getItemInfo(target.path);
+        if (result.success) {
+            const info = result.info;
+            lines.push(`ディスク使用量: ${this.formatBytes(info.diskUsage)}`);
+            lines.push(`見かけのサイズ: ${info.apparentSize === null ? '不明' : this.formatBytes(info.apparentSize)}`);
+            if (info.type === 'file' && info.linkCount > 1) {
+                lines.push(`ハードリンク数: ${info.linkCount}（集計では1回だけ数えます）`);
+            }
+            lines.push(`更新日時: ${new Date(info.modifiedAt).toLocaleString()}`);
+        } else {
+            lines.push(`サイズ: ${this.formatBytes(target.size)}`);
+        }
+        alert(lines.join('\n'));
     }
 
-    handleDelete() {
+    // options.permanent: ゴミ箱を使わずに完全に削除する
+    handleDelete(options = {}) {
         console.log('handleDelete called, contextMenuTarget:', this.contextMenuTarget);
         
         if (!this.contextMenuTarget) {
@@ -648,9 +3859,9 @@ class DiskUtilityApp {
             return;
         }
         
-        // .と..は削除不可
-        if (this.contextMenuTarget.name === '.' || this.contextMenuTarget.name === '..') {
-            console.log('Cannot delete navigation directories');
+        // .と..、マウントポイントは削除不可
+        if (this.contextMenuTarget.name === '.' || this.contextMenuTarget.name === '..' || this.contextMenuTarget.type === 'mount') {
+            console.log('Cannot delete navigation directories or mount points');
             this.hideContextMenu();
             return;
         }
@@ -658,11 +3869,98 @@ class DiskUtilityApp {
         // contextMenuTargetを保存してからメニューを隠す
         const targetToDelete = { ...this.contextMenuTarget }; // ディープコピーで安全性向上
         console.log('Target to delete:', targetToDelete);
+        const targets = this.getActionTargets(targetToDelete);
         this.hideContextMenu();
-        this.showDeleteConfirmationDialog(targetToDelete);
+        this.confirmAndDeleteItems(targets, options);
+    }
+
+    // 1件なら従来の確認ダイアログ、複数なら件数と合計サイズをまとめて確認してから一括で削除
+    confirmAndDeleteItems(targets, options = {}) {
+        const items = this.removeMountItems(this.removeNestedItems(targets));
+        if (items.length === 0) {
+            return;
+        }
+        if (items.length === 1) {
+            this.showDeleteConfirmationDialog(items[0], options);
+            return;
+        }
+        
+        const totalSize = items.reduce((sum, item) => sum + (item.size || 0), 0);
+        const listLimit = 10;
+        const names = items.slice(0, listLimit).map(item => `・${item.name}（${this.formatBytes(item.size || 0)}）`);
+        if (items.length > listLimit) {
+            names.push(`…ほか ${items.length - listLimit} 件`);
+        }
+        const summary = `${items.length} 件\n${names.join('\n')}`;
+        const message = options.permanent
+            ? `次の項目を本当に完全に削除しますか？\n\n${summary}\n\n解放される容量: ${this.formatBytes(totalSize)}\n\n⚠️ ゴミ箱を使わないため、この操作は取り消せません。`
+            : `次の項目をゴミ箱に移動しますか？\n\n${summary}\n\n合計サイズ: ${this.formatBytes(totalSize)}（ゴミ箱を空にすると解放されます）`;
+        
+        if (confirm(message)) {
+            this.deleteItems(items, options);
+        }
+    }
+
+    async deleteItems(items, options = {}) {
+        // 削除の失敗として扱うのはバックエンドの呼び出しだけ（削除後の表示の更新の失敗で、削除できなかったと伝えない）
+        let result;
+        try {
+            result = await window.electronAPI.deleteFiles(items.map(item => item.path), { permanent: !!options.permanent });
+        } catch (error) {
+            console.error('Error in delete operation:', error);
+            alert('削除中にエラーが発生しました');
+            return;
+        }
+        const deletedPaths = result.results.filter(entry => entry.success).map(entry => entry.path);
+        const failures = result.results.filter(entry => !entry.success);
+        
+        if (deletedPaths.length > 0) {
+            // バックエンドのキャッシュは一括で差分更新済みなので、再描画は1回だけ
+            this.reloadCurrentDirectory();
+            deletedPaths.forEach(deletedPath => {
+                this.removeFromDuplicates(deletedPath);
+                this.removeFromSearch(deletedPath);
+            });
+            this.removeFromSelection(deletedPaths);
+            
+            if (!result.trashed) {
+                this.showToast(`${deletedPaths.length} 件を削除しました`);
+            } else if (result.undoId) {
+                this.showToast(`${deletedPaths.length} 件をゴミ箱に移動しました`, {
+                    actionLabel: '元に戻す',
+                    onAction: () => this.restoreTrashedItem(result.undoId, `${deletedPaths.length} 件`)
+                });
+            } else {
+                this.showToast(`${deletedPaths.length} 件をゴミ箱に移動しました（ゴミ箱から元に戻せます）`);
+            }
+        }
+        if (failures.length > 0) {
+            alert(`削除できなかった項目があります:\n\n${failures.map(entry => `${entry.path}: ${entry.error}`).join('\n')}`);
+        }
+    }
+
+    // 移動先のフォルダを選んで、移動ダイアログを開く
+    async moveItems(targets) {
+        const items = this.removeMountItems(targets);
+        if (items.length === 0) {
+            return;
+        }
+        try {
+            const folder = await window.electronAPI.selectFolder();
+            if (!folder.success) {
+                if (!folder.canceled) {
+                    alert(`フォルダを選択できませんでした: ${folder.error}`);
+                }
+                return;
+            }
+            this.showMoveDialog(items, folder.path);
+        } catch (error) {
+            console.error('Error selecting destination:', error);
+            alert('移動先の選択中にエラーが発生しました');
+        }
     }
 
-    showDeleteConfirmationDialog(fileData) {
+    showDeleteConfirmationDialog(fileData, options = {}) {
         // 安全性チェック
         if (!fileData || !fileData.name || !fileData.path) {
             console.error('Invalid file data for deletion:', fileData);
@@ -674,40 +3972,42 @@ class DiskUtilityApp {
         const fileType = fileData.type === 'directory' ? 'フォルダ' : 'ファイル';
         const filePath = fileData.path;
         
-        const message = `本当に削除しますか？\n\n${fileType}: ${fileName}\nパス: ${filePath}\n\n⚠️ この操作は取り消せません。`;
+        const message = options.permanent
+            ? `本当に完全に削除しますか？\n\n${fileType}: ${fileName}\nパス: ${filePath}\nサイズ: ${this.formatBytes(fileData.size || 0)}\n\n⚠️ ゴミ箱を使わないため、この操作は取り消せません。`
+            : `ゴミ箱に移動しますか？\n\n${fileType}: ${fileName}\nパス: ${filePath}\nサイズ: ${this.formatBytes(fileData.size || 0)}`;
         
         const confirmed = confirm(message);
         
         if (confirmed) {
-            this.deleteFile(fileData);
+            this.deleteFile(fileData, options);
         }
     }
 
-    async deleteFile(fileData) {
+    async deleteFile(fileData, options = {}) {
         try {
             console.log('Attempting to delete:', fileData.path);
-            const result = await window.electronAPI.deleteFile(fileData.path);
+            const result = await window.electronAPI.deleteFile(fileData.path, { permanent: !!options.permanent });
             
             if (result.success) {
                 console.log('Successfully deleted:', fileData.path);
                 
-                // フロントエンドキャッシュを無効化
-                this.invalidateCache(fileData.path);
-                this.invalidateCache(this.currentPath);
+                // バックエンドのキャッシュは削除時に差分更新済みなので、再スキャンせずに再描画
+                this.reloadCurrentDirectory();
+                this.removeFromDuplicates(fileData.path);
+                this.removeFromSearch(fileData.path);
+                this.removeFromSelection([fileData.path]);
                 
-                // バックエンドキャッシュも無効化
-                try {
-                    await window.electronAPI.invalidateDuCache(fileData.path);
-                    console.log('Backend DU cache invalidated for:', fileData.path);
-                } catch (error) {
-                    console.warn('Failed to invalidate backend cache:', error);
+                if (!result.trashed) {
+                    this.showToast(`${fileData.name} を削除しました`);
+                } else if (result.undoId) {
+                    this.showToast(`${fileData.name} をゴミ箱に移動しました`, {
+                        actionLabel: '元に戻す',
+                        onAction: () => this.restoreTrashedItem(result.undoId, fileData.name)
+                    });
+                } else {
+                    // ゴミ箱の場所が分からない環境では、ゴミ箱から戻してもらう
+                    this.showToast(`${fileData.name} をゴミ箱に移動しました（ゴミ箱から元に戻せます）`);
                 }
-                
-                // 削除成功後、現在のディレクトリを再読み込み
-                this.refreshCurrentDirectory();
-                
-                // 成功メッセージ（オプション）
-                // alert(`${fileData.name} を削除しました`);
             } else {
                 console.error('Failed to delete file:', result.error);
                 alert(`削除に失敗しました: ${result.error}`);
@@ -718,6 +4018,55 @@ class DiskUtilityApp {
         }
     }
 
+    async restoreTrashedItem(undoId, name) {
+        try {
+            const result = await window.electronAPI.restoreTrashedItem(undoId);
+            if (result.success) {
+                // 戻した項目はバックエンドのキャッシュに反映済み
+                this.reloadCurrentDirectory();
+                this.showToast(`${name} を元に戻しました`);
+                if (result.errors.length > 0) {
+                    alert(`元に戻せなかった項目があります:\n\n${result.errors.join('\n')}`);
+                }
+            } else {
+                alert(`元に戻せませんでした: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Error restoring from trash:', error);
+            alert('元に戻す際にエラーが発生しました');
+        }
+    }
+
+    // 画面下に一時的なメッセージを表示する（actionLabel / onAction でボタンを付けられる）
+    showToast(message, options = {}) {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        const dismiss = () => {
+            clearTimeout(timer);
+            toast.remove();
+        };
+        const timer = setTimeout(dismiss, options.duration || this.toastDuration);
+
+        if (options.actionLabel) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = options.actionLabel;
+            button.addEventListener('click', () => {
+                dismiss();
+                options.onAction();
+            });
+            toast.appendChild(button);
+        }
+
+        container.appendChild(toast);
+    }
+
     async openFile(filePath) {
         // Electronのshell.openPathを使用してファイルを開く
         try {
@@ -762,6 +4111,41 @@ class DiskUtilityApp {
         overlay.classList.remove('hidden');
     }
 
+    // 前回までに保存したスキャン結果を起動画面に表示
+    async renderStoredScans() {
+        const container = document.getElementById('storedScans');
+        container.innerHTML = '';
+
+        let scans = [];
+        try {
+            scans = await window.electronAPI.getStoredScans();
+        } catch (error) {
+            console.warn('Failed to get stored scans:', error);
+        }
+        if (scans.length === 0) {
+            return;
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = '保存済みのスキャン結果';
+        container.appendChild(title);
+
+        scans.forEach(scan => {
+            const button = document.createElement('button');
+            button.className = 'stored-scan-button';
+            button.innerHTML = `
+                <span class="stored-scan-path"></span>
+                <span class="stored-scan-meta">${this.formatBytes(scan.totalSize)} ・ ${this.formatAge(scan.scannedAt)}にスキャン</span>
+            `;
+            button.querySelector('.stored-scan-path').textContent = scan.root;
+            button.addEventListener('click', () => {
+                this.hideFolderSelection();
+                this.loadDirectory(scan.root);
+            });
+            container.appendChild(button);
+        });
+    }
+
     hideFolderSelection() {
         const overlay = document.getElementById('folderSelectionOverlay');
         overlay.classList.add('hidden');
@@ -787,11 +4171,38 @@ class DiskUtilityApp {
         }
     }
 
+    // タイムスタンプを「N時間前」形式に変換
+    formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'たった今';
+        if (minutes < 60) return `${minutes}分前`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}時間前`;
+        const days = Math.floor(hours / 24);
+        if (days < 60) return `${days}日前`;
+        if (days < 730) return `${Math.floor(days / 30)}ヶ月前`;
+        return `${Math.floor(days / 365)}年前`;
+    }
+
+    // 秒数を「N分M秒」形式に変換
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        if (total < 60) return `${total}秒`;
+        const minutes = Math.floor(total / 60);
+        if (minutes < 60) return `${minutes}分${total % 60}秒`;
+        return `${Math.floor(minutes / 60)}時間${minutes % 60}分`;
+    }
+
+    formatDelta(bytes) {
+        const sign = bytes > 0 ? '+' : bytes < 0 ? '-' : '±';
+        return sign + this.formatBytes(Math.abs(bytes));
+    }
+
     formatBytes(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
         const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        const i = Math.min(sizes.length - 1, Math.max(0, Math.floor(Math.log(bytes) / Math.log(k))));
         return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
     }
 }